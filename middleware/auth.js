@@ -9,6 +9,9 @@ console.log('User model imported.');
 const logger = require('../utils/logger');
 console.log('logger imported.');
 
+const { getRolePermissions } = require('../utils/permissions');
+console.log('permissions imported.');
+
 // Authentication middleware
 const auth = async (req, res, next) => {
     try {
@@ -23,6 +26,14 @@ const auth = async (req, res, next) => {
 
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Reset, two-factor and client tokens share the secret but are not access tokens
+        if (decoded.purpose) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid token.'
+            });
+        }
         
         // Check if user still exists and is active
         const user = await User.findById(decoded.userId).select('-password -refreshTokens');
@@ -39,7 +50,8 @@ const auth = async (req, res, next) => {
             userId: user._id,
             email: user.email,
             role: user.role,
-            name: user.name
+            name: user.name,
+            permissions: await getRolePermissions(user.role)
         };
 
         next();
@@ -67,8 +79,8 @@ const auth = async (req, res, next) => {
     }
 };
 
-// Authorization middleware - check user roles
-const authorize = (roles = []) => {
+// Authorization middleware - check the user's role grants every given permission
+const authorize = (...permissions) => {
     return (req, res, next) => {
         if (!req.user) {
             return res.status(401).json({
@@ -77,7 +89,7 @@ const authorize = (roles = []) => {
             });
         }
 
-        if (roles.length && !roles.includes(req.user.role)) {
+        if (!permissions.every(permission => req.user.permissions.includes(permission))) {
             return res.status(403).json({
                 success: false,
                 message: 'Insufficient permissions.'
@@ -98,6 +110,10 @@ const optionalAuth = async (req, res, next) => {
         }
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.purpose) {
+            return next();
+        }
+
         const user = await User.findById(decoded.userId).select('-password -refreshTokens');
         
         if (user && user.isActive) {
@@ -105,7 +121,8 @@ const optionalAuth = async (req, res, next) => {
                 userId: user._id,
                 email: user.email,
                 role: user.role,
-                name: user.name
+                name: user.name,
+                permissions: await getRolePermissions(user.role)
             };
         }
 
@@ -0,0 +1,69 @@
+const jwt = require('jsonwebtoken');
+const { ClientAccount } = require('../models');
+const logger = require('../utils/logger');
+
+// Client portal authentication. Sets req.client and never req.user, so client
+// tokens can't reach internal routes and staff tokens can't reach the portal.
+const clientAuth = async (req, res, next) => {
+    try {
+        const token = req.header('Authorization')?.replace('Bearer ', '');
+
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                message: 'Access denied. No token provided.'
+            });
+        }
+
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        if (decoded.purpose !== ClientAccount.TOKEN_PURPOSE) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid token.'
+            });
+        }
+
+        const account = await ClientAccount.findById(decoded.clientId).select('-password -signInToken');
+
+        if (!account || account.status !== 'active' || account.tokenVersion !== decoded.version) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid token. Account not found or inactive.'
+            });
+        }
+
+        req.client = {
+            clientId: account._id,
+            email: account.email,
+            name: account.name,
+            company: account.company
+        };
+
+        next();
+    } catch (error) {
+        if (error.name === 'JsonWebTokenError') {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid token.'
+            });
+        }
+
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({
+                success: false,
+                message: 'Token expired.'
+            });
+        }
+
+        logger.error('Client auth middleware error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Authentication failed.'
+        });
+    }
+};
+
+module.exports = {
+    clientAuth
+};
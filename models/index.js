@@ -1,9 +1,51 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 
 console.log('--- Starting models/index.js execution ---');
 
+// Contact note (replies reference their parent note)
+const contactNoteSchema = new mongoose.Schema({
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    body: {
+        type: String,
+        required: [true, 'Note body is required'],
+        trim: true,
+        maxlength: [5000, 'Note cannot exceed 5000 characters']
+    },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId
+    }
+}, {
+    timestamps: true
+});
+
+// Contact activity (timeline entry). Entries without an actor were recorded by the system.
+const contactActivitySchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['created', 'status-change', 'priority-change', 'assignment', 'note', 'email', 'call', 'meeting', 'follow-up', 'converted'],
+        required: true
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    summary: {
+        type: String,
+        trim: true,
+        maxlength: [1000, 'Activity summary cannot exceed 1000 characters']
+    },
+    data: mongoose.Schema.Types.Mixed
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
 // Contact Form Schema
 const contactSchema = new mongoose.Schema({
     name: {
@@ -44,9 +86,43 @@ const contactSchema = new mongoose.Schema({
         type: String,
         default: ''
     },
+    aiSuggestionsMeta: {
+        promptVersion: String,
+        provider: String,
+        model: String,
+        latencyMs: Number,
+        generatedAt: Date,
+        // 'preview' when shown on the form before submitting, 'submission' when generated on submit
+        origin: {
+            type: String,
+            enum: ['preview', 'submission']
+        }
+    },
+    leadScore: {
+        type: Number,
+        min: 0,
+        max: 100
+    },
+    scoreBreakdown: [{
+        _id: false,
+        factor: String,
+        points: Number,
+        detail: String
+    }],
+    scoredAt: Date,
+    // Last LLM verdict, reused by bulk re-scoring instead of asking the provider again
+    leadClassification: {
+        type: String,
+        enum: ['hot', 'warm', 'cold']
+    },
+    // Set when a manager picks the priority by hand so re-scoring leaves it alone
+    priorityOverridden: {
+        type: Boolean,
+        default: false
+    },
     status: {
         type: String,
-        enum: ['new', 'contacted', 'in-progress', 'closed'],
+        enum: ['new', 'contacted', 'in-progress', 'closed', 'closed-won', 'closed-lost'],
         default: 'new'
     },
     priority: {
@@ -54,6 +130,18 @@ const contactSchema = new mongoose.Schema({
         enum: ['low', 'medium', 'high'],
         default: 'medium'
     },
+    assignedTo: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    followUpAt: Date,
+    // Project created when the lead was won
+    project: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Project'
+    },
+    notes: [contactNoteSchema],
+    activities: [contactActivitySchema],
     ipAddress: {
         type: String,
         required: true
@@ -65,6 +153,12 @@ const contactSchema = new mongoose.Schema({
 }, {
     timestamps: true
 });
+
+// Append an entry to the contact's activity timeline
+contactSchema.methods.logActivity = function(type, { actor, summary, data } = {}) {
+    this.activities.push({ type, actor, summary, data });
+    return this.activities[this.activities.length - 1];
+};
 console.log('contactSchema defined.');
 
 // User Schema (for admin dashboard)
@@ -87,9 +181,11 @@ const userSchema = new mongoose.Schema({
         required: [true, 'Password is required'],
         minlength: [8, 'Password must be at least 8 characters']
     },
+    // Name of a Role; see utils/permissions.js
     role: {
         type: String,
-        enum: ['admin', 'manager', 'employee'],
+        trim: true,
+        lowercase: true,
         default: 'employee'
     },
     isActive: {
@@ -99,14 +195,58 @@ const userSchema = new mongoose.Schema({
     lastLogin: {
         type: Date
     },
+    // Login throttling; see utils/loginThrottle.js
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastFailedLoginAt: Date,
+    lockUntil: Date,
+    // One entry per signed-in device. Only the hash of the current refresh token is
+    // kept; it rotates on every refresh, and the family stays the same for the session.
+    // Expired entries are pruned in code: a TTL index here would delete the whole user.
     refreshTokens: [{
-        token: String,
+        tokenHash: String,
+        family: String,
+        device: String,
+        userAgent: String,
+        ip: String,
         createdAt: {
             type: Date,
-            default: Date.now,
-            expires: 604800 // 7 days
+            default: Date.now
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now
+        },
+        expiresAt: Date
+    }],
+    // TOTP two-factor authentication; see utils/mfa.js
+    mfa: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        // Encrypted base32 secrets
+        secret: {
+            type: String,
+            select: false
+        },
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        enabledAt: Date,
+        // Last accepted time step, so a code can't be used twice
+        lastUsedStep: Number,
+        backupCodes: {
+            type: [{
+                hash: String,
+                usedAt: Date
+            }],
+            select: false
         }
-    }]
+    }
 }, {
     timestamps: true
 });
@@ -142,19 +282,184 @@ userSchema.methods.generateAuthToken = function() {
     );
 };
 
-// Generate refresh token
-userSchema.methods.generateRefreshToken = function() {
-    const refreshToken = jwt.sign(
-        { userId: this._id },
+const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+userSchema.statics.hashRefreshToken = function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Sign a refresh token for a session family; jti keeps every rotation unique
+userSchema.statics.signRefreshToken = function(userId, family) {
+    return jwt.sign(
+        { userId, family, jti: crypto.randomBytes(16).toString('hex') },
         process.env.JWT_REFRESH_SECRET,
-        { expiresIn: '7d' }
+        { expiresIn: REFRESH_TOKEN_TTL_MS / 1000 }
     );
-    
-    this.refreshTokens.push({ token: refreshToken });
+};
+
+// Generate refresh token for a new session; `client` is { device, userAgent, ip }
+userSchema.methods.generateRefreshToken = function(client = {}) {
+    const family = crypto.randomUUID();
+    const refreshToken = this.constructor.signRefreshToken(this._id, family);
+
+    // Drop sessions that have run out while adding the new one
+    const now = Date.now();
+    this.refreshTokens = this.refreshTokens.filter(session => session.expiresAt && session.expiresAt > now);
+
+    this.refreshTokens.push({
+        tokenHash: this.constructor.hashRefreshToken(refreshToken),
+        family,
+        ...client,
+        expiresAt: new Date(now + REFRESH_TOKEN_TTL_MS)
+    });
     return refreshToken;
 };
+userSchema.statics.REFRESH_TOKEN_TTL_MS = REFRESH_TOKEN_TTL_MS;
 console.log('userSchema defined.');
 
+// Role Schema
+// Named permission sets assigned to users by name
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Role name is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9-]+$/, 'Role name can only contain lowercase letters, numbers and hyphens']
+    },
+    description: {
+        type: String,
+        maxlength: 200
+    },
+    permissions: [String],
+    // Built-in roles can be edited but not renamed or deleted
+    isSystem: {
+        type: Boolean,
+        default: false
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+console.log('roleSchema defined.');
+
+// Client Account Schema
+// Client portal logins, kept apart from internal User roles
+const CLIENT_TOKEN_PURPOSE = 'client-access';
+
+const clientAccountSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Name is required'],
+        trim: true
+    },
+    email: {
+        type: String,
+        required: [true, 'Email is required'],
+        unique: true,
+        trim: true,
+        lowercase: true,
+        match: [/^\w+([.-]?\w+)*@\w+([.-]?\w+)*(\.\w{2,3})+$/, 'Please enter a valid email']
+    },
+    company: {
+        type: String,
+        trim: true
+    },
+    // Optional: clients can sign in with magic links only
+    password: {
+        type: String,
+        minlength: [8, 'Password must be at least 8 characters']
+    },
+    status: {
+        type: String,
+        enum: ['invited', 'active', 'disabled'],
+        default: 'invited'
+    },
+    // Single-use invite or sign-in link; only the SHA-256 hash is stored
+    signInToken: {
+        hash: String,
+        purpose: {
+            type: String,
+            enum: ['invite', 'login']
+        },
+        expiresAt: Date
+    },
+    // Bumped to revoke every access token issued so far
+    tokenVersion: {
+        type: Number,
+        default: 0
+    },
+    invitedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    invitedAt: Date,
+    lastLogin: Date,
+    // Login throttling; see utils/loginThrottle.js
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastFailedLoginAt: Date,
+    lockUntil: Date
+}, {
+    timestamps: true
+});
+
+clientAccountSchema.pre('save', async function(next) {
+    if (!this.isModified('password') || !this.password) return next();
+
+    try {
+        this.password = await bcrypt.hash(this.password, 12);
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+clientAccountSchema.methods.comparePassword = async function(password) {
+    if (!this.password) return false;
+    return await bcrypt.compare(password, this.password);
+};
+
+clientAccountSchema.statics.hashSignInToken = function(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Returns the raw token for the emailed link
+clientAccountSchema.methods.createSignInToken = function(purpose, expiresInMs) {
+    const token = crypto.randomBytes(32).toString('hex');
+    this.signInToken = {
+        hash: this.constructor.hashSignInToken(token),
+        purpose,
+        expiresAt: new Date(Date.now() + expiresInMs)
+    };
+    return token;
+};
+
+clientAccountSchema.methods.generateAuthToken = function() {
+    return jwt.sign(
+        {
+            clientId: this._id,
+            purpose: CLIENT_TOKEN_PURPOSE,
+            version: this.tokenVersion
+        },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.CLIENT_JWT_EXPIRES_IN || '12h' }
+    );
+};
+
+clientAccountSchema.statics.TOKEN_PURPOSE = CLIENT_TOKEN_PURPOSE;
+console.log('clientAccountSchema defined.');
+
 // Project Schema
 const projectSchema = new mongoose.Schema({
     title: {
@@ -169,7 +474,12 @@ const projectSchema = new mongoose.Schema({
     client: {
         name: String,
         company: String,
-        email: String
+        email: String,
+        // Portal account that can see this project
+        account: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ClientAccount'
+        }
     },
     category: {
         type: String,
@@ -191,6 +501,98 @@ const projectSchema = new mongoose.Schema({
     },
     startDate: Date,
     endDate: Date,
+    progress: {
+        type: Number,
+        min: 0,
+        max: 100,
+        default: 0
+    },
+    // Progress feed posted by the team, newest last
+    updates: [{
+        status: {
+            type: String,
+            enum: ['planning', 'in-progress', 'completed', 'on-hold']
+        },
+        progress: {
+            type: Number,
+            min: 0,
+            max: 100
+        },
+        message: {
+            type: String,
+            required: true,
+            maxlength: 2000
+        },
+        nextSteps: {
+            type: String,
+            maxlength: 1000
+        },
+        author: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        authorName: String,
+        notifyClient: {
+            type: Boolean,
+            default: false
+        },
+        // Queued project-update email, when the client was notified
+        emailJob: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'EmailJob'
+        },
+        notifiedAt: Date,
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Files shared with the client portal, stored elsewhere and linked by URL
+    sharedFiles: [{
+        name: {
+            type: String,
+            required: true
+        },
+        url: {
+            type: String,
+            required: true
+        },
+        description: String,
+        sharedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        sharedAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    // Conversation between the client and the team
+    comments: [{
+        message: {
+            type: String,
+            required: true,
+            maxlength: 2000
+        },
+        authorType: {
+            type: String,
+            enum: ['client', 'team'],
+            required: true
+        },
+        clientAccount: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'ClientAccount'
+        },
+        user: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        authorName: String,
+        createdAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
     teamMembers: [{
         name: String,
         role: String,
@@ -206,6 +608,11 @@ const projectSchema = new mongoose.Schema({
     featured: {
         type: Boolean,
         default: false
+    },
+    // Lead this project was converted from
+    sourceContact: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Contact'
     }
 }, {
     timestamps: true
@@ -339,19 +746,244 @@ const newsletterSchema = new mongoose.Schema({
     },
     name: String,
     interests: [String],
+    // Double opt-in lifecycle: only confirmed subscribers receive newsletters
+    status: {
+        type: String,
+        enum: ['pending', 'confirmed', 'unsubscribed'],
+        default: 'pending'
+    },
+    // Kept in sync with status for existing queries
     isActive: {
         type: Boolean,
-        default: true
+        default: false
     },
     source: {
         type: String,
         default: 'website'
+    },
+    // Consent record for compliance
+    consent: {
+        requestedAt: Date,
+        requestIp: String,
+        requestUserAgent: String,
+        confirmedAt: Date,
+        confirmedIp: String,
+        confirmedUserAgent: String,
+        // How consent was obtained when it wasn't through the confirmation link
+        note: String
+    },
+    confirmationSentAt: Date,
+    unsubscribedAt: Date,
+    unsubscribeMethod: {
+        type: String,
+        enum: ['link', 'one-click', 'admin']
     }
 }, {
     timestamps: true
 });
+
+newsletterSchema.pre('save', function(next) {
+    this.isActive = this.status === 'confirmed';
+    next();
+});
 console.log('newsletterSchema defined.');
 
+// Newsletter Campaign Schema
+const campaignSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Campaign name is required'],
+        trim: true,
+        maxlength: [200, 'Campaign name cannot exceed 200 characters']
+    },
+    subject: {
+        type: String,
+        required: [true, 'Subject is required'],
+        trim: true,
+        maxlength: [200, 'Subject cannot exceed 200 characters']
+    },
+    // Handlebars HTML, rendered per recipient with {{name}}, {{email}} and {{unsubscribeUrl}}
+    body: {
+        type: String,
+        required: [true, 'Body is required']
+    },
+    // Empty lists match every confirmed subscriber
+    segment: {
+        interests: [String],
+        sources: [String]
+    },
+    status: {
+        type: String,
+        enum: ['draft', 'scheduled', 'sending', 'sent', 'failed', 'cancelled'],
+        default: 'draft'
+    },
+    scheduledAt: Date,
+    startedAt: Date,
+    // Touched after every batch while sending; a stale one means the sender stopped
+    heartbeatAt: Date,
+    completedAt: Date,
+    lastTestSentAt: Date,
+    stats: {
+        recipients: { type: Number, default: 0 },
+        sent: { type: Number, default: 0 },
+        failed: { type: Number, default: 0 }
+    },
+    error: String,
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+console.log('campaignSchema defined.');
+
+// Per-recipient delivery record of a campaign
+const campaignDeliverySchema = new mongoose.Schema({
+    campaign: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Campaign',
+        required: true
+    },
+    subscriber: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Newsletter',
+        required: true
+    },
+    email: {
+        type: String,
+        required: true
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'sent', 'failed', 'skipped'],
+        default: 'pending'
+    },
+    messageId: String,
+    error: String,
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    sentAt: Date
+}, {
+    timestamps: true
+});
+console.log('campaignDeliverySchema defined.');
+
+// Outgoing email queued for the email worker
+const emailJobSchema = new mongoose.Schema({
+    // sendEmail options: { to, subject, template, data, html, text, headers, tracking }
+    message: {
+        to: {
+            type: String,
+            required: [true, 'Recipient is required']
+        },
+        subject: {
+            type: String,
+            required: [true, 'Subject is required']
+        },
+        template: String,
+        data: {
+            type: mongoose.Schema.Types.Mixed,
+            default: {}
+        },
+        html: String,
+        text: String,
+        headers: mongoose.Schema.Types.Mixed,
+        tracking: mongoose.Schema.Types.Mixed
+    },
+    status: {
+        type: String,
+        enum: ['queued', 'processing', 'retrying', 'sent', 'dead'],
+        default: 'queued'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 5
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: Date,
+    lockedBy: String,
+    lastError: String,
+    failures: [{
+        attempt: Number,
+        error: String,
+        at: { type: Date, default: Date.now }
+    }],
+    messageId: String,
+    sentAt: Date,
+    replayedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    replayedAt: Date
+}, {
+    timestamps: true
+});
+console.log('emailJobSchema defined.');
+
+// Admin-editable email template; overrides the file in templates/email with the same name
+const emailTemplateSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Template name is required'],
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9-]+$/, 'Name can only contain lowercase letters, numbers and hyphens']
+    },
+    // Layouts wrap templates through {{{body}}}; partials are included with {{> name}}
+    type: {
+        type: String,
+        enum: ['template', 'layout', 'partial'],
+        default: 'template'
+    },
+    description: String,
+    // Handlebars subject; when empty the sender's subject is used
+    subject: String,
+    html: {
+        type: String,
+        required: [true, 'Template HTML is required']
+    },
+    // Layout to wrap a template in; empty for none
+    layout: {
+        type: String,
+        default: 'default'
+    },
+    // Example data for previews
+    sampleData: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+console.log('emailTemplateSchema defined.');
+
 // Analytics Schema
 const analyticsSchema = new mongoose.Schema({
     event: {
@@ -405,7 +1037,7 @@ const blogPostSchema = new mongoose.Schema({
     featuredImage: String,
     status: {
         type: String,
-        enum: ['draft', 'published', 'archived'],
+        enum: ['draft', 'scheduled', 'published', 'archived'],
         default: 'draft'
     },
     publishedAt: Date,
@@ -421,30 +1053,294 @@ const blogPostSchema = new mongoose.Schema({
 }, {
     timestamps: true
 });
+// Turn a title into a URL-safe slug
+const slugify = (text) => text
+    .toString()
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9\s-]/g, '')
+    .replace(/[\s-]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+
+// Derive a unique slug from the title when none is supplied
+blogPostSchema.pre('validate', async function(next) {
+    if (this.slug || !this.title) return next();
+
+    try {
+        const baseSlug = slugify(this.title) || 'post';
+        let slug = baseSlug;
+        let suffix = 1;
+
+        while (await this.constructor.exists({ slug, _id: { $ne: this._id } })) {
+            suffix++;
+            slug = `${baseSlug}-${suffix}`;
+        }
+
+        this.slug = slug;
+        next();
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Stamp publishedAt when a post goes live, pulling a future schedule forward
+blogPostSchema.pre('save', function(next) {
+    if (this.isModified('status') && this.status === 'published' &&
+        (!this.publishedAt || this.publishedAt > new Date())) {
+        this.publishedAt = new Date();
+    }
+    next();
+});
+
+// Query filter for posts that are live on the public site
+blogPostSchema.statics.publishedFilter = function() {
+    return {
+        status: 'published',
+        publishedAt: { $lte: new Date() }
+    };
+};
 console.log('blogPostSchema defined.');
 
+// Revision Schema (immutable edit history for content models)
+const revisionSchema = new mongoose.Schema({
+    documentType: {
+        type: String,
+        required: true,
+        enum: ['BlogPost', 'EmailTemplate'],
+        immutable: true
+    },
+    documentId: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'documentType',
+        required: true,
+        immutable: true
+    },
+    version: {
+        type: Number,
+        required: true,
+        immutable: true
+    },
+    action: {
+        type: String,
+        enum: ['create', 'update', 'status', 'publish', 'restore'],
+        required: true,
+        immutable: true
+    },
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        immutable: true
+    },
+    diff: {
+        type: [{
+            _id: false,
+            field: String,
+            before: mongoose.Schema.Types.Mixed,
+            after: mongoose.Schema.Types.Mixed
+        }],
+        immutable: true
+    },
+    snapshot: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+        immutable: true
+    },
+    restoredFrom: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Revision',
+        immutable: true
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Revisions are append-only
+revisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+    next(new Error('Revisions are immutable'));
+});
+revisionSchema.pre('save', function(next) {
+    if (!this.isNew) return next(new Error('Revisions are immutable'));
+    next();
+});
+console.log('revisionSchema defined.');
+
+// Content Draft Schema (AI-generated content awaiting editorial review)
+const contentDraftSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['blog-post', 'service-description', 'case-study', 'tech-stack', 'seo'],
+        required: true
+    },
+    input: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    output: {
+        type: String,
+        required: [true, 'Generated output is required']
+    },
+    status: {
+        type: String,
+        enum: ['pending', 'accepted', 'rejected'],
+        default: 'pending'
+    },
+    target: {
+        model: {
+            type: String,
+            enum: ['BlogPost', 'Service', 'Project']
+        },
+        id: {
+            type: mongoose.Schema.Types.ObjectId,
+            refPath: 'target.model'
+        }
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    reviewedAt: Date,
+    reviewNotes: String
+}, {
+    timestamps: true
+});
+console.log('contentDraftSchema defined.');
+
+// Setting Schema (admin-configurable settings stored by key)
+const settingSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: [true, 'Setting key is required'],
+        unique: true,
+        trim: true
+    },
+    value: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+console.log('settingSchema defined.');
+
+// Security Event Schema (audit log written through logger.security)
+// Event types and how serious each one is
+const SECURITY_EVENT_TYPES = {
+    login_failed: 'warning',
+    account_locked: 'critical',
+    ip_locked: 'critical',
+    account_unlocked: 'info',
+    password_changed: 'info',
+    password_reset: 'warning',
+    role_changed: 'warning',
+    user_created: 'info',
+    mfa_enabled: 'info',
+    mfa_disabled: 'warning',
+    mfa_reset: 'warning',
+    refresh_token_reused: 'critical'
+};
+
+const securityEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: Object.keys(SECURITY_EVENT_TYPES),
+        required: true
+    },
+    severity: {
+        type: String,
+        enum: ['info', 'warning', 'critical'],
+        default: 'info'
+    },
+    message: String,
+    // The account the event is about, if known
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    // Who did it, when not the account itself (e.g. an admin changing a role)
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    ip: String,
+    userAgent: String,
+    metadata: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+securityEventSchema.statics.TYPES = SECURITY_EVENT_TYPES;
+console.log('securityEventSchema defined.');
+
 // Create indexes for better performance
 contactSchema.index({ createdAt: -1, status: 1 });
+contactSchema.index({ leadScore: -1 });
+contactSchema.index({ assignedTo: 1, followUpAt: 1 });
 // userSchema.index({ email: 1 });
 projectSchema.index({ category: 1, status: 1, featured: -1 });
+projectSchema.index({ 'client.account': 1 });
+clientAccountSchema.index({ 'signInToken.hash': 1 }, { sparse: true });
 serviceSchema.index({ isActive: 1, order: 1 });
 teamMemberSchema.index({ isActive: 1, order: 1 });
 testimonialSchema.index({ isPublic: 1, featured: -1 });
 analyticsSchema.index({ createdAt: -1, event: 1, category: 1 });
+analyticsSchema.index({ 'metadata.campaignId': 1, event: 1 });
 blogPostSchema.index({ status: 1, publishedAt: -1 });
+blogPostSchema.index({ tags: 1 });
+revisionSchema.index({ documentType: 1, documentId: 1, version: -1 }, { unique: true });
+contentDraftSchema.index({ status: 1, type: 1, createdAt: -1 });
+newsletterSchema.index({ status: 1, createdAt: -1 });
+campaignSchema.index({ status: 1, scheduledAt: 1 });
+campaignDeliverySchema.index({ campaign: 1, subscriber: 1 }, { unique: true });
+campaignDeliverySchema.index({ campaign: 1, status: 1 });
+emailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+emailTemplateSchema.index({ name: 1, type: 1 }, { unique: true });
+// Sent emails are kept for 30 days; dead letters stay until replayed or removed
+emailJobSchema.index({ sentAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ ip: 1, createdAt: -1 });
+securityEventSchema.index({ createdAt: 1 }, {
+    expireAfterSeconds: (parseInt(process.env.SECURITY_EVENT_RETENTION_DAYS) || 365) * 24 * 60 * 60
+});
 console.log('Schemas indexed.');
 
 // Export models
 const models = {
     Contact: mongoose.model('Contact', contactSchema),
     User: mongoose.model('User', userSchema),
+    Role: mongoose.model('Role', roleSchema),
+    ClientAccount: mongoose.model('ClientAccount', clientAccountSchema),
     Project: mongoose.model('Project', projectSchema),
     Service: mongoose.model('Service', serviceSchema),
     TeamMember: mongoose.model('TeamMember', teamMemberSchema),
     Testimonial: mongoose.model('Testimonial', testimonialSchema),
     Newsletter: mongoose.model('Newsletter', newsletterSchema),
+    Campaign: mongoose.model('Campaign', campaignSchema),
+    CampaignDelivery: mongoose.model('CampaignDelivery', campaignDeliverySchema),
+    EmailJob: mongoose.model('EmailJob', emailJobSchema),
+    EmailTemplate: mongoose.model('EmailTemplate', emailTemplateSchema),
     Analytics: mongoose.model('Analytics', analyticsSchema),
-    BlogPost: mongoose.model('BlogPost', blogPostSchema)
+    BlogPost: mongoose.model('BlogPost', blogPostSchema),
+    Revision: mongoose.model('Revision', revisionSchema),
+    ContentDraft: mongoose.model('ContentDraft', contentDraftSchema),
+    Setting: mongoose.model('Setting', settingSchema),
+    SecurityEvent: mongoose.model('SecurityEvent', securityEventSchema)
 };
 
 console.log('Models created and ready for export.');
@@ -0,0 +1,522 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { ContentDraft, BlogPost, Service, Project } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { catchAsync } = require('../middleware/errorHandler');
+const { generateContent, analyzeTechStack, generateSEOContent, parseSEOContent } = require('../utils/gemini');
+const { takeSnapshot, recordRevision } = require('../utils/revisions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Every studio endpoint is for content editors only
+router.use(auth);
+
+// Which model each draft type can be applied to
+const TARGET_MODELS = {
+    'blog-post': 'BlogPost',
+    'service-description': 'Service',
+    'case-study': 'Project',
+    seo: 'BlogPost'
+};
+
+const MODELS = { BlogPost, Service, Project };
+
+// Resolve and check an optional target document for a draft type
+const findTarget = async (type, targetId) => {
+    const modelName = TARGET_MODELS[type];
+    if (!targetId || !modelName) return null;
+
+    const document = await MODELS[modelName].findById(targetId);
+    return document ? { model: modelName, document } : undefined;
+};
+
+// Run a generator, store its output as a pending draft and respond
+const createDraft = async (req, res, { type, input, targetId, generate }) => {
+    const target = await findTarget(type, targetId);
+    if (target === undefined) {
+        return res.status(404).json({
+            success: false,
+            message: `${TARGET_MODELS[type]} not found`
+        });
+    }
+
+    let output;
+    try {
+        output = await generate();
+    } catch (error) {
+        logger.error(`AI ${type} generation error:`, error);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to generate content. Please try again later.',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+
+    const draft = new ContentDraft({
+        type,
+        input,
+        output,
+        target: target ? { model: target.model, id: target.document._id } : undefined,
+        createdBy: req.user.userId
+    });
+    await draft.save();
+
+    logger.userAction(req.user.userId, 'generated_ai_draft', { draftId: draft._id, type });
+
+    res.status(201).json({
+        success: true,
+        message: 'Draft generated and saved for review',
+        data: draft
+    });
+};
+
+// @route   POST /api/ai/content
+// @desc    Generate a blog post, service description or case study draft
+// @access  Private (Admin/Manager)
+router.post('/content', authorize('ai:write'), [
+    body('contentType')
+        .isIn(['blog-post', 'service-description', 'case-study'])
+        .withMessage('Invalid content type'),
+
+    body('topic')
+        .trim()
+        .isLength({ min: 3, max: 200 })
+        .withMessage('Topic must be between 3 and 200 characters'),
+
+    body('additionalContext')
+        .optional()
+        .trim()
+        .isLength({ max: 2000 })
+        .withMessage('Additional context cannot exceed 2000 characters'),
+
+    body('targetId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid target ID')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const { contentType, topic, additionalContext = '', targetId } = req.body;
+
+    await createDraft(req, res, {
+        type: contentType,
+        input: { topic, additionalContext },
+        targetId,
+        generate: () => generateContent(contentType, topic, additionalContext)
+    });
+}));
+
+// @route   POST /api/ai/tech-stack
+// @desc    Generate a technology stack analysis draft
+// @access  Private (Admin/Manager)
+router.post('/tech-stack', authorize('ai:write'), [
+    body('requirements')
+        .trim()
+        .isLength({ min: 20, max: 5000 })
+        .withMessage('Requirements must be between 20 and 5000 characters')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const { requirements } = req.body;
+
+    await createDraft(req, res, {
+        type: 'tech-stack',
+        input: { requirements },
+        generate: () => analyzeTechStack(requirements)
+    });
+}));
+
+// @route   POST /api/ai/seo
+// @desc    Generate SEO metadata draft, optionally for a blog post
+// @access  Private (Admin/Manager)
+router.post('/seo', authorize('ai:write'), [
+    body('pageTitle')
+        .trim()
+        .isLength({ min: 3, max: 200 })
+        .withMessage('Page title must be between 3 and 200 characters'),
+
+    body('pageContent')
+        .trim()
+        .isLength({ min: 20, max: 5000 })
+        .withMessage('Page content must be between 20 and 5000 characters'),
+
+    body('targetId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid target ID')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const { pageTitle, pageContent, targetId } = req.body;
+
+    await createDraft(req, res, {
+        type: 'seo',
+        input: { pageTitle, pageContent },
+        targetId,
+        generate: () => generateSEOContent(pageTitle, pageContent)
+    });
+}));
+
+// @route   GET /api/ai/drafts
+// @desc    Get generated drafts
+// @access  Private (Admin/Manager)
+router.get('/drafts', authorize('ai:read'), catchAsync(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { type, status } = req.query;
+
+    const filter = {};
+    if (type) filter.type = type;
+    if (status) filter.status = status;
+
+    const skip = (page - 1) * limit;
+
+    const drafts = await ContentDraft.find(filter)
+        .populate('createdBy', 'name email')
+        .populate('reviewedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+    const total = await ContentDraft.countDocuments(filter);
+
+    res.json({
+        success: true,
+        data: drafts,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    });
+}));
+
+// @route   GET /api/ai/drafts/:id
+// @desc    Get a single draft
+// @access  Private (Admin/Manager)
+router.get('/drafts/:id', authorize('ai:read'), catchAsync(async (req, res) => {
+    const draft = await ContentDraft.findById(req.params.id)
+        .populate('createdBy', 'name email')
+        .populate('reviewedBy', 'name email');
+
+    if (!draft) {
+        return res.status(404).json({
+            success: false,
+            message: 'Draft not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: draft
+    });
+}));
+
+// @route   PUT /api/ai/drafts/:id
+// @desc    Edit a pending draft's output before accepting it
+// @access  Private (Admin/Manager)
+router.put('/drafts/:id', authorize('ai:write'), [
+    body('output')
+        .trim()
+        .isLength({ min: 1 })
+        .withMessage('Output cannot be empty')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const draft = await ContentDraft.findOneAndUpdate(
+        { _id: req.params.id, status: 'pending' },
+        { output: req.body.output },
+        { new: true, runValidators: true }
+    );
+
+    if (!draft) {
+        return res.status(404).json({
+            success: false,
+            message: 'Pending draft not found'
+        });
+    }
+
+    logger.userAction(req.user.userId, 'edited_ai_draft', { draftId: draft._id });
+
+    res.json({
+        success: true,
+        message: 'Draft updated successfully',
+        data: draft
+    });
+}));
+
+// Write an accepted draft into its target model; returns the target or an error message
+const applyDraft = async (draft, options, userId) => {
+    const target = await findTarget(draft.type, options.targetId || draft.target?.id);
+    if (target === undefined) {
+        return { error: `${TARGET_MODELS[draft.type]} not found`, status: 404 };
+    }
+
+    switch (draft.type) {
+        case 'blog-post': {
+            if (target) {
+                const previous = takeSnapshot('BlogPost', target.document);
+                target.document.content = draft.output;
+                await target.document.save();
+                await recordRevision({
+                    documentType: 'BlogPost',
+                    document: target.document,
+                    previous,
+                    author: userId,
+                    action: 'update'
+                });
+                return { target };
+            }
+
+            const post = new BlogPost({
+                title: options.title || draft.input.topic,
+                content: draft.output,
+                category: options.category,
+                tags: options.tags,
+                status: 'draft',
+                author: userId
+            });
+            await post.save();
+            await recordRevision({
+                documentType: 'BlogPost',
+                document: post,
+                author: userId,
+                action: 'create'
+            });
+            return { target: { model: 'BlogPost', document: post } };
+        }
+
+        case 'service-description': {
+            if (!target) {
+                return { error: 'A target service is required to apply a service description', status: 400 };
+            }
+
+            target.document.description = draft.output;
+            await target.document.save();
+            return { target };
+        }
+
+        case 'case-study': {
+            if (target) {
+                target.document.description = draft.output;
+                await target.document.save();
+                return { target };
+            }
+
+            if (!options.category) {
+                return { error: 'A project category is required to create a case study', status: 400 };
+            }
+
+            // New case studies stay private until an editor publishes them
+            const project = new Project({
+                title: options.title || draft.input.topic,
+                description: draft.output,
+                category: options.category,
+                isPublic: false
+            });
+            await project.save();
+            return { target: { model: 'Project', document: project } };
+        }
+
+        case 'seo': {
+            if (!target) return { target: null };
+
+            const previous = takeSnapshot('BlogPost', target.document);
+            target.document.seo = parseSEOContent(draft.output);
+            await target.document.save();
+            await recordRevision({
+                documentType: 'BlogPost',
+                document: target.document,
+                previous,
+                author: userId,
+                action: 'update'
+            });
+            return { target };
+        }
+
+        default:
+            // Tech stack analyses are reference material with nothing to apply
+            return { target: null };
+    }
+};
+
+// @route   POST /api/ai/drafts/:id/accept
+// @desc    Accept a draft and apply it to its BlogPost, Service or Project
+// @access  Private (Admin/Manager)
+router.post('/drafts/:id/accept', authorize('ai:write'), [
+    body('targetId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid target ID'),
+
+    body('title')
+        .optional()
+        .trim()
+        .isLength({ min: 5, max: 200 })
+        .withMessage('Title must be between 5 and 200 characters'),
+
+    body('category')
+        .optional()
+        .trim(),
+
+    body('tags')
+        .optional()
+        .isArray()
+        .withMessage('Tags must be an array'),
+
+    body('reviewNotes')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Review notes cannot exceed 1000 characters')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    // Claim the draft before applying it, so two reviewers can't both apply the same draft
+    const draft = await ContentDraft.findOneAndUpdate(
+        { _id: req.params.id, status: 'pending' },
+        {
+            status: 'accepted',
+            reviewedBy: req.user.userId,
+            reviewedAt: new Date(),
+            reviewNotes: req.body.reviewNotes
+        },
+        { new: true }
+    );
+
+    if (!draft) {
+        const existing = await ContentDraft.findById(req.params.id).select('status');
+
+        return res.status(existing ? 400 : 404).json({
+            success: false,
+            message: existing ? `Draft has already been ${existing.status}` : 'Draft not found'
+        });
+    }
+
+    // Hand the draft back to the review queue if it could not be applied
+    const release = () => ContentDraft.updateOne(
+        { _id: draft._id, status: 'accepted' },
+        { status: 'pending', $unset: { reviewedBy: 1, reviewedAt: 1, reviewNotes: 1 } }
+    );
+
+    let result;
+    try {
+        result = await applyDraft(draft, req.body, req.user.userId);
+    } catch (error) {
+        await release();
+        throw error;
+    }
+
+    if (result.error) {
+        await release();
+        return res.status(result.status).json({
+            success: false,
+            message: result.error
+        });
+    }
+
+    if (result.target) {
+        draft.target = { model: result.target.model, id: result.target.document._id };
+    }
+    await draft.save();
+
+    logger.userAction(req.user.userId, 'accepted_ai_draft', {
+        draftId: draft._id,
+        type: draft.type,
+        target: draft.target
+    });
+
+    res.json({
+        success: true,
+        message: 'Draft accepted successfully',
+        data: {
+            draft,
+            target: result.target ? result.target.document : null
+        }
+    });
+}));
+
+// @route   POST /api/ai/drafts/:id/reject
+// @desc    Reject a draft
+// @access  Private (Admin/Manager)
+router.post('/drafts/:id/reject', authorize('ai:write'), [
+    body('reviewNotes')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Review notes cannot exceed 1000 characters')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const draft = await ContentDraft.findOneAndUpdate(
+        { _id: req.params.id, status: 'pending' },
+        {
+            status: 'rejected',
+            reviewedBy: req.user.userId,
+            reviewedAt: new Date(),
+            reviewNotes: req.body.reviewNotes
+        },
+        { new: true }
+    );
+
+    if (!draft) {
+        return res.status(404).json({
+            success: false,
+            message: 'Pending draft not found'
+        });
+    }
+
+    logger.userAction(req.user.userId, 'rejected_ai_draft', { draftId: draft._id, type: draft.type });
+
+    res.json({
+        success: true,
+        message: 'Draft rejected',
+        data: draft
+    });
+}));
+
+module.exports = router;
@@ -85,7 +85,7 @@ analyticsRouter.post('/event', optionalAuth, [
 // @route   GET /api/analytics/dashboard
 // @desc    Get analytics dashboard data
 // @access  Private (Admin/Manager)
-analyticsRouter.get('/dashboard', auth, authorize(['admin', 'manager']), catchAsync(async (req, res) => {
+analyticsRouter.get('/dashboard', auth, authorize('analytics:read'), catchAsync(async (req, res) => {
     const days = parseInt(req.query.days) || 30;
     const startDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
 
@@ -197,7 +197,7 @@ analyticsRouter.get('/dashboard', auth, authorize(['admin', 'manager']), catchAs
 // @route   GET /api/analytics/events
 // @desc    Get analytics events with filters
 // @access  Private (Admin/Manager)
-analyticsRouter.get('/events', auth, authorize(['admin', 'manager']), catchAsync(async (req, res) => {
+analyticsRouter.get('/events', auth, authorize('analytics:read'), catchAsync(async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 50;
     const event = req.query.event;
@@ -238,7 +238,7 @@ analyticsRouter.get('/events', auth, authorize(['admin', 'manager']), catchAsync
 // @route   DELETE /api/analytics/cleanup
 // @desc    Clean up old analytics data
 // @access  Private (Admin only)
-analyticsRouter.delete('/cleanup', auth, authorize(['admin']), catchAsync(async (req, res) => {
+analyticsRouter.delete('/cleanup', auth, authorize('analytics:delete'), catchAsync(async (req, res) => {
     const days = parseInt(req.query.days) || 90;
     const cutoffDate = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
 
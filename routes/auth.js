@@ -1,17 +1,44 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
-const { auth } = require('../middleware/auth');
-const { sendEmail } = require('../utils/email');
+const { auth, authorize } = require('../middleware/auth');
+const { getRolePermissions, roleExists, canGrant } = require('../utils/permissions');
+const { queueEmail } = require('../utils/emailQueue');
+const {
+    setRefreshCookie,
+    clearRefreshCookie,
+    currentFamily,
+    toSessionUser,
+    startSession,
+    rotateSession,
+    endSession
+} = require('../utils/authSession');
+const {
+    MFA_TOKEN_PURPOSE,
+    isMfaRequired,
+    signMfaToken,
+    verifyMfaToken,
+    verifyMfaCode,
+    remainingBackupCodes
+} = require('../utils/mfa');
+const {
+    ipLockRemaining,
+    accountLockRemaining,
+    recordLoginFailure,
+    resetLoginFailures,
+    sendLocked
+} = require('../utils/loginThrottle');
+const { requestContext } = require('../utils/securityEvents');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
 // @route   POST /api/auth/register
-// @desc    Register a new user (Admin only)
-// @access  Private (Admin)
-router.post('/register', auth, [
+// @desc    Register a new user
+// @access  Private (users:write)
+router.post('/register', auth, authorize('users:write'), [
     body('name')
         .trim()
         .isLength({ min: 2, max: 50 })
@@ -30,18 +57,12 @@ router.post('/register', auth, [
     
     body('role')
         .optional()
-        .isIn(['admin', 'manager', 'employee'])
+        .trim()
+        .toLowerCase()
+        .matches(/^[a-z0-9-]+$/)
         .withMessage('Invalid role')
 ], async (req, res) => {
     try {
-        // Check if user is admin
-        if (req.user.role !== 'admin') {
-            return res.status(403).json({
-                success: false,
-                message: 'Only admins can create new users'
-            });
-        }
-
         const errors = validationResult(req);
         if (!errors.isEmpty()) {
             return res.status(400).json({
@@ -53,6 +74,21 @@ router.post('/register', auth, [
 
         const { name, email, password, role = 'employee' } = req.body;
 
+        if (!(await roleExists(role))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid role'
+            });
+        }
+
+        // Nobody can create a user more powerful than themselves
+        if (!canGrant(req.user, await getRolePermissions(role))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot assign a role with permissions you do not have'
+            });
+        }
+
         // Check if user already exists
         const existingUser = await User.findOne({ email });
         if (existingUser) {
@@ -74,7 +110,7 @@ router.post('/register', auth, [
 
         // Send welcome email
         try {
-            await sendEmail({
+            await queueEmail({
                 to: email,
                 subject: 'Welcome to InoxDev Team!',
                 template: 'welcome',
@@ -85,10 +121,17 @@ router.post('/register', auth, [
                 }
             });
         } catch (emailError) {
-            logger.error('Welcome email failed:', emailError);
+            logger.error('Welcome email could not be queued:', emailError);
         }
 
-        logger.info(`New user created: ${email} by ${req.user.email}`);
+        logger.security(`User ${email} created with role ${role} by ${req.user.email}`, {
+            event: 'user_created',
+            ...requestContext(req),
+            userId: user._id,
+            email,
+            actorId: req.user.userId,
+            role
+        });
 
         res.status(201).json({
             success: true,
@@ -111,8 +154,100 @@ router.post('/register', auth, [
     }
 });
 
+// @route   PUT /api/auth/users/:id/role
+// @desc    Give an existing user another role
+// @access  Private (users:write)
+router.put('/users/:id/role', auth, authorize('users:write'), [
+    body('role')
+        .trim()
+        .toLowerCase()
+        .matches(/^[a-z0-9-]+$/)
+        .withMessage('Invalid role')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (String(user._id) === String(req.user.userId)) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot change your own role'
+            });
+        }
+
+        const { role } = req.body;
+
+        if (!(await roleExists(role))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid role'
+            });
+        }
+
+        // Same rule as creating users, for the role taken away and the role given
+        if (!canGrant(req.user, await getRolePermissions(user.role)) || !canGrant(req.user, await getRolePermissions(role))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot change a role with permissions you do not have'
+            });
+        }
+
+        const previousRole = user.role;
+        if (previousRole === role) {
+            return res.json({
+                success: true,
+                message: 'User already has this role',
+                data: toSessionUser(user)
+            });
+        }
+
+        user.role = role;
+        await user.save();
+
+        logger.security(`Role of ${user.email} changed from ${previousRole} to ${role} by ${req.user.email}`, {
+            event: 'role_changed',
+            ...requestContext(req),
+            userId: user._id,
+            email: user.email,
+            actorId: req.user.userId,
+            action: 'assigned',
+            previousRole,
+            role
+        });
+
+        res.json({
+            success: true,
+            message: 'Role updated successfully',
+            data: toSessionUser(user)
+        });
+
+    } catch (error) {
+        logger.error('Role change error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to change role',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 // @route   POST /api/auth/login
-// @desc    Login user
+// @desc    Login user; with two-factor authentication this only checks the password
+//          and returns an mfaToken for POST /api/auth/login/mfa
 // @access  Public
 router.post('/login', [
     body('email')
@@ -136,53 +271,60 @@ router.post('/login', [
 
         const { email, password } = req.body;
 
+        const ipLock = ipLockRemaining(requestContext(req).ip);
+        if (ipLock) return sendLocked(res, ipLock);
+
         // Find user and include password for comparison
         const user = await User.findOne({ email, isActive: true });
         if (!user) {
+            await recordLoginFailure(req, { user: null, email, reason: 'unknown_email' });
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
+        // Locked accounts aren't told whether the password was right
+        const accountLock = accountLockRemaining(user);
+        if (accountLock) return sendLocked(res, accountLock);
+
         // Check password
         const isPasswordValid = await user.comparePassword(password);
         if (!isPasswordValid) {
+            await recordLoginFailure(req, { user, reason: 'wrong_password' });
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
-        // Generate tokens
-        const accessToken = user.generateAuthToken();
-        const refreshToken = user.generateRefreshToken();
-        
-        // Update last login
-        user.lastLogin = new Date();
-        await user.save();
+        // Second step: the code from the authenticator app
+        if (user.mfa?.enabled) {
+            logger.info(`Password accepted, awaiting two-factor code: ${email}`);
 
-        // Set HTTP-only cookie for refresh token
-        res.cookie('refreshToken', refreshToken, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-        });
+            return res.json({
+                success: true,
+                message: 'Enter the code from your authenticator app',
+                mfaRequired: true,
+                mfaToken: signMfaToken(user, MFA_TOKEN_PURPOSE.PENDING)
+            });
+        }
 
-        logger.info(`User logged in: ${email}`);
+        // Roles that must use 2FA can only enrol until they have set it up
+        if (isMfaRequired(user)) {
+            logger.info(`Password accepted, two-factor setup required: ${email}`);
 
-        res.json({
-            success: true,
-            message: 'Login successful',
-            token: accessToken,
-            user: {
-                id: user._id,
-                name: user.name,
-                email: user.email,
-                role: user.role
-            }
-        });
+            return res.json({
+                success: true,
+                message: 'Two-factor authentication is required for your role. Set it up to continue.',
+                mfaSetupRequired: true,
+                mfaToken: signMfaToken(user, MFA_TOKEN_PURPOSE.SETUP)
+            });
+        }
+
+        await startSession(req, res, user);
+
+        logger.info(`User logged in: ${email}`);
 
     } catch (error) {
         logger.error('Login error:', error);
@@ -194,8 +336,73 @@ router.post('/login', [
     }
 });
 
+// @route   POST /api/auth/login/mfa
+// @desc    Finish a two-factor login with an authenticator or backup code
+// @access  Public (mfaToken from POST /api/auth/login)
+router.post('/login/mfa', [
+    body('mfaToken')
+        .notEmpty()
+        .withMessage('mfaToken is required'),
+
+    body('code')
+        .trim()
+        .notEmpty()
+        .withMessage('Authentication code is required')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const decoded = verifyMfaToken(req.body.mfaToken, MFA_TOKEN_PURPOSE.PENDING);
+        if (!decoded) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login session expired. Please log in again.'
+            });
+        }
+
+        const user = await User.findById(decoded.userId).select('+mfa.secret +mfa.backupCodes');
+        if (!user || !user.isActive || !user.mfa?.enabled) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login session expired. Please log in again.'
+            });
+        }
+
+        const lock = ipLockRemaining(requestContext(req).ip) || accountLockRemaining(user);
+        if (lock) return sendLocked(res, lock);
+
+        const method = await verifyMfaCode(user, req.body.code);
+        if (!method) {
+            await recordLoginFailure(req, { user, reason: 'invalid_mfa_code' });
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        const extra = method === 'backup-code' ? { backupCodesRemaining: remainingBackupCodes(user) } : {};
+        await startSession(req, res, user, { extra });
+
+        logger.info(`User logged in with two-factor (${method}): ${user.email}`);
+
+    } catch (error) {
+        logger.error('Two-factor login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Login failed'
+        });
+    }
+});
+
 // @route   POST /api/auth/refresh
-// @desc    Refresh access token
+// @desc    Refresh access token; the refresh token cookie is replaced on every call
 // @access  Public
 router.post('/refresh', async (req, res) => {
     try {
@@ -208,35 +415,34 @@ router.post('/refresh', async (req, res) => {
             });
         }
 
-        // Verify refresh token
-        const decoded = jwt.verify(refreshToken, process.env.JWT_REFRESH_SECRET);
-        
-        // Find user and check if refresh token exists
-        const user = await User.findOne({
-            _id: decoded.userId,
-            'refreshTokens.token': refreshToken,
-            isActive: true
-        });
+        const { user, refreshToken: nextRefreshToken, error } = await rotateSession(req, refreshToken);
 
-        if (!user) {
+        if (error) {
+            clearRefreshCookie(res);
             return res.status(401).json({
                 success: false,
-                message: 'Invalid refresh token'
+                message: error === 'reused'
+                    ? 'Refresh token was already used. The session has been signed out for safety.'
+                    : 'Invalid refresh token'
             });
         }
 
-        // Generate new access token
-        const accessToken = user.generateAuthToken();
+        // Sessions from before 2FA became required for the role have to log in again
+        if (isMfaRequired(user) && !user.mfa?.enabled) {
+            await endSession(user._id, nextRefreshToken);
+            clearRefreshCookie(res);
+            return res.status(401).json({
+                success: false,
+                message: 'Two-factor authentication setup required. Please log in again.'
+            });
+        }
+
+        setRefreshCookie(res, nextRefreshToken);
 
         res.json({
             success: true,
-            token: accessToken,
-            user: {
-                id: user._id,
-                name: user.name,
-                email: user.email,
-                role: user.role
-            }
+            token: user.generateAuthToken(),
+            user: toSessionUser(user)
         });
 
     } catch (error) {
@@ -256,14 +462,12 @@ router.post('/logout', auth, async (req, res) => {
         const refreshToken = req.cookies.refreshToken;
         
         if (refreshToken) {
-            // Remove refresh token from user document
-            await User.findByIdAndUpdate(req.user.userId, {
-                $pull: { refreshTokens: { token: refreshToken } }
-            });
+            // End this device's session
+            await endSession(req.user.userId, refreshToken);
         }
 
         // Clear refresh token cookie
-        res.clearCookie('refreshToken');
+        clearRefreshCookie(res);
 
         logger.info(`User logged out: ${req.user.email}`);
 
@@ -292,7 +496,7 @@ router.post('/logout-all', auth, async (req, res) => {
         });
 
         // Clear refresh token cookie
-        res.clearCookie('refreshToken');
+        clearRefreshCookie(res);
 
         logger.info(`User logged out from all devices: ${req.user.email}`);
 
@@ -310,6 +514,110 @@ router.post('/logout-all', auth, async (req, res) => {
     }
 });
 
+// @route   GET /api/auth/sessions
+// @desc    List the devices the current user is signed in on
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('refreshTokens');
+        const family = currentFamily(req);
+        const now = new Date();
+
+        const sessions = user.refreshTokens
+            .filter(session => session.expiresAt > now)
+            .sort((a, b) => b.lastUsedAt - a.lastUsedAt)
+            .map(session => ({
+                id: session._id,
+                device: session.device,
+                userAgent: session.userAgent,
+                ip: session.ip,
+                createdAt: session.createdAt,
+                lastUsedAt: session.lastUsedAt,
+                expiresAt: session.expiresAt,
+                current: session.family === family
+            }));
+
+        res.json({
+            success: true,
+            data: sessions
+        });
+
+    } catch (error) {
+        logger.error('List sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch sessions'
+        });
+    }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out every other device, keeping the current session
+// @access  Private
+router.delete('/sessions', auth, async (req, res) => {
+    try {
+        const family = currentFamily(req);
+
+        await User.findByIdAndUpdate(req.user.userId, {
+            $pull: { refreshTokens: family ? { family: { $ne: family } } : {} }
+        });
+
+        logger.userAction(req.user.userId, 'revoked_other_sessions', {});
+
+        res.json({
+            success: true,
+            message: 'Signed out of all other devices'
+        });
+
+    } catch (error) {
+        logger.error('Revoke sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke sessions'
+        });
+    }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+    try {
+        const user = await User.findById(req.user.userId).select('refreshTokens');
+        const session = mongoose.isValidObjectId(req.params.id) ? user.refreshTokens.id(req.params.id) : null;
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await User.updateOne(
+            { _id: req.user.userId },
+            { $pull: { refreshTokens: { _id: session._id } } }
+        );
+
+        if (session.family === currentFamily(req)) {
+            clearRefreshCookie(res);
+        }
+
+        logger.userAction(req.user.userId, 'revoked_session', { sessionId: session._id, device: session.device });
+
+        res.json({
+            success: true,
+            message: 'Session revoked'
+        });
+
+    } catch (error) {
+        logger.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to revoke session'
+        });
+    }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user profile
 // @access  Private
@@ -338,6 +646,19 @@ router.get('/me', auth, async (req, res) => {
     }
 });
 
+// @route   GET /api/auth/me/permissions
+// @desc    Get the current user's role and permissions, so the admin UI knows what to show
+// @access  Private
+router.get('/me/permissions', auth, (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            role: req.user.role,
+            permissions: req.user.permissions
+        }
+    });
+});
+
 // @route   PUT /api/auth/profile
 // @desc    Update user profile
 // @access  Private
@@ -455,9 +776,14 @@ router.put('/change-password', auth, [
         await user.save();
 
         // Clear refresh token cookie
-        res.clearCookie('refreshToken');
+        clearRefreshCookie(res);
 
-        logger.info(`Password changed: ${user.email}`);
+        logger.security(`Password changed: ${user.email}`, {
+            event: 'password_changed',
+            ...requestContext(req),
+            userId: user._id,
+            email: user.email
+        });
 
         res.json({
             success: true,
@@ -513,7 +839,7 @@ router.post('/forgot-password', [
 
         // Send password reset email
         try {
-            await sendEmail({
+            await queueEmail({
                 to: email,
                 subject: 'Password Reset Request - InoxDev',
                 template: 'password-reset',
@@ -524,7 +850,7 @@ router.post('/forgot-password', [
                 }
             });
         } catch (emailError) {
-            logger.error('Password reset email failed:', emailError);
+            logger.error('Password reset email could not be queued:', emailError);
             return res.status(500).json({
                 success: false,
                 message: 'Failed to send password reset email'
@@ -600,12 +926,18 @@ router.post('/reset-password', [
             });
         }
 
-        // Update password and clear all refresh tokens
+        // Update password, clear all refresh tokens and lift any lockout
         user.password = newPassword;
         user.refreshTokens = [];
+        resetLoginFailures(user);
         await user.save();
 
-        logger.info(`Password reset completed: ${user.email}`);
+        logger.security(`Password reset completed: ${user.email}`, {
+            event: 'password_reset',
+            ...requestContext(req),
+            userId: user._id,
+            email: user.email
+        });
 
         res.json({
             success: true,
@@ -0,0 +1,602 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { BlogPost, Revision } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { catchAsync } = require('../middleware/errorHandler');
+const { takeSnapshot, recordRevision, listRevisions, restoreRevision } = require('../utils/revisions');
+const { escapeRegex } = require('../utils/regex');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Allowed editorial status changes
+const STATUS_TRANSITIONS = {
+    draft: ['scheduled', 'published', 'archived'],
+    scheduled: ['draft', 'published'],
+    published: ['archived', 'draft'],
+    archived: ['draft', 'published']
+};
+
+// Validation rules shared by create and update
+const blogPostValidation = (isUpdate = false) => {
+    const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+    return [
+        field('title')
+            .trim()
+            .isLength({ min: 5, max: 200 })
+            .withMessage('Title must be between 5 and 200 characters'),
+
+        body('slug')
+            .optional()
+            .trim()
+            .isLength({ min: 3, max: 200 })
+            .matches(/^[a-z0-9-]+$/)
+            .withMessage('Slug must contain only lowercase letters, numbers, and hyphens'),
+
+        field('content')
+            .trim()
+            .isLength({ min: 50 })
+            .withMessage('Content must be at least 50 characters'),
+
+        body('excerpt')
+            .optional()
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Excerpt cannot exceed 500 characters'),
+
+        body('category')
+            .optional()
+            .trim()
+            .isLength({ max: 50 })
+            .withMessage('Category cannot exceed 50 characters'),
+
+        body('tags')
+            .optional()
+            .isArray()
+            .withMessage('Tags must be an array'),
+
+        body('featuredImage')
+            .optional()
+            .isURL()
+            .withMessage('Featured image must be a valid URL'),
+
+        body('seo.metaTitle')
+            .optional()
+            .trim()
+            .isLength({ max: 70 })
+            .withMessage('Meta title cannot exceed 70 characters'),
+
+        body('seo.metaDescription')
+            .optional()
+            .trim()
+            .isLength({ max: 160 })
+            .withMessage('Meta description cannot exceed 160 characters'),
+
+        body('seo.keywords')
+            .optional()
+            .isArray()
+            .withMessage('SEO keywords must be an array')
+    ];
+};
+
+// Pick the editable fields from a request body
+const pickPostFields = (data) => {
+    const fields = ['title', 'slug', 'excerpt', 'content', 'category', 'tags', 'featuredImage', 'seo'];
+    const result = {};
+
+    fields.forEach(field => {
+        if (data[field] !== undefined) result[field] = data[field];
+    });
+
+    if (result.tags) {
+        result.tags = result.tags.map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+    }
+
+    return result;
+};
+
+// Listing filters must be single strings; repeated or bracketed params arrive as arrays/objects
+const listQueryValidation = [
+    query(['tag', 'category', 'status'])
+        .optional()
+        .isString()
+        .withMessage('Filters must be single values'),
+
+    query('search')
+        .optional()
+        .isString()
+        .withMessage('Search must be a single value')
+        .isLength({ max: 100 })
+        .withMessage('Search cannot exceed 100 characters')
+];
+
+const sendValidationErrors = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return false;
+
+    res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+    });
+    return true;
+};
+
+// @route   GET /api/blog
+// @desc    Get published blog posts
+// @access  Public
+router.get('/', listQueryValidation, catchAsync(async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const { tag, category, search } = req.query;
+
+    const filter = BlogPost.publishedFilter();
+    if (tag) filter.tags = tag.toLowerCase();
+    if (category) filter.category = category;
+    if (search) {
+        const pattern = escapeRegex(search);
+        filter.$or = [
+            { title: { $regex: pattern, $options: 'i' } },
+            { excerpt: { $regex: pattern, $options: 'i' } }
+        ];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const posts = await BlogPost.find(filter)
+        .populate('author', 'name')
+        .select('-content -__v')
+        .sort({ publishedAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+    const total = await BlogPost.countDocuments(filter);
+
+    res.json({
+        success: true,
+        data: posts,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    });
+}));
+
+// @route   GET /api/blog/tags
+// @desc    Get tags used by published posts with counts
+// @access  Public
+router.get('/tags', catchAsync(async (req, res) => {
+    const tags = await BlogPost.aggregate([
+        { $match: BlogPost.publishedFilter() },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+    ]);
+
+    res.json({
+        success: true,
+        data: tags
+    });
+}));
+
+// @route   GET /api/blog/categories
+// @desc    Get categories used by published posts with counts
+// @access  Public
+router.get('/categories', catchAsync(async (req, res) => {
+    const categories = await BlogPost.aggregate([
+        { $match: { ...BlogPost.publishedFilter(), category: { $exists: true, $ne: '' } } },
+        { $group: { _id: '$category', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+    ]);
+
+    res.json({
+        success: true,
+        data: categories
+    });
+}));
+
+// Admin routes
+
+// @route   GET /api/blog/admin/all
+// @desc    Get all blog posts for admin
+// @access  Private (Admin/Manager)
+router.get('/admin/all', auth, authorize('blog:read'), listQueryValidation, catchAsync(async (req, res) => {
+    if (sendValidationErrors(req, res)) return;
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { status, tag, category, search } = req.query;
+
+    const filter = {};
+    if (status) filter.status = status;
+    if (tag) filter.tags = tag.toLowerCase();
+    if (category) filter.category = category;
+    if (search) {
+        const pattern = escapeRegex(search);
+        filter.$or = [
+            { title: { $regex: pattern, $options: 'i' } },
+            { content: { $regex: pattern, $options: 'i' } }
+        ];
+    }
+
+    const skip = (page - 1) * limit;
+
+    const posts = await BlogPost.find(filter)
+        .populate('author', 'name email')
+        .select('-content')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+    const total = await BlogPost.countDocuments(filter);
+
+    res.json({
+        success: true,
+        data: posts,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    });
+}));
+
+// @route   GET /api/blog/admin/:id
+// @desc    Get any blog post by id for editing
+// @access  Private (Admin/Manager)
+router.get('/admin/:id', auth, authorize('blog:read'), catchAsync(async (req, res) => {
+    const post = await BlogPost.findById(req.params.id).populate('author', 'name email');
+
+    if (!post) {
+        return res.status(404).json({
+            success: false,
+            message: 'Blog post not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: post
+    });
+}));
+
+// @route   GET /api/blog/:slug
+// @desc    Get published blog post by slug and count the view
+// @access  Public
+router.get('/:slug', catchAsync(async (req, res) => {
+    const post = await BlogPost.findOneAndUpdate(
+        { ...BlogPost.publishedFilter(), slug: req.params.slug },
+        { $inc: { views: 1 } },
+        { new: true }
+    )
+        .populate('author', 'name')
+        .select('-__v');
+
+    if (!post) {
+        return res.status(404).json({
+            success: false,
+            message: 'Blog post not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: post
+    });
+}));
+
+// @route   POST /api/blog
+// @desc    Create new blog post
+// @access  Private (Admin/Manager)
+router.post('/', auth, authorize('blog:write'), [
+    ...blogPostValidation(),
+
+    body('status')
+        .optional()
+        .isIn(['draft', 'published'])
+        .withMessage('New posts can only be drafts or published')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    if (req.body.slug) {
+        const existingPost = await BlogPost.findOne({ slug: req.body.slug });
+        if (existingPost) {
+            return res.status(400).json({
+                success: false,
+                message: 'Blog post with this slug already exists'
+            });
+        }
+    }
+
+    const post = new BlogPost({
+        ...pickPostFields(req.body),
+        status: req.body.status || 'draft',
+        author: req.user.userId
+    });
+    await post.save();
+
+    await recordRevision({
+        documentType: 'BlogPost',
+        document: post,
+        author: req.user.userId,
+        action: 'create'
+    });
+
+    logger.userAction(req.user.userId, 'created_blog_post', {
+        postId: post._id,
+        title: post.title,
+        status: post.status
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Blog post created successfully',
+        data: post
+    });
+}));
+
+// @route   PUT /api/blog/:id
+// @desc    Update blog post content
+// @access  Private (Admin/Manager)
+router.put('/:id', auth, authorize('blog:write'), blogPostValidation(true), catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    if (req.body.slug) {
+        const existingPost = await BlogPost.findOne({
+            slug: req.body.slug,
+            _id: { $ne: req.params.id }
+        });
+
+        if (existingPost) {
+            return res.status(400).json({
+                success: false,
+                message: 'Blog post with this slug already exists'
+            });
+        }
+    }
+
+    const post = await BlogPost.findById(req.params.id);
+
+    if (!post) {
+        return res.status(404).json({
+            success: false,
+            message: 'Blog post not found'
+        });
+    }
+
+    const previous = takeSnapshot('BlogPost', post);
+
+    post.set(pickPostFields(req.body));
+    await post.save();
+
+    await recordRevision({
+        documentType: 'BlogPost',
+        document: post,
+        previous,
+        author: req.user.userId,
+        action: 'update'
+    });
+
+    logger.userAction(req.user.userId, 'updated_blog_post', {
+        postId: post._id,
+        title: post.title
+    });
+
+    res.json({
+        success: true,
+        message: 'Blog post updated successfully',
+        data: post
+    });
+}));
+
+// @route   PUT /api/blog/:id/status
+// @desc    Move a blog post between draft, scheduled, published and archived
+// @access  Private (Admin/Manager)
+router.put('/:id/status', auth, authorize('blog:write'), [
+    body('status')
+        .isIn(Object.keys(STATUS_TRANSITIONS))
+        .withMessage('Invalid status'),
+
+    body('publishedAt')
+        .if(body('status').equals('scheduled'))
+        .isISO8601()
+        .withMessage('A publish date is required when scheduling')
+        .custom(value => new Date(value) > new Date())
+        .withMessage('Publish date must be in the future')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const post = await BlogPost.findById(req.params.id);
+
+    if (!post) {
+        return res.status(404).json({
+            success: false,
+            message: 'Blog post not found'
+        });
+    }
+
+    const oldStatus = post.status;
+    const newStatus = req.body.status;
+
+    if (!STATUS_TRANSITIONS[oldStatus].includes(newStatus)) {
+        return res.status(400).json({
+            success: false,
+            message: `Cannot change status from ${oldStatus} to ${newStatus}`
+        });
+    }
+
+    const previous = takeSnapshot('BlogPost', post);
+
+    post.status = newStatus;
+    if (newStatus === 'scheduled') {
+        post.publishedAt = new Date(req.body.publishedAt);
+    } else if (oldStatus === 'scheduled' && newStatus === 'draft') {
+        post.publishedAt = undefined;
+    }
+
+    await post.save();
+
+    await recordRevision({
+        documentType: 'BlogPost',
+        document: post,
+        previous,
+        author: req.user.userId,
+        action: 'status'
+    });
+
+    logger.userAction(req.user.userId, 'updated_blog_post_status', {
+        postId: post._id,
+        oldStatus,
+        newStatus,
+        publishedAt: post.publishedAt
+    });
+
+    res.json({
+        success: true,
+        message: `Blog post ${newStatus} successfully`,
+        data: post
+    });
+}));
+
+// @route   GET /api/blog/:id/revisions
+// @desc    Get revision history of a blog post
+// @access  Private (Admin/Manager)
+router.get('/:id/revisions', auth, authorize('blog:read'), catchAsync(async (req, res) => {
+    const post = await BlogPost.findById(req.params.id).select('_id');
+
+    if (!post) {
+        return res.status(404).json({
+            success: false,
+            message: 'Blog post not found'
+        });
+    }
+
+    const revisions = await listRevisions('BlogPost', post._id);
+
+    res.json({
+        success: true,
+        data: revisions
+    });
+}));
+
+// @route   GET /api/blog/:id/revisions/:revisionId
+// @desc    Get a single revision including its full snapshot
+// @access  Private (Admin/Manager)
+router.get('/:id/revisions/:revisionId', auth, authorize('blog:read'), catchAsync(async (req, res) => {
+    const revision = await Revision.findOne({
+        _id: req.params.revisionId,
+        documentType: 'BlogPost',
+        documentId: req.params.id
+    }).populate('author', 'name email');
+
+    if (!revision) {
+        return res.status(404).json({
+            success: false,
+            message: 'Revision not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: revision
+    });
+}));
+
+// @route   POST /api/blog/:id/revisions/:revisionId/restore
+// @desc    Restore blog post content from a revision
+// @access  Private (Admin/Manager)
+router.post('/:id/revisions/:revisionId/restore', auth, authorize('blog:write'), catchAsync(async (req, res) => {
+    const post = await BlogPost.findById(req.params.id);
+
+    if (!post) {
+        return res.status(404).json({
+            success: false,
+            message: 'Blog post not found'
+        });
+    }
+
+    const revision = await Revision.findOne({
+        _id: req.params.revisionId,
+        documentType: 'BlogPost',
+        documentId: post._id
+    });
+
+    if (!revision) {
+        return res.status(404).json({
+            success: false,
+            message: 'Revision not found'
+        });
+    }
+
+    await restoreRevision({
+        documentType: 'BlogPost',
+        document: post,
+        revision,
+        author: req.user.userId
+    });
+
+    logger.userAction(req.user.userId, 'restored_blog_post_revision', {
+        postId: post._id,
+        revisionId: revision._id,
+        version: revision.version
+    });
+
+    res.json({
+        success: true,
+        message: `Blog post restored to version ${revision.version}`,
+        data: post
+    });
+}));
+
+// @route   DELETE /api/blog/:id
+// @desc    Delete blog post
+// @access  Private (Admin only)
+router.delete('/:id', auth, authorize('blog:delete'), catchAsync(async (req, res) => {
+    const post = await BlogPost.findByIdAndDelete(req.params.id);
+
+    if (!post) {
+        return res.status(404).json({
+            success: false,
+            message: 'Blog post not found'
+        });
+    }
+
+    logger.userAction(req.user.userId, 'deleted_blog_post', {
+        postId: post._id,
+        title: post.title
+    });
+
+    res.json({
+        success: true,
+        message: 'Blog post deleted successfully'
+    });
+}));
+
+module.exports = router;
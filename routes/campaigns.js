@@ -0,0 +1,505 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Campaign, CampaignDelivery } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { catchAsync } = require('../middleware/errorHandler');
+const {
+    countAudience,
+    validateTemplate,
+    sendTestEmail,
+    sendCampaign
+} = require('../utils/campaigns');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Every campaign route is for admins and managers
+router.use(auth);
+
+// Statuses a campaign can be edited, scheduled or sent from
+const EDITABLE_STATUSES = ['draft', 'scheduled'];
+const SENDABLE_STATUSES = ['draft', 'failed'];
+
+// Validation rules shared by create and update
+const campaignValidation = (isUpdate = false) => {
+    const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+    return [
+        field('name')
+            .trim()
+            .isLength({ min: 2, max: 200 })
+            .withMessage('Name must be between 2 and 200 characters'),
+
+        field('subject')
+            .trim()
+            .isLength({ min: 2, max: 200 })
+            .withMessage('Subject must be between 2 and 200 characters'),
+
+        field('body')
+            .isLength({ min: 10 })
+            .withMessage('Body must be at least 10 characters'),
+
+        body('segment.interests')
+            .optional()
+            .isArray()
+            .withMessage('Segment interests must be an array'),
+
+        body('segment.sources')
+            .optional()
+            .isArray()
+            .withMessage('Segment sources must be an array')
+    ];
+};
+
+const pickCampaignFields = (source) => {
+    const fields = {};
+    ['name', 'subject', 'body'].forEach(key => {
+        if (source[key] !== undefined) fields[key] = source[key];
+    });
+    if (source.segment !== undefined) {
+        fields.segment = {
+            interests: source.segment.interests || [],
+            sources: source.segment.sources || []
+        };
+    }
+    return fields;
+};
+
+// Returns an error message if the subject or body does not compile
+const templateError = (fields) => {
+    try {
+        validateTemplate(fields);
+        return null;
+    } catch (error) {
+        return `Invalid template: ${error.message}`;
+    }
+};
+
+// @route   GET /api/campaigns
+// @desc    List newsletter campaigns
+// @access  Private (Admin/Manager)
+router.get('/', authorize('campaigns:read'), catchAsync(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+
+    const campaigns = await Campaign.find(filter)
+        .populate('createdBy', 'name email')
+        .select('-body')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+    const total = await Campaign.countDocuments(filter);
+
+    res.json({
+        success: true,
+        data: campaigns,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    });
+}));
+
+// @route   POST /api/campaigns/audience
+// @desc    Count confirmed subscribers matching a segment
+// @access  Private (Admin/Manager)
+router.post('/audience', authorize('campaigns:read'), [
+    body('segment.interests').optional().isArray().withMessage('Segment interests must be an array'),
+    body('segment.sources').optional().isArray().withMessage('Segment sources must be an array')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const recipients = await countAudience(req.body.segment);
+
+    res.json({
+        success: true,
+        data: { recipients }
+    });
+}));
+
+// @route   GET /api/campaigns/:id
+// @desc    Get campaign with its audience size
+// @access  Private (Admin/Manager)
+router.get('/:id', authorize('campaigns:read'), catchAsync(async (req, res) => {
+    const campaign = await Campaign.findById(req.params.id)
+        .populate('createdBy', 'name email')
+        .populate('updatedBy', 'name email');
+
+    if (!campaign) {
+        return res.status(404).json({
+            success: false,
+            message: 'Campaign not found'
+        });
+    }
+
+    const audience = await countAudience(campaign.segment);
+
+    res.json({
+        success: true,
+        data: { ...campaign.toObject(), audience }
+    });
+}));
+
+// @route   POST /api/campaigns
+// @desc    Create campaign draft
+// @access  Private (Admin/Manager)
+router.post('/', authorize('campaigns:write'), campaignValidation(), catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const fields = pickCampaignFields(req.body);
+    const invalidTemplate = templateError(fields);
+    if (invalidTemplate) {
+        return res.status(400).json({
+            success: false,
+            message: invalidTemplate
+        });
+    }
+
+    const campaign = new Campaign({
+        ...fields,
+        createdBy: req.user.userId
+    });
+    await campaign.save();
+
+    logger.userAction(req.user.userId, 'created_campaign', {
+        campaignId: campaign._id,
+        name: campaign.name
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Campaign created successfully',
+        data: campaign
+    });
+}));
+
+// @route   PUT /api/campaigns/:id
+// @desc    Update a draft or scheduled campaign
+// @access  Private (Admin/Manager)
+router.put('/:id', authorize('campaigns:write'), campaignValidation(true), catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+        return res.status(404).json({
+            success: false,
+            message: 'Campaign not found'
+        });
+    }
+
+    if (!EDITABLE_STATUSES.includes(campaign.status)) {
+        return res.status(400).json({
+            success: false,
+            message: `A ${campaign.status} campaign cannot be edited`
+        });
+    }
+
+    const fields = pickCampaignFields(req.body);
+    const invalidTemplate = templateError(fields);
+    if (invalidTemplate) {
+        return res.status(400).json({
+            success: false,
+            message: invalidTemplate
+        });
+    }
+
+    campaign.set({ ...fields, updatedBy: req.user.userId });
+    await campaign.save();
+
+    logger.userAction(req.user.userId, 'updated_campaign', {
+        campaignId: campaign._id,
+        name: campaign.name
+    });
+
+    res.json({
+        success: true,
+        message: 'Campaign updated successfully',
+        data: campaign
+    });
+}));
+
+// @route   POST /api/campaigns/:id/test
+// @desc    Send a test email of the campaign
+// @access  Private (Admin/Manager)
+router.post('/:id/test', authorize('campaigns:write'), [
+    body('emails')
+        .optional()
+        .isArray({ min: 1, max: 5 })
+        .withMessage('Provide between 1 and 5 test addresses'),
+
+    body('emails.*')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Test addresses must be valid emails')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+        return res.status(404).json({
+            success: false,
+            message: 'Campaign not found'
+        });
+    }
+
+    // Defaults to the signed-in manager's own address
+    const recipients = req.body.emails || [req.user.email];
+    const { successful, failed } = await sendTestEmail(campaign, recipients);
+
+    campaign.lastTestSentAt = new Date();
+    await campaign.save();
+
+    logger.userAction(req.user.userId, 'sent_test_campaign', {
+        campaignId: campaign._id,
+        recipients
+    });
+
+    res.json({
+        success: failed === 0,
+        message: failed === 0 ? 'Test email sent' : 'Some test emails failed to send',
+        data: { recipients, successful, failed }
+    });
+}));
+
+// @route   POST /api/campaigns/:id/schedule
+// @desc    Schedule a campaign to be sent at a future time
+// @access  Private (Admin/Manager)
+router.post('/:id/schedule', authorize('campaigns:write'), [
+    body('scheduledAt')
+        .isISO8601()
+        .withMessage('A send date is required')
+        .custom(value => new Date(value) > new Date())
+        .withMessage('Send date must be in the future')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+        return res.status(404).json({
+            success: false,
+            message: 'Campaign not found'
+        });
+    }
+
+    if (!EDITABLE_STATUSES.includes(campaign.status)) {
+        return res.status(400).json({
+            success: false,
+            message: `A ${campaign.status} campaign cannot be scheduled`
+        });
+    }
+
+    const audience = await countAudience(campaign.segment);
+    if (audience === 0) {
+        return res.status(400).json({
+            success: false,
+            message: 'No confirmed subscribers match this campaign segment'
+        });
+    }
+
+    campaign.status = 'scheduled';
+    campaign.scheduledAt = new Date(req.body.scheduledAt);
+    campaign.updatedBy = req.user.userId;
+    await campaign.save();
+
+    logger.userAction(req.user.userId, 'scheduled_campaign', {
+        campaignId: campaign._id,
+        scheduledAt: campaign.scheduledAt,
+        audience
+    });
+
+    res.json({
+        success: true,
+        message: 'Campaign scheduled successfully',
+        data: campaign
+    });
+}));
+
+// @route   POST /api/campaigns/:id/send
+// @desc    Start sending a campaign now (a failed campaign resumes where it stopped)
+// @access  Private (Admin/Manager)
+router.post('/:id/send', authorize('campaigns:write'), catchAsync(async (req, res) => {
+    const campaign = await Campaign.findById(req.params.id);
+
+    if (!campaign) {
+        return res.status(404).json({
+            success: false,
+            message: 'Campaign not found'
+        });
+    }
+
+    if (![...SENDABLE_STATUSES, 'scheduled'].includes(campaign.status)) {
+        return res.status(400).json({
+            success: false,
+            message: `A ${campaign.status} campaign cannot be sent`
+        });
+    }
+
+    const audience = await countAudience(campaign.segment);
+    if (audience === 0 && campaign.status !== 'failed') {
+        return res.status(400).json({
+            success: false,
+            message: 'No confirmed subscribers match this campaign segment'
+        });
+    }
+
+    campaign.status = 'scheduled';
+    campaign.scheduledAt = new Date();
+    campaign.updatedBy = req.user.userId;
+    await campaign.save();
+
+    // Sending is paced to respect rate limits, so it continues after the response
+    sendCampaign(campaign._id).catch(error => {
+        logger.error(`Campaign ${campaign._id} send failed:`, error);
+    });
+
+    logger.userAction(req.user.userId, 'sent_campaign', {
+        campaignId: campaign._id,
+        audience
+    });
+
+    res.status(202).json({
+        success: true,
+        message: 'Campaign sending started',
+        data: { campaignId: campaign._id, audience }
+    });
+}));
+
+// @route   POST /api/campaigns/:id/cancel
+// @desc    Unschedule a campaign, or stop one that is sending
+// @access  Private (Admin/Manager)
+router.post('/:id/cancel', authorize('campaigns:write'), catchAsync(async (req, res) => {
+    // Atomic so a campaign picked up by the scheduler meanwhile is stopped, not unscheduled
+    const campaign = await Campaign.findOneAndUpdate(
+        { _id: req.params.id, status: 'scheduled' },
+        { status: 'draft', $unset: { scheduledAt: 1 }, updatedBy: req.user.userId },
+        { new: true }
+    ) || await Campaign.findOneAndUpdate(
+        { _id: req.params.id, status: 'sending' },
+        { status: 'cancelled', updatedBy: req.user.userId },
+        { new: true }
+    );
+
+    if (!campaign) {
+        return res.status(400).json({
+            success: false,
+            message: 'Only scheduled or sending campaigns can be cancelled'
+        });
+    }
+
+    logger.userAction(req.user.userId, 'cancelled_campaign', {
+        campaignId: campaign._id,
+        status: campaign.status
+    });
+
+    res.json({
+        success: true,
+        message: campaign.status === 'draft' ? 'Campaign unscheduled' : 'Campaign sending stopped',
+        data: campaign
+    });
+}));
+
+// @route   GET /api/campaigns/:id/deliveries
+// @desc    Per-recipient delivery status of a campaign
+// @access  Private (Admin/Manager)
+router.get('/:id/deliveries', authorize('campaigns:read'), catchAsync(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 50;
+    const skip = (page - 1) * limit;
+
+    const filter = { campaign: req.params.id };
+    if (req.query.status) filter.status = req.query.status;
+
+    const deliveries = await CampaignDelivery.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+    const total = await CampaignDelivery.countDocuments(filter);
+
+    res.json({
+        success: true,
+        data: deliveries,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    });
+}));
+
+// @route   DELETE /api/campaigns/:id
+// @desc    Delete a campaign that has not been sent
+// @access  Private (Admin/Manager)
+router.delete('/:id', authorize('campaigns:delete'), catchAsync(async (req, res) => {
+    const campaign = await Campaign.findOneAndDelete({
+        _id: req.params.id,
+        status: { $in: ['draft', 'cancelled'] }
+    });
+
+    if (!campaign) {
+        return res.status(400).json({
+            success: false,
+            message: 'Only draft or cancelled campaigns can be deleted'
+        });
+    }
+
+    await CampaignDelivery.deleteMany({ campaign: campaign._id });
+
+    logger.userAction(req.user.userId, 'deleted_campaign', {
+        campaignId: campaign._id,
+        name: campaign.name
+    });
+
+    res.json({
+        success: true,
+        message: 'Campaign deleted successfully'
+    });
+}));
+
+module.exports = router;
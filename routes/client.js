@@ -0,0 +1,385 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { ClientAccount, Project } = require('../models');
+const { clientAuth } = require('../middleware/clientAuth');
+const { catchAsync } = require('../middleware/errorHandler');
+const {
+    sendLoginLink,
+    toClientProject,
+    toClientUpdates,
+    toClientFiles,
+    toClientComments
+} = require('../utils/clientPortal');
+const {
+    ipLockRemaining,
+    accountLockRemaining,
+    recordLoginFailure,
+    resetLoginFailures,
+    sendLocked
+} = require('../utils/loginThrottle');
+const { requestContext } = require('../utils/securityEvents');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+const passwordRule = (field) => body(field)
+    .isLength({ min: 8 })
+    .withMessage('Password must be at least 8 characters')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)(?=.*[@$!%*?&])[A-Za-z\d@$!%*?&]/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter, one number, and one special character');
+
+const toClientAccount = (account) => ({
+    id: account._id,
+    name: account.name,
+    email: account.email,
+    company: account.company,
+    hasPassword: Boolean(account.password)
+});
+
+const signedIn = async (res, account, message) => {
+    account.lastLogin = new Date();
+    await account.save();
+
+    res.json({
+        success: true,
+        message,
+        token: account.generateAuthToken(),
+        client: toClientAccount(account)
+    });
+};
+
+// Only projects linked to the signed-in client; anything else is reported as not found
+const findClientProject = (req) => {
+    if (!mongoose.isValidObjectId(req.params.id)) return null;
+    return Project.findOne({ _id: req.params.id, 'client.account': req.client.clientId });
+};
+
+const projectNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Project not found'
+});
+
+// @route   POST /api/client/login
+// @desc    Client sign in with email and password
+// @access  Public
+router.post('/login', [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email address'),
+
+    body('password')
+        .notEmpty()
+        .withMessage('Password is required')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const { email, password } = req.body;
+
+    const ipLock = ipLockRemaining(requestContext(req).ip);
+    if (ipLock) return sendLocked(res, ipLock);
+
+    const account = await ClientAccount.findOne({ email, status: 'active' });
+    if (!account) {
+        await recordLoginFailure(req, { user: null, email, reason: 'unknown_email', model: ClientAccount });
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid credentials'
+        });
+    }
+
+    // Locked accounts aren't told whether the password was right
+    const accountLock = accountLockRemaining(account);
+    if (accountLock) return sendLocked(res, accountLock);
+
+    if (!(await account.comparePassword(password))) {
+        await recordLoginFailure(req, { user: account, reason: 'wrong_password', model: ClientAccount });
+        return res.status(401).json({
+            success: false,
+            message: 'Invalid credentials'
+        });
+    }
+
+    resetLoginFailures(account);
+
+    logger.info(`Client logged in: ${account.email}`);
+    await signedIn(res, account, 'Login successful');
+}));
+
+// @route   POST /api/client/magic-link
+// @desc    Email a single-use sign-in link
+// @access  Public
+router.post('/magic-link', [
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email address')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const account = await ClientAccount.findOne({
+        email: req.body.email,
+        status: { $in: ['invited', 'active'] }
+    });
+
+    if (account) {
+        try {
+            await sendLoginLink(account);
+        } catch (emailError) {
+            logger.error('Client sign-in email could not be queued:', emailError);
+            return res.status(500).json({
+                success: false,
+                message: 'Failed to send sign-in link'
+            });
+        }
+    }
+
+    // Same answer either way to prevent email enumeration
+    res.json({
+        success: true,
+        message: 'If the email has portal access, a sign-in link has been sent.'
+    });
+}));
+
+// @route   POST /api/client/sign-in
+// @desc    Exchange an invite or magic link token for an access token;
+//          an invite also activates the account and may set a password
+// @access  Public
+router.post('/sign-in', [
+    body('token')
+        .notEmpty()
+        .withMessage('Sign-in token is required'),
+
+    passwordRule('password').optional()
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    // Clear the token in the same update that finds it, so a link works only once
+    const account = await ClientAccount.findOneAndUpdate(
+        {
+            'signInToken.hash': ClientAccount.hashSignInToken(String(req.body.token)),
+            'signInToken.expiresAt': { $gt: new Date() },
+            status: { $in: ['invited', 'active'] }
+        },
+        { $unset: { signInToken: 1 } },
+        { new: true }
+    );
+
+    if (!account) {
+        return res.status(400).json({
+            success: false,
+            message: 'Invalid or expired sign-in link'
+        });
+    }
+
+    if (account.status === 'invited') {
+        account.status = 'active';
+        logger.info(`Client accepted portal invite: ${account.email}`);
+    }
+
+    if (req.body.password) {
+        account.password = req.body.password;
+    }
+    resetLoginFailures(account);
+
+    await signedIn(res, account, 'Signed in successfully');
+}));
+
+// Everything below needs a signed-in client
+router.use(clientAuth);
+
+// @route   GET /api/client/me
+// @desc    Get the signed-in client
+// @access  Private (Client)
+router.get('/me', catchAsync(async (req, res) => {
+    const account = await ClientAccount.findById(req.client.clientId);
+
+    res.json({
+        success: true,
+        data: toClientAccount(account)
+    });
+}));
+
+// @route   PUT /api/client/me/password
+// @desc    Set or change the client's password; signs out other sessions
+// @access  Private (Client)
+router.put('/me/password', [
+    body('currentPassword')
+        .optional()
+        .isString(),
+
+    passwordRule('newPassword')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const account = await ClientAccount.findById(req.client.clientId);
+
+    // Accounts created by invite have no password until they set one
+    if (account.password && !(await account.comparePassword(req.body.currentPassword || ''))) {
+        return res.status(400).json({
+            success: false,
+            message: 'Current password is incorrect'
+        });
+    }
+
+    account.password = req.body.newPassword;
+    account.tokenVersion += 1;
+    await account.save();
+
+    logger.info(`Client password changed: ${account.email}`);
+
+    res.json({
+        success: true,
+        message: 'Password updated successfully',
+        token: account.generateAuthToken()
+    });
+}));
+
+// @route   POST /api/client/logout-all
+// @desc    Revoke every access token issued to the client
+// @access  Private (Client)
+router.post('/logout-all', catchAsync(async (req, res) => {
+    await ClientAccount.findByIdAndUpdate(req.client.clientId, { $inc: { tokenVersion: 1 } });
+
+    res.json({
+        success: true,
+        message: 'Logged out from all devices'
+    });
+}));
+
+// @route   GET /api/client/projects
+// @desc    List the client's projects with status and progress
+// @access  Private (Client)
+router.get('/projects', catchAsync(async (req, res) => {
+    const projects = await Project.find({ 'client.account': req.client.clientId })
+        .select('title description category status progress startDate endDate projectUrl updatedAt')
+        .sort({ updatedAt: -1 });
+
+    res.json({
+        success: true,
+        data: projects.map(project => toClientProject(project))
+    });
+}));
+
+// @route   GET /api/client/projects/:id
+// @desc    Get a project with its updates, shared files and comments
+// @access  Private (Client)
+router.get('/projects/:id', catchAsync(async (req, res) => {
+    const project = await findClientProject(req);
+    if (!project) return projectNotFound(res);
+
+    res.json({
+        success: true,
+        data: toClientProject(project, { detail: true })
+    });
+}));
+
+// @route   GET /api/client/projects/:id/updates
+// @desc    Get the project update feed, newest first
+// @access  Private (Client)
+router.get('/projects/:id/updates', catchAsync(async (req, res) => {
+    const project = await findClientProject(req);
+    if (!project) return projectNotFound(res);
+
+    res.json({
+        success: true,
+        data: toClientUpdates(project)
+    });
+}));
+
+// @route   GET /api/client/projects/:id/files
+// @desc    Get files shared with the client, newest first
+// @access  Private (Client)
+router.get('/projects/:id/files', catchAsync(async (req, res) => {
+    const project = await findClientProject(req);
+    if (!project) return projectNotFound(res);
+
+    res.json({
+        success: true,
+        data: toClientFiles(project)
+    });
+}));
+
+// @route   GET /api/client/projects/:id/comments
+// @desc    Get the comment thread with the team
+// @access  Private (Client)
+router.get('/projects/:id/comments', catchAsync(async (req, res) => {
+    const project = await findClientProject(req);
+    if (!project) return projectNotFound(res);
+
+    res.json({
+        success: true,
+        data: toClientComments(project)
+    });
+}));
+
+// @route   POST /api/client/projects/:id/comments
+// @desc    Leave a comment for the project team
+// @access  Private (Client)
+router.post('/projects/:id/comments', [
+    body('message')
+        .trim()
+        .isLength({ min: 1, max: 2000 })
+        .withMessage('Comment must be between 1 and 2000 characters')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const project = await findClientProject(req);
+    if (!project) return projectNotFound(res);
+
+    project.comments.push({
+        message: req.body.message,
+        authorType: 'client',
+        clientAccount: req.client.clientId,
+        authorName: req.client.name
+    });
+    await project.save();
+
+    const comment = project.comments[project.comments.length - 1];
+
+    logger.info(`Client comment on project ${project._id} from ${req.client.email}`);
+
+    res.status(201).json({
+        success: true,
+        message: 'Comment added successfully',
+        data: toClientComments({ comments: [comment] })[0]
+    });
+}));
+
+module.exports = router;
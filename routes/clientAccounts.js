@@ -0,0 +1,296 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const { ClientAccount, Project } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { catchAsync } = require('../middleware/errorHandler');
+const { sendInvite, linkProjects } = require('../utils/clientPortal');
+const { escapeRegex } = require('../utils/regex');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(auth);
+
+const ACCOUNT_FIELDS = '-password -signInToken';
+
+const accountNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Client account not found'
+});
+
+const findAccount = (id) => (mongoose.isValidObjectId(id) ? ClientAccount.findById(id) : null);
+
+// @route   GET /api/client-accounts
+// @desc    List client portal accounts
+// @access  Private (Admin/Manager)
+router.get('/', authorize('clients:read'), [
+    query(['status', 'search'])
+        .optional()
+        .isString()
+        .withMessage('Filters must be single values')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.search) {
+        const pattern = escapeRegex(req.query.search);
+        filter.$or = [
+            { name: { $regex: pattern, $options: 'i' } },
+            { email: { $regex: pattern, $options: 'i' } },
+            { company: { $regex: pattern, $options: 'i' } }
+        ];
+    }
+
+    const accounts = await ClientAccount.find(filter)
+        .select(ACCOUNT_FIELDS)
+        .populate('invitedBy', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+    const total = await ClientAccount.countDocuments(filter);
+
+    res.json({
+        success: true,
+        data: accounts,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    });
+}));
+
+// @route   GET /api/client-accounts/:id
+// @desc    Get a client account with its linked projects
+// @access  Private (Admin/Manager)
+router.get('/:id', authorize('clients:read'), catchAsync(async (req, res) => {
+    const account = await findAccount(req.params.id);
+    if (!account) return accountNotFound(res);
+
+    const projects = await Project.find({ 'client.account': account._id })
+        .select('title status progress updatedAt');
+
+    const data = account.toObject();
+    delete data.password;
+    delete data.signInToken;
+
+    res.json({
+        success: true,
+        data: { ...data, projects }
+    });
+}));
+
+// @route   POST /api/client-accounts
+// @desc    Invite a client to the portal; links the given projects and any with a matching client email
+// @access  Private (Admin/Manager)
+router.post('/', authorize('clients:write'), [
+    body('name')
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
+
+    body('email')
+        .isEmail()
+        .normalizeEmail()
+        .withMessage('Please provide a valid email address'),
+
+    body('company')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Company cannot exceed 100 characters'),
+
+    body('projects')
+        .optional()
+        .isArray()
+        .withMessage('Projects must be an array'),
+
+    body('projects.*')
+        .isMongoId()
+        .withMessage('Invalid project id')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const existingAccount = await ClientAccount.findOne({ email: req.body.email });
+    if (existingAccount) {
+        return res.status(400).json({
+            success: false,
+            message: 'A client account with this email already exists'
+        });
+    }
+
+    const account = new ClientAccount({
+        name: req.body.name,
+        email: req.body.email,
+        company: req.body.company,
+        invitedBy: req.user.userId
+    });
+
+    await sendInvite(account, req.user.name);
+    const linkedProjects = await linkProjects(account, req.body.projects);
+
+    logger.userAction(req.user.userId, 'invited_client', {
+        clientAccountId: account._id,
+        email: account.email,
+        linkedProjects
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Client invited successfully',
+        data: {
+            id: account._id,
+            name: account.name,
+            email: account.email,
+            company: account.company,
+            status: account.status,
+            linkedProjects
+        }
+    });
+}));
+
+// @route   POST /api/client-accounts/:id/invite
+// @desc    Send a new invite link (the previous link stops working)
+// @access  Private (Admin/Manager)
+router.post('/:id/invite', authorize('clients:write'), catchAsync(async (req, res) => {
+    const account = await findAccount(req.params.id);
+    if (!account) return accountNotFound(res);
+
+    if (account.status === 'disabled') {
+        return res.status(400).json({
+            success: false,
+            message: 'Enable the account before inviting the client again'
+        });
+    }
+
+    await sendInvite(account, req.user.name);
+
+    logger.userAction(req.user.userId, 'reinvited_client', { clientAccountId: account._id });
+
+    res.json({
+        success: true,
+        message: 'Invite sent successfully'
+    });
+}));
+
+// @route   PUT /api/client-accounts/:id
+// @desc    Update a client account, enable/disable it or link more projects
+// @access  Private (Admin/Manager)
+router.put('/:id', authorize('clients:write'), [
+    body('name')
+        .optional()
+        .trim()
+        .isLength({ min: 2, max: 100 })
+        .withMessage('Name must be between 2 and 100 characters'),
+
+    body('company')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Company cannot exceed 100 characters'),
+
+    body('status')
+        .optional()
+        .isIn(['active', 'disabled'])
+        .withMessage('Status must be active or disabled'),
+
+    body('projects')
+        .optional()
+        .isArray()
+        .withMessage('Projects must be an array'),
+
+    body('projects.*')
+        .isMongoId()
+        .withMessage('Invalid project id')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const account = await findAccount(req.params.id);
+    if (!account) return accountNotFound(res);
+
+    if (req.body.name !== undefined) account.name = req.body.name;
+    if (req.body.company !== undefined) account.company = req.body.company;
+
+    if (req.body.status === 'disabled' && account.status !== 'disabled') {
+        account.status = 'disabled';
+        account.signInToken = undefined;
+        // Sign the client out everywhere
+        account.tokenVersion += 1;
+    } else if (req.body.status === 'active' && account.status === 'disabled') {
+        // Never signed in: back to invited so a new invite can activate it
+        account.status = account.lastLogin ? 'active' : 'invited';
+    }
+
+    await account.save();
+
+    const linkedProjects = req.body.projects ? await linkProjects(account, req.body.projects) : 0;
+
+    logger.userAction(req.user.userId, 'updated_client_account', {
+        clientAccountId: account._id,
+        status: account.status,
+        linkedProjects
+    });
+
+    const data = account.toObject();
+    delete data.password;
+    delete data.signInToken;
+
+    res.json({
+        success: true,
+        message: 'Client account updated successfully',
+        data
+    });
+}));
+
+// @route   DELETE /api/client-accounts/:id
+// @desc    Delete a client account and unlink its projects
+// @access  Private (Admin only)
+router.delete('/:id', authorize('clients:delete'), catchAsync(async (req, res) => {
+    const account = mongoose.isValidObjectId(req.params.id)
+        ? await ClientAccount.findByIdAndDelete(req.params.id)
+        : null;
+    if (!account) return accountNotFound(res);
+
+    await Project.updateMany({ 'client.account': account._id }, { $unset: { 'client.account': 1 } });
+
+    logger.userAction(req.user.userId, 'deleted_client_account', {
+        clientAccountId: account._id,
+        email: account.email
+    });
+
+    res.json({
+        success: true,
+        message: 'Client account deleted successfully'
+    });
+}));
+
+module.exports = router;
@@ -1,9 +1,14 @@
 const express = require('express');
+const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
-const { Contact } = require('../models');
-const { sendEmail } = require('../utils/email');
+const { Contact, User, Project } = require('../models');
+const { queueEmail } = require('../utils/emailQueue');
 const { generateProjectSuggestions } = require('../utils/gemini');
+const { applyLeadScore, getWeights, saveWeights } = require('../utils/leadScoring');
 const { auth, authorize } = require('../middleware/auth');
+const { hasPermission } = require('../utils/permissions');
+const { withTransaction } = require('../utils/transactions');
+const { AppError } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
 const router = express.Router();
@@ -41,9 +46,95 @@ const contactValidation = [
     body('message')
         .trim()
         .isLength({ min: 10, max: 2000 })
-        .withMessage('Message must be between 10 and 2000 characters')
+        .withMessage('Message must be between 10 and 2000 characters'),
+
+    body('suggestionToken')
+        .optional()
+        .isJWT()
+        .withMessage('Invalid suggestion token'),
+
+    body('generateSuggestions')
+        .optional()
+        .isBoolean()
+        .toBoolean()
+        .withMessage('generateSuggestions must be a boolean')
 ];
 
+const SUGGESTION_TOKEN_PURPOSE = 'contact-suggestions';
+
+// Sign the suggestions shown to a prospect so the submission can store exactly what they saw
+const signSuggestionToken = (suggestions, meta) => jwt.sign(
+    { purpose: SUGGESTION_TOKEN_PURPOSE, suggestions, meta },
+    process.env.JWT_SECRET,
+    { expiresIn: '1h' }
+);
+
+// Returns { suggestions, meta } or null if the token is invalid, expired or for another purpose
+const verifySuggestionToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.purpose !== SUGGESTION_TOKEN_PURPOSE) return null;
+        return { suggestions: decoded.suggestions, meta: decoded.meta };
+    } catch (error) {
+        return null;
+    }
+};
+
+const CONTACT_STATUSES = ['new', 'contacted', 'in-progress', 'closed', 'closed-won', 'closed-lost'];
+
+// Contact services that map directly onto a project category
+const PROJECT_CATEGORIES = ['fullstack', 'devsecops', 'cloud', 'security', 'saas', 'design', 'blockchain', 'ai-ml'];
+
+// contacts:read sees every lead; everyone else only the leads assigned to them
+const canAccessContact = (user, contact) => {
+    if (hasPermission(user, 'contacts:read')) return true;
+    const assignee = contact.assignedTo?._id || contact.assignedTo;
+    return Boolean(assignee) && String(assignee) === String(user.userId);
+};
+
+// Load the contact in req.params.id, sending 404/403 and returning null if it can't be used
+const loadContact = async (req, res) => {
+    const contact = await Contact.findById(req.params.id);
+
+    if (!contact) {
+        res.status(404).json({
+            success: false,
+            message: 'Contact not found'
+        });
+        return null;
+    }
+
+    if (!canAccessContact(req.user, contact)) {
+        res.status(403).json({
+            success: false,
+            message: 'Insufficient permissions.'
+        });
+        return null;
+    }
+
+    return contact;
+};
+
+// Arrange flat notes into threads of top-level notes with nested replies
+const threadNotes = (notes) => {
+    const byId = new Map();
+    const threads = [];
+
+    for (const note of notes) {
+        byId.set(String(note._id), { ...note, replies: [] });
+    }
+
+    for (const note of byId.values()) {
+        const parent = note.parent && byId.get(String(note.parent));
+        if (parent) parent.replies.push(note);
+        else threads.push(note);
+    }
+
+    return threads;
+};
+
+const USER_SUMMARY_FIELDS = 'name email role';
+
 // @route   POST /api/contact
 // @desc    Submit contact form
 // @access  Public
@@ -59,7 +150,7 @@ router.post('/', contactValidation, async (req, res) => {
             });
         }
 
-        const { name, email, company, service, budget, message } = req.body;
+        const { name, email, company, service, budget, message, suggestionToken, generateSuggestions } = req.body;
         
         // Get client IP and user agent
         const ipAddress = req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
@@ -76,13 +167,52 @@ router.post('/', contactValidation, async (req, res) => {
             ipAddress,
             userAgent
         });
+        contact.logActivity('created', { summary: 'Contact form submitted' });
+
+        // Attach the AI suggestions the prospect was shown, or generate them now if asked
+        if (suggestionToken) {
+            const shown = verifySuggestionToken(suggestionToken);
+            if (!shown) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Suggestion token is invalid or has expired'
+                });
+            }
+
+            contact.aiSuggestions = shown.suggestions;
+            contact.aiSuggestionsMeta = {
+                ...shown.meta,
+                origin: 'preview'
+            };
+        } else if (generateSuggestions) {
+            try {
+                const { text, meta } = await generateProjectSuggestions(message);
+                contact.aiSuggestions = text;
+                contact.aiSuggestionsMeta = {
+                    ...meta,
+                    generatedAt: new Date(),
+                    origin: 'submission'
+                };
+            } catch (suggestionError) {
+                logger.error('Suggestion generation on submit failed:', suggestionError.message);
+                // Don't fail the submission if the AI provider is unavailable
+            }
+        }
+
+        // Score the lead and set its priority
+        try {
+            await applyLeadScore(contact);
+        } catch (scoringError) {
+            logger.error('Lead scoring failed:', scoringError.message);
+            // Keep the default priority if scoring fails
+        }
 
         await contact.save();
 
-        // Send notification emails
+        // Queue notification emails; the email worker sends and retries them
         try {
             // Email to admin
-            await sendEmail({
+            await queueEmail({
                 to: process.env.ADMIN_EMAIL || 'hello@inoxdev.com',
                 subject: `New Contact Form Submission - ${name}`,
                 template: 'contact-notification',
@@ -93,12 +223,14 @@ router.post('/', contactValidation, async (req, res) => {
                     service,
                     budget,
                     message,
+                    leadScore: contact.leadScore,
+                    priority: contact.priority,
                     submittedAt: new Date().toLocaleString('en-IN', { timeZone: 'Asia/Kolkata' })
                 }
             });
 
             // Auto-reply to client
-            await sendEmail({
+            await queueEmail({
                 to: email,
                 subject: 'Thank you for contacting InoxDev - We\'ll be in touch soon!',
                 template: 'contact-auto-reply',
@@ -106,11 +238,15 @@ router.post('/', contactValidation, async (req, res) => {
                     name,
                     service: service || 'General Inquiry',
                     contactId: contact._id
-                }
+                },
+                tracking: { template: 'contact-auto-reply' }
             });
 
+            contact.logActivity('email', { summary: 'Auto-reply queued', data: { template: 'contact-auto-reply' } });
+            await contact.save();
+
         } catch (emailError) {
-            logger.error('Email sending failed:', emailError);
+            logger.error('Contact emails could not be queued:', emailError);
             // Don't fail the request if email fails
         }
 
@@ -120,7 +256,8 @@ router.post('/', contactValidation, async (req, res) => {
         res.status(201).json({
             success: true,
             message: 'Thank you for your message! We\'ll get back to you within 24 hours.',
-            contactId: contact._id
+            contactId: contact._id,
+            suggestions: contact.aiSuggestions || undefined
         });
 
     } catch (error) {
@@ -154,12 +291,17 @@ router.post('/suggestions', [
 
         const { projectDetails } = req.body;
 
-        // Generate suggestions using Gemini API
-        const suggestions = await generateProjectSuggestions(projectDetails);
+        // Generate suggestions using the configured LLM provider
+        const { text, meta } = await generateProjectSuggestions(projectDetails);
 
         res.json({
             success: true,
-            suggestions
+            suggestions: text,
+            // Send back with the contact form to store these suggestions on the submission
+            suggestionToken: signSuggestionToken(text, {
+                ...meta,
+                generatedAt: new Date()
+            })
         });
 
     } catch (error) {
@@ -175,7 +317,7 @@ router.post('/suggestions', [
 // @route   GET /api/contact
 // @desc    Get all contact submissions (Admin only)
 // @access  Private (Admin)
-router.get('/', auth, authorize(['admin', 'manager']), async (req, res) => {
+router.get('/', auth, authorize('contacts:read'), async (req, res) => {
     try {
         const page = parseInt(req.query.page) || 1;
         const limit = parseInt(req.query.limit) || 20;
@@ -183,11 +325,13 @@ router.get('/', auth, authorize(['admin', 'manager']), async (req, res) => {
         const priority = req.query.priority;
         const startDate = req.query.startDate;
         const endDate = req.query.endDate;
+        const sort = req.query.sort === 'score' ? { leadScore: -1, createdAt: -1 } : { createdAt: -1 };
 
         // Build filter object
         const filter = {};
         if (status) filter.status = status;
         if (priority) filter.priority = priority;
+        if (req.query.assignedTo) filter.assignedTo = req.query.assignedTo === 'none' ? null : req.query.assignedTo;
         if (startDate || endDate) {
             filter.createdAt = {};
             if (startDate) filter.createdAt.$gte = new Date(startDate);
@@ -197,10 +341,11 @@ router.get('/', auth, authorize(['admin', 'manager']), async (req, res) => {
         const skip = (page - 1) * limit;
 
         const contacts = await Contact.find(filter)
-            .sort({ createdAt: -1 })
+            .sort(sort)
             .skip(skip)
             .limit(limit)
-            .select('-__v');
+            .select('-__v -notes -activities')
+            .populate('assignedTo', USER_SUMMARY_FIELDS);
 
         const total = await Contact.countDocuments(filter);
 
@@ -225,20 +370,234 @@ router.get('/', auth, authorize(['admin', 'manager']), async (req, res) => {
     }
 });
 
-// @route   GET /api/contact/:id
-// @desc    Get single contact submission
+// @route   GET /api/contact/scoring/config
+// @desc    Get lead scoring weights
 // @access  Private (Admin)
-router.get('/:id', auth, authorize(['admin', 'manager']), async (req, res) => {
+router.get('/scoring/config', auth, authorize('contacts:read'), async (req, res) => {
     try {
-        const contact = await Contact.findById(req.params.id);
-        
-        if (!contact) {
-            return res.status(404).json({
+        const weights = await getWeights();
+
+        res.json({
+            success: true,
+            data: weights
+        });
+
+    } catch (error) {
+        logger.error('Get lead scoring config error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch lead scoring configuration',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   PUT /api/contact/scoring/config
+// @desc    Update lead scoring weights
+// @access  Private (Admin only)
+router.put('/scoring/config', auth, authorize('contacts:configure'), [
+    body('weights')
+        .isObject()
+        .withMessage('Weights must be an object'),
+    body('weights.budget.*')
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Budget weights must be between 0 and 100'),
+    body('weights.service.*')
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Service weights must be between 0 and 100'),
+    body('weights.company')
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Company weight must be between 0 and 100'),
+    body('weights.messageLength.*')
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Message length weights must be between 0 and 100'),
+    body('weights.signals.keywords')
+        .optional()
+        .isArray()
+        .withMessage('Signal keywords must be an array'),
+    body('weights.signals.keywords.*')
+        .isString()
+        .withMessage('Signal keywords must be strings')
+        .trim()
+        .notEmpty()
+        .withMessage('Signal keywords cannot be empty'),
+    body('weights.signals.pointsPerSignal')
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Points per signal must be between 0 and 100'),
+    body('weights.signals.maxPoints')
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Maximum signal points must be between 0 and 100'),
+    body('weights.llm.enabled')
+        .optional()
+        .isBoolean()
+        .withMessage('LLM enabled must be a boolean'),
+    body('weights.llm.points.*')
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('LLM points must be between 0 and 100'),
+    body('weights.thresholds.high')
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('High threshold must be between 0 and 100'),
+    body('weights.thresholds.medium')
+        .optional()
+        .isFloat({ min: 0, max: 100 })
+        .withMessage('Medium threshold must be between 0 and 100')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
                 success: false,
-                message: 'Contact not found'
+                message: 'Validation failed',
+                errors: errors.array()
             });
         }
 
+        const weights = await saveWeights(req.body.weights, req.user.userId);
+
+        logger.userAction(req.user.userId, 'lead_scoring_updated', { weights: req.body.weights });
+
+        res.json({
+            success: true,
+            data: weights,
+            message: 'Lead scoring configuration updated successfully'
+        });
+
+    } catch (error) {
+        logger.error('Update lead scoring config error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update lead scoring configuration',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/contact/scoring/rescore
+// @desc    Re-score existing contacts with the current weights. The LLM isn't called: each
+//          contact keeps its last classification, and those without one are counted as unclassified
+// @access  Private (Admin only)
+router.post('/scoring/rescore', auth, authorize('contacts:configure'), [
+    body('status')
+        .optional()
+        .isIn(CONTACT_STATUSES)
+        .withMessage('Invalid status')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const filter = {};
+        if (req.body.status) filter.status = req.body.status;
+
+        const weights = await getWeights();
+        let rescored = 0;
+        let unclassified = 0;
+
+        // One provider call per contact would run into the shared LLM rate limit and
+        // silently score later contacts without it
+        for await (const contact of Contact.find(filter).cursor()) {
+            const { classification } = await applyLeadScore(contact, weights, { classify: false });
+            await contact.save();
+            rescored++;
+            if (weights.llm.enabled && !classification) unclassified++;
+        }
+
+        logger.userAction(req.user.userId, 'contacts_rescored', { filter, rescored, unclassified });
+
+        res.json({
+            success: true,
+            data: { rescored, unclassified },
+            message: unclassified
+                ? `${rescored} contacts re-scored; ${unclassified} have no LLM classification and were scored without it`
+                : `${rescored} contacts re-scored`
+        });
+
+    } catch (error) {
+        logger.error('Rescore contacts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to re-score contacts',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/contact/mine
+// @desc    Get leads assigned to the current user
+// @access  Private
+router.get('/mine', auth, async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = parseInt(req.query.limit) || 20;
+        const status = req.query.status;
+
+        const filter = { assignedTo: req.user.userId };
+        if (status) filter.status = status;
+        if (req.query.overdue === 'true') filter.followUpAt = { $lte: new Date() };
+
+        const skip = (page - 1) * limit;
+
+        // Soonest follow-ups first, leads without one last
+        const contacts = await Contact.aggregate([
+            { $match: filter },
+            { $addFields: { noFollowUp: { $cond: [{ $ifNull: ['$followUpAt', false] }, 0, 1] } } },
+            { $sort: { noFollowUp: 1, followUpAt: 1, createdAt: -1 } },
+            { $skip: skip },
+            { $limit: limit },
+            { $project: { noFollowUp: 0, notes: 0, activities: 0, __v: 0 } }
+        ]);
+
+        const total = await Contact.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: contacts,
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        });
+
+    } catch (error) {
+        logger.error('Get assigned contacts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch assigned contacts',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/contact/:id
+// @desc    Get single contact submission
+// @access  Private (Admin or assignee)
+router.get('/:id', auth, async (req, res) => {
+    try {
+        const contact = await loadContact(req, res);
+        if (!contact) return;
+
+        await contact.populate([
+            { path: 'assignedTo', select: USER_SUMMARY_FIELDS },
+            { path: 'notes.author', select: USER_SUMMARY_FIELDS },
+            { path: 'activities.actor', select: USER_SUMMARY_FIELDS }
+        ]);
+
         res.json({
             success: true,
             data: contact
@@ -256,16 +615,21 @@ router.get('/:id', auth, authorize(['admin', 'manager']), async (req, res) => {
 
 // @route   PUT /api/contact/:id
 // @desc    Update contact status/priority
-// @access  Private (Admin)
-router.put('/:id', auth, authorize(['admin', 'manager']), [
+// @access  Private (Admin or assignee)
+router.put('/:id', auth, [
     body('status')
         .optional()
-        .isIn(['new', 'contacted', 'in-progress', 'closed'])
+        .isIn(CONTACT_STATUSES)
         .withMessage('Invalid status'),
     body('priority')
         .optional()
         .isIn(['low', 'medium', 'high'])
-        .withMessage('Invalid priority')
+        .withMessage('Invalid priority'),
+    body('notes')
+        .optional()
+        .trim()
+        .isLength({ min: 1, max: 5000 })
+        .withMessage('Note must be between 1 and 5000 characters')
 ], async (req, res) => {
     try {
         const errors = validationResult(req);
@@ -278,25 +642,44 @@ router.put('/:id', auth, authorize(['admin', 'manager']), [
         }
 
         const { status, priority, notes } = req.body;
-        const updateData = {};
-        
-        if (status) updateData.status = status;
-        if (priority) updateData.priority = priority;
-        if (notes) updateData.notes = notes;
-
-        const contact = await Contact.findByIdAndUpdate(
-            req.params.id,
-            updateData,
-            { new: true, runValidators: true }
-        );
 
-        if (!contact) {
-            return res.status(404).json({
+        if (priority && !hasPermission(req.user, 'contacts:write')) {
+            return res.status(403).json({
                 success: false,
-                message: 'Contact not found'
+                message: 'Insufficient permissions to change lead priority'
             });
         }
 
+        const contact = await loadContact(req, res);
+        if (!contact) return;
+
+        if (status && status !== contact.status) {
+            contact.logActivity('status-change', {
+                actor: req.user.userId,
+                summary: `Status changed from ${contact.status} to ${status}`,
+                data: { from: contact.status, to: status }
+            });
+            contact.status = status;
+        }
+
+        if (priority && priority !== contact.priority) {
+            contact.logActivity('priority-change', {
+                actor: req.user.userId,
+                summary: `Priority changed from ${contact.priority} to ${priority}`,
+                data: { from: contact.priority, to: priority }
+            });
+            contact.priority = priority;
+            contact.priorityOverridden = true;
+        }
+
+        if (notes) {
+            const note = contact.notes.create({ author: req.user.userId, body: notes });
+            contact.notes.push(note);
+            contact.logActivity('note', { actor: req.user.userId, summary: 'Note added', data: { noteId: note._id } });
+        }
+
+        await contact.save();
+
         logger.info(`Contact ${contact._id} updated by ${req.user.email}`);
 
         res.json({
@@ -315,10 +698,452 @@ router.put('/:id', auth, authorize(['admin', 'manager']), [
     }
 });
 
+// @route   PUT /api/contact/:id/assign
+// @desc    Assign a lead to a team member (null to unassign)
+// @access  Private (Admin)
+router.put('/:id/assign', auth, authorize('contacts:write'), [
+    body('assignedTo')
+        .custom(value => value === null || /^[a-f\d]{24}$/i.test(value))
+        .withMessage('assignedTo must be a user ID or null')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const { assignedTo } = req.body;
+
+        let assignee = null;
+        if (assignedTo) {
+            assignee = await User.findById(assignedTo).select(USER_SUMMARY_FIELDS + ' isActive');
+            if (!assignee || !assignee.isActive) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Assignee not found or inactive'
+                });
+            }
+        }
+
+        const contact = await loadContact(req, res);
+        if (!contact) return;
+
+        contact.assignedTo = assignee ? assignee._id : undefined;
+        contact.logActivity('assignment', {
+            actor: req.user.userId,
+            summary: assignee ? `Assigned to ${assignee.name}` : 'Unassigned',
+            data: { assignedTo: assignee ? assignee._id : null }
+        });
+
+        await contact.save();
+
+        logger.userAction(req.user.userId, 'contact_assigned', {
+            contactId: contact._id,
+            assignedTo: assignee ? assignee._id : null
+        });
+
+        res.json({
+            success: true,
+            data: contact,
+            message: assignee ? 'Contact assigned successfully' : 'Contact unassigned successfully'
+        });
+
+    } catch (error) {
+        logger.error('Assign contact error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to assign contact',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   PUT /api/contact/:id/follow-up
+// @desc    Set or clear the follow-up due date
+// @access  Private (Admin or assignee)
+router.put('/:id/follow-up', auth, [
+    body('followUpAt')
+        .custom(value => value === null || !isNaN(Date.parse(value)))
+        .withMessage('followUpAt must be a date or null')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const contact = await loadContact(req, res);
+        if (!contact) return;
+
+        const followUpAt = req.body.followUpAt ? new Date(req.body.followUpAt) : undefined;
+
+        contact.followUpAt = followUpAt;
+        contact.logActivity('follow-up', {
+            actor: req.user.userId,
+            summary: followUpAt ? `Follow-up due ${followUpAt.toISOString()}` : 'Follow-up cleared',
+            data: { followUpAt: followUpAt || null }
+        });
+
+        await contact.save();
+
+        res.json({
+            success: true,
+            data: contact,
+            message: 'Follow-up updated successfully'
+        });
+
+    } catch (error) {
+        logger.error('Update follow-up error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update follow-up',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/contact/:id/notes
+// @desc    Get threaded notes for a contact
+// @access  Private (Admin or assignee)
+router.get('/:id/notes', auth, async (req, res) => {
+    try {
+        const contact = await loadContact(req, res);
+        if (!contact) return;
+
+        await contact.populate({ path: 'notes.author', select: USER_SUMMARY_FIELDS });
+
+        res.json({
+            success: true,
+            data: threadNotes(contact.notes.map(note => note.toObject()))
+        });
+
+    } catch (error) {
+        logger.error('Get contact notes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch notes',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/contact/:id/notes
+// @desc    Add a note, or a reply when parentId is given
+// @access  Private (Admin or assignee)
+router.post('/:id/notes', auth, [
+    body('body')
+        .trim()
+        .isLength({ min: 1, max: 5000 })
+        .withMessage('Note must be between 1 and 5000 characters'),
+    body('parentId')
+        .optional()
+        .isMongoId()
+        .withMessage('Invalid parent note ID')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const contact = await loadContact(req, res);
+        if (!contact) return;
+
+        const { parentId } = req.body;
+        if (parentId && !contact.notes.id(parentId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Parent note not found'
+            });
+        }
+
+        const note = contact.notes.create({
+            author: req.user.userId,
+            body: req.body.body,
+            parent: parentId
+        });
+        contact.notes.push(note);
+        contact.logActivity('note', {
+            actor: req.user.userId,
+            summary: parentId ? 'Reply added' : 'Note added',
+            data: { noteId: note._id, parent: parentId }
+        });
+
+        await contact.save();
+
+        res.status(201).json({
+            success: true,
+            data: note,
+            message: 'Note added successfully'
+        });
+
+    } catch (error) {
+        logger.error('Add contact note error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to add note',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/contact/:id/activities
+// @desc    Log a call, email or meeting with the lead
+// @access  Private (Admin or assignee)
+router.post('/:id/activities', auth, [
+    body('type')
+        .isIn(['call', 'email', 'meeting'])
+        .withMessage('Activity type must be call, email or meeting'),
+    body('summary')
+        .trim()
+        .isLength({ min: 1, max: 1000 })
+        .withMessage('Summary must be between 1 and 1000 characters'),
+    body('followUpAt')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid follow-up date')
+], async (req, res) => {
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const contact = await loadContact(req, res);
+        if (!contact) return;
+
+        const { type, summary, followUpAt } = req.body;
+
+        const activity = contact.logActivity(type, { actor: req.user.userId, summary });
+
+        if (followUpAt) {
+            contact.followUpAt = new Date(followUpAt);
+            contact.logActivity('follow-up', {
+                actor: req.user.userId,
+                summary: `Follow-up due ${contact.followUpAt.toISOString()}`,
+                data: { followUpAt: contact.followUpAt }
+            });
+        }
+
+        await contact.save();
+
+        res.status(201).json({
+            success: true,
+            data: activity,
+            message: 'Activity logged successfully'
+        });
+
+    } catch (error) {
+        logger.error('Log contact activity error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to log activity',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   GET /api/contact/:id/timeline
+// @desc    Get the contact's activity timeline, newest first
+// @access  Private (Admin or assignee)
+router.get('/:id/timeline', auth, async (req, res) => {
+    try {
+        const contact = await loadContact(req, res);
+        if (!contact) return;
+
+        await contact.populate({ path: 'activities.actor', select: USER_SUMMARY_FIELDS });
+
+        const timeline = contact.activities
+            .map(activity => activity.toObject())
+            .sort((a, b) => b.createdAt - a.createdAt);
+
+        res.json({
+            success: true,
+            data: timeline
+        });
+
+    } catch (error) {
+        logger.error('Get contact timeline error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch timeline',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
+// @route   POST /api/contact/:id/convert
+// @desc    Convert a won lead into a project
+// @access  Private (Admin)
+router.post('/:id/convert', auth, authorize('contacts:write'), [
+    body('title')
+        .optional()
+        .trim()
+        .isLength({ min: 5, max: 200 })
+        .withMessage('Title must be between 5 and 200 characters'),
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ min: 10, max: 2000 })
+        .withMessage('Description must be between 10 and 2000 characters'),
+    body('category')
+        .optional()
+        .isIn(PROJECT_CATEGORIES)
+        .withMessage('Invalid category'),
+    body('technologies')
+        .optional()
+        .isArray()
+        .withMessage('Technologies must be an array'),
+    body('startDate')
+        .optional()
+        .isISO8601()
+        .withMessage('Invalid start date')
+], async (req, res) => {
+    // Project this attempt created without a transaction, to remove if the conversion fails
+    let orphanProjectId = null;
+
+    try {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Validation failed',
+                errors: errors.array()
+            });
+        }
+
+        const contact = await Contact.findById(req.params.id);
+
+        if (!contact) {
+            throw new AppError('Contact not found', 404);
+        }
+
+        if (contact.project) {
+            throw new AppError('Contact has already been converted to a project', 409);
+        }
+
+        const category = req.body.category || (PROJECT_CATEGORIES.includes(contact.service) ? contact.service : null);
+        if (!category) {
+            throw new AppError('Category is required when the contact has no matching service', 400);
+        }
+
+        // Both writes share a transaction where MongoDB supports one. Without it, the contact
+        // is claimed conditionally and a failed attempt removes its project; a project left
+        // by an attempt that died in between is found through sourceContact and reused.
+        const { project, convertedContact } = await withTransaction(async (session) => {
+            orphanProjectId = null;
+
+            let project = await Project.findOne({ sourceContact: contact._id }).session(session);
+            if (!project) {
+                [project] = await Project.create([{
+                    title: req.body.title || `${contact.company || contact.name} - ${category} project`,
+                    description: req.body.description || contact.message,
+                    category,
+                    technologies: req.body.technologies || [],
+                    startDate: req.body.startDate,
+                    client: {
+                        name: contact.name,
+                        company: contact.company,
+                        email: contact.email
+                    },
+                    teamMembers: [{
+                        name: req.user.name,
+                        role: 'Project Manager',
+                        userId: req.user.userId
+                    }],
+                    sourceContact: contact._id
+                }], { session });
+
+                if (!session) orphanProjectId = project._id;
+            }
+
+            const activities = [
+                contact.logActivity('status-change', {
+                    actor: req.user.userId,
+                    summary: `Status changed from ${contact.status} to closed-won`,
+                    data: { from: contact.status, to: 'closed-won' }
+                }),
+                contact.logActivity('converted', {
+                    actor: req.user.userId,
+                    summary: `Converted to project ${project.title}`,
+                    data: { projectId: project._id }
+                })
+            ];
+
+            // Claim the contact only if nobody converted it since it was read
+            const convertedContact = await Contact.findOneAndUpdate(
+                { _id: contact._id, project: null },
+                {
+                    $set: { status: 'closed-won', project: project._id },
+                    $unset: { followUpAt: 1 },
+                    $push: { activities: { $each: activities.map(activity => activity.toObject()) } }
+                },
+                { new: true, session }
+            );
+
+            if (!convertedContact) {
+                throw new AppError('Contact has already been converted to a project', 409);
+            }
+
+            return { project, convertedContact };
+        });
+        orphanProjectId = null;
+
+        logger.userAction(req.user.userId, 'contact_converted', { contactId: convertedContact._id, projectId: project._id });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                contact: convertedContact,
+                project
+            },
+            message: 'Contact converted to project successfully'
+        });
+
+    } catch (error) {
+        // Without a transaction, roll back the project if the contact couldn't be claimed
+        if (orphanProjectId) {
+            await Project.deleteOne({ _id: orphanProjectId }).catch(deleteError => {
+                logger.error('Could not remove project after failed conversion:', deleteError);
+            });
+        }
+
+        if (error.isOperational) {
+            return res.status(error.statusCode).json({
+                success: false,
+                message: error.message
+            });
+        }
+
+        logger.error('Convert contact error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to convert contact',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+});
+
 // @route   DELETE /api/contact/:id
 // @desc    Delete contact submission
 // @access  Private (Admin only)
-router.delete('/:id', auth, authorize(['admin']), async (req, res) => {
+router.delete('/:id', auth, authorize('contacts:delete'), async (req, res) => {
     try {
         const contact = await Contact.findByIdAndDelete(req.params.id);
 
@@ -349,12 +1174,14 @@ router.delete('/:id', auth, authorize(['admin']), async (req, res) => {
 // @route   GET /api/contact/stats/overview
 // @desc    Get contact statistics
 // @access  Private (Admin)
-router.get('/stats/overview', auth, authorize(['admin', 'manager']), async (req, res) => {
+router.get('/stats/overview', auth, authorize('contacts:read'), async (req, res) => {
     try {
         const totalContacts = await Contact.countDocuments();
         const newContacts = await Contact.countDocuments({ status: 'new' });
         const inProgress = await Contact.countDocuments({ status: 'in-progress' });
         const closed = await Contact.countDocuments({ status: 'closed' });
+        const closedWon = await Contact.countDocuments({ status: 'closed-won' });
+        const closedLost = await Contact.countDocuments({ status: 'closed-lost' });
         
         // Get contacts from last 30 days
         const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
@@ -377,6 +1204,8 @@ router.get('/stats/overview', auth, authorize(['admin', 'manager']), async (req,
                 newContacts,
                 inProgress,
                 closed,
+                closedWon,
+                closedLost,
                 recentContacts,
                 serviceStats
             }
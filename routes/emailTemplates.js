@@ -0,0 +1,431 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { EmailTemplate, Revision } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { catchAsync } = require('../middleware/errorHandler');
+const { emailService } = require('../utils/email');
+const {
+    renderPreview,
+    validateTemplateSource,
+    invalidateTemplateCache
+} = require('../utils/emailTemplates');
+const { takeSnapshot, recordRevision, listRevisions, restoreRevision } = require('../utils/revisions');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Templates go out in every transactional email; email-templates:* is admin-only by default
+router.use(auth);
+
+const TEMPLATE_TYPES = ['template', 'layout', 'partial'];
+
+// Validation rules shared by create, update and preview
+const templateValidation = (isUpdate = false) => {
+    const field = (name) => (isUpdate ? body(name).optional() : body(name));
+
+    return [
+        body('description')
+            .optional()
+            .trim()
+            .isLength({ max: 500 })
+            .withMessage('Description cannot exceed 500 characters'),
+
+        body('subject')
+            .optional()
+            .trim()
+            .isLength({ max: 200 })
+            .withMessage('Subject cannot exceed 200 characters'),
+
+        field('html')
+            .isString()
+            .isLength({ min: 1 })
+            .withMessage('Template HTML is required'),
+
+        body('layout')
+            .optional({ values: 'null' })
+            .trim()
+            .matches(/^[a-z0-9-]*$/)
+            .withMessage('Layout must be a template name'),
+
+        body('sampleData')
+            .optional()
+            .isObject()
+            .withMessage('Sample data must be an object'),
+
+        body('isActive')
+            .optional()
+            .isBoolean()
+            .withMessage('isActive must be a boolean')
+    ];
+};
+
+const pickTemplateFields = (source) => {
+    const fields = {};
+    ['description', 'subject', 'html', 'layout', 'sampleData', 'isActive'].forEach(key => {
+        if (source[key] !== undefined) fields[key] = source[key];
+    });
+    return fields;
+};
+
+// Returns an error message if the template does not compile
+const templateError = (fields) => {
+    try {
+        validateTemplateSource(fields);
+        return null;
+    } catch (error) {
+        return `Invalid template: ${error.message}`;
+    }
+};
+
+// @route   GET /api/email-templates
+// @desc    List email templates, layouts and partials stored in the database
+// @access  Private (Admin)
+router.get('/', authorize('email-templates:read'), catchAsync(async (req, res) => {
+    const filter = {};
+    if (req.query.type) filter.type = req.query.type;
+
+    const templates = await EmailTemplate.find(filter)
+        .populate('updatedBy', 'name email')
+        .select('-html -sampleData')
+        .sort({ type: 1, name: 1 });
+
+    res.json({
+        success: true,
+        data: templates
+    });
+}));
+
+// @route   GET /api/email-templates/files
+// @desc    Built-in file templates and whether the database overrides them
+// @access  Private (Admin)
+router.get('/files', authorize('email-templates:read'), catchAsync(async (req, res) => {
+    const overrides = await EmailTemplate.find({ type: 'template' }).select('name isActive');
+
+    const files = [...emailService.templates.keys()].sort().map(name => {
+        const override = overrides.find(template => template.name === name);
+        return {
+            name,
+            overridden: Boolean(override && override.isActive),
+            templateId: override ? override._id : null
+        };
+    });
+
+    res.json({
+        success: true,
+        data: files
+    });
+}));
+
+// @route   POST /api/email-templates/preview
+// @desc    Render unsaved template fields with sample data
+// @access  Private (Admin)
+router.post('/preview', authorize('email-templates:read'), [
+    body('type')
+        .optional()
+        .isIn(TEMPLATE_TYPES)
+        .withMessage('Invalid template type'),
+
+    ...templateValidation()
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    try {
+        const preview = await renderPreview(req.body, req.body.sampleData || {});
+        res.json({
+            success: true,
+            data: preview
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: `Preview failed: ${error.message}`
+        });
+    }
+}));
+
+// @route   GET /api/email-templates/:id
+// @desc    Get email template
+// @access  Private (Admin)
+router.get('/:id', authorize('email-templates:read'), catchAsync(async (req, res) => {
+    const template = await EmailTemplate.findById(req.params.id)
+        .populate('createdBy', 'name email')
+        .populate('updatedBy', 'name email');
+
+    if (!template) {
+        return res.status(404).json({
+            success: false,
+            message: 'Email template not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: template
+    });
+}));
+
+// @route   POST /api/email-templates
+// @desc    Create email template, layout or partial
+// @access  Private (Admin)
+router.post('/', authorize('email-templates:write'), [
+    body('name')
+        .trim()
+        .toLowerCase()
+        .matches(/^[a-z0-9-]+$/)
+        .withMessage('Name can only contain lowercase letters, numbers and hyphens'),
+
+    body('type')
+        .optional()
+        .isIn(TEMPLATE_TYPES)
+        .withMessage('Invalid template type'),
+
+    ...templateValidation()
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const type = req.body.type || 'template';
+    const fields = pickTemplateFields(req.body);
+
+    const invalidTemplate = templateError({ ...fields, type });
+    if (invalidTemplate) {
+        return res.status(400).json({
+            success: false,
+            message: invalidTemplate
+        });
+    }
+
+    const existingTemplate = await EmailTemplate.findOne({ name: req.body.name, type });
+    if (existingTemplate) {
+        return res.status(400).json({
+            success: false,
+            message: `A ${type} named ${req.body.name} already exists`
+        });
+    }
+
+    const template = new EmailTemplate({
+        ...fields,
+        name: req.body.name,
+        type,
+        createdBy: req.user.userId,
+        updatedBy: req.user.userId
+    });
+    await template.save();
+    invalidateTemplateCache();
+
+    await recordRevision({
+        documentType: 'EmailTemplate',
+        document: template,
+        author: req.user.userId,
+        action: 'create'
+    });
+
+    logger.userAction(req.user.userId, 'created_email_template', {
+        templateId: template._id,
+        name: template.name,
+        type: template.type
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Email template created successfully',
+        data: template
+    });
+}));
+
+// @route   PUT /api/email-templates/:id
+// @desc    Update email template; each change is stored as a new version
+// @access  Private (Admin)
+router.put('/:id', authorize('email-templates:write'), templateValidation(true), catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const template = await EmailTemplate.findById(req.params.id);
+
+    if (!template) {
+        return res.status(404).json({
+            success: false,
+            message: 'Email template not found'
+        });
+    }
+
+    const fields = pickTemplateFields(req.body);
+
+    const invalidTemplate = templateError({ ...fields, type: template.type });
+    if (invalidTemplate) {
+        return res.status(400).json({
+            success: false,
+            message: invalidTemplate
+        });
+    }
+
+    const previous = takeSnapshot('EmailTemplate', template);
+
+    template.set({ ...fields, updatedBy: req.user.userId });
+    await template.save();
+    invalidateTemplateCache();
+
+    const revision = await recordRevision({
+        documentType: 'EmailTemplate',
+        document: template,
+        previous,
+        author: req.user.userId,
+        action: 'update'
+    });
+
+    logger.userAction(req.user.userId, 'updated_email_template', {
+        templateId: template._id,
+        name: template.name,
+        version: revision ? revision.version : undefined
+    });
+
+    res.json({
+        success: true,
+        message: 'Email template updated successfully',
+        data: template
+    });
+}));
+
+// @route   POST /api/email-templates/:id/preview
+// @desc    Render a saved template with its sample data (request data overrides it)
+// @access  Private (Admin)
+router.post('/:id/preview', authorize('email-templates:read'), catchAsync(async (req, res) => {
+    const template = await EmailTemplate.findById(req.params.id);
+
+    if (!template) {
+        return res.status(404).json({
+            success: false,
+            message: 'Email template not found'
+        });
+    }
+
+    const data = { ...template.sampleData, ...(req.body.data || {}) };
+
+    try {
+        const preview = await renderPreview(template.toObject(), data);
+        res.json({
+            success: true,
+            data: { ...preview, sampleData: data }
+        });
+    } catch (error) {
+        res.status(400).json({
+            success: false,
+            message: `Preview failed: ${error.message}`
+        });
+    }
+}));
+
+// @route   GET /api/email-templates/:id/revisions
+// @desc    Version history of an email template
+// @access  Private (Admin)
+router.get('/:id/revisions', authorize('email-templates:read'), catchAsync(async (req, res) => {
+    const template = await EmailTemplate.findById(req.params.id).select('_id');
+
+    if (!template) {
+        return res.status(404).json({
+            success: false,
+            message: 'Email template not found'
+        });
+    }
+
+    const revisions = await listRevisions('EmailTemplate', template._id);
+
+    res.json({
+        success: true,
+        data: revisions
+    });
+}));
+
+// @route   POST /api/email-templates/:id/revisions/:revisionId/restore
+// @desc    Restore an earlier version of an email template
+// @access  Private (Admin)
+router.post('/:id/revisions/:revisionId/restore', authorize('email-templates:write'), catchAsync(async (req, res) => {
+    const template = await EmailTemplate.findById(req.params.id);
+
+    if (!template) {
+        return res.status(404).json({
+            success: false,
+            message: 'Email template not found'
+        });
+    }
+
+    const revision = await Revision.findOne({
+        _id: req.params.revisionId,
+        documentType: 'EmailTemplate',
+        documentId: template._id
+    });
+
+    if (!revision) {
+        return res.status(404).json({
+            success: false,
+            message: 'Revision not found'
+        });
+    }
+
+    template.updatedBy = req.user.userId;
+    await restoreRevision({
+        documentType: 'EmailTemplate',
+        document: template,
+        revision,
+        author: req.user.userId
+    });
+    invalidateTemplateCache();
+
+    logger.userAction(req.user.userId, 'restored_email_template', {
+        templateId: template._id,
+        version: revision.version
+    });
+
+    res.json({
+        success: true,
+        message: `Email template restored to version ${revision.version}`,
+        data: template
+    });
+}));
+
+// @route   DELETE /api/email-templates/:id
+// @desc    Delete email template; sending falls back to the file template
+// @access  Private (Admin)
+router.delete('/:id', authorize('email-templates:delete'), catchAsync(async (req, res) => {
+    const template = await EmailTemplate.findByIdAndDelete(req.params.id);
+
+    if (!template) {
+        return res.status(404).json({
+            success: false,
+            message: 'Email template not found'
+        });
+    }
+
+    invalidateTemplateCache();
+
+    logger.userAction(req.user.userId, 'deleted_email_template', {
+        templateId: template._id,
+        name: template.name
+    });
+
+    res.json({
+        success: true,
+        message: 'Email template deleted successfully'
+    });
+}));
+
+module.exports = router;
@@ -0,0 +1,144 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { EmailJob } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { catchAsync } = require('../middleware/errorHandler');
+const { replayJob } = require('../utils/emailQueue');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// Queued emails can hold password reset links; emails:read is admin-only by default.
+// The message content is never returned, and it's cleared once a job is sent.
+const HIDDEN_FIELDS = '-message.html -message.text -message.data';
+
+router.use(auth);
+
+// @route   GET /api/emails
+// @desc    List queued, sent and dead-lettered emails
+// @access  Private (Admin)
+router.get('/', authorize('emails:read'), catchAsync(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const skip = (page - 1) * limit;
+
+    const filter = {};
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.to) filter['message.to'] = req.query.to.toLowerCase();
+
+    const jobs = await EmailJob.find(filter)
+        .select(HIDDEN_FIELDS)
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(limit);
+
+    const total = await EmailJob.countDocuments(filter);
+
+    res.json({
+        success: true,
+        data: jobs,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    });
+}));
+
+// @route   GET /api/emails/stats
+// @desc    Email queue counts by status
+// @access  Private (Admin)
+router.get('/stats', authorize('emails:read'), catchAsync(async (req, res) => {
+    const counts = await EmailJob.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const byStatus = { queued: 0, processing: 0, retrying: 0, sent: 0, dead: 0 };
+    counts.forEach(({ _id, count }) => {
+        byStatus[_id] = count;
+    });
+
+    const oldestDue = await EmailJob.findOne({ status: { $in: ['queued', 'retrying'] } })
+        .sort({ nextAttemptAt: 1 })
+        .select('nextAttemptAt');
+
+    res.json({
+        success: true,
+        data: {
+            ...byStatus,
+            oldestDueAt: oldestDue ? oldestDue.nextAttemptAt : null
+        }
+    });
+}));
+
+// @route   POST /api/emails/replay-dead
+// @desc    Re-queue every dead-lettered email
+// @access  Private (Admin)
+router.post('/replay-dead', authorize('emails:write'), catchAsync(async (req, res) => {
+    const result = await EmailJob.updateMany(
+        { status: 'dead' },
+        {
+            status: 'queued',
+            attempts: 0,
+            nextAttemptAt: new Date(),
+            replayedBy: req.user.userId,
+            replayedAt: new Date()
+        }
+    );
+
+    logger.userAction(req.user.userId, 'replayed_dead_emails', { count: result.modifiedCount });
+
+    res.json({
+        success: true,
+        message: `${result.modifiedCount} emails re-queued`,
+        data: { replayed: result.modifiedCount }
+    });
+}));
+
+// @route   GET /api/emails/:id
+// @desc    Get a queued email with its failure history
+// @access  Private (Admin)
+router.get('/:id', authorize('emails:read'), catchAsync(async (req, res) => {
+    const job = mongoose.isValidObjectId(req.params.id)
+        ? await EmailJob.findById(req.params.id).select(HIDDEN_FIELDS).populate('replayedBy', 'name email')
+        : null;
+
+    if (!job) {
+        return res.status(404).json({
+            success: false,
+            message: 'Email not found'
+        });
+    }
+
+    res.json({
+        success: true,
+        data: job
+    });
+}));
+
+// @route   POST /api/emails/:id/replay
+// @desc    Re-queue a dead-lettered or retrying email to send now
+// @access  Private (Admin)
+router.post('/:id/replay', authorize('emails:write'), catchAsync(async (req, res) => {
+    const job = mongoose.isValidObjectId(req.params.id)
+        ? await replayJob(req.params.id, req.user.userId).select(HIDDEN_FIELDS)
+        : null;
+
+    if (!job) {
+        return res.status(400).json({
+            success: false,
+            message: 'Only dead or retrying emails can be replayed'
+        });
+    }
+
+    logger.userAction(req.user.userId, 'replayed_email', { jobId: job._id, to: job.message.to });
+
+    res.json({
+        success: true,
+        message: 'Email re-queued',
+        data: job
+    });
+}));
+
+module.exports = router;
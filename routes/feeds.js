@@ -0,0 +1,195 @@
+const express = require('express');
+const { Service, Project, BlogPost } = require('../models');
+const { catchAsync } = require('../middleware/errorHandler');
+const { summarize } = require('../utils/pageRenderer');
+const { siteUrl, publicUrl } = require('../utils/urls');
+
+const router = express.Router();
+
+const FEED_LIMIT = 20;
+const FEED_TITLE = 'InoxDev - Blog & Case Studies';
+const FEED_DESCRIPTION = 'Articles and case studies on DevSecOps, full stack development, cloud and security from InoxDev.';
+
+const escapeXml = (value) => String(value == null ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+
+const sendXml = (res, contentType, xml) => {
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.type(contentType).send(xml);
+};
+
+// Published blog posts and public case studies, newest first
+const getFeedItems = async () => {
+    const [posts, projects] = await Promise.all([
+        BlogPost.find(BlogPost.publishedFilter())
+            .populate('author', 'name')
+            .select('title slug excerpt content category tags publishedAt updatedAt author')
+            .sort({ publishedAt: -1 })
+            .limit(FEED_LIMIT)
+            .lean(),
+        Project.find({ isPublic: true })
+            .select('title description category technologies createdAt updatedAt')
+            .sort({ createdAt: -1 })
+            .limit(FEED_LIMIT)
+            .lean()
+    ]);
+
+    const items = [
+        ...posts.map(post => ({
+            id: publicUrl(`/blog/${post.slug}`),
+            title: post.title,
+            link: publicUrl(`/blog/${post.slug}`),
+            summary: summarize(post.excerpt || post.content, 300),
+            author: post.author?.name || 'InoxDev',
+            categories: [post.category, ...(post.tags || [])].filter(Boolean),
+            published: post.publishedAt,
+            updated: post.updatedAt
+        })),
+        ...projects.map(project => ({
+            id: publicUrl(`/projects/${project._id}`),
+            title: `Case Study: ${project.title}`,
+            link: publicUrl(`/projects/${project._id}`),
+            summary: summarize(project.description, 300),
+            author: 'InoxDev',
+            categories: [project.category, ...(project.technologies || [])].filter(Boolean),
+            published: project.createdAt,
+            updated: project.updatedAt
+        }))
+    ];
+
+    return items
+        .sort((a, b) => new Date(b.published) - new Date(a.published))
+        .slice(0, FEED_LIMIT);
+};
+
+// @route   GET /sitemap.xml
+// @desc    XML sitemap of the homepage, services, public projects and published posts
+// @access  Public
+router.get('/sitemap.xml', catchAsync(async (req, res) => {
+    const [services, projects, posts] = await Promise.all([
+        Service.find({ isActive: true }).select('slug updatedAt').lean(),
+        Project.find({ isPublic: true }).select('_id updatedAt').lean(),
+        BlogPost.find(BlogPost.publishedFilter()).select('slug updatedAt').lean()
+    ]);
+
+    const entries = [
+        ...services.map(service => ({ loc: publicUrl(`/services/${service.slug}`), lastmod: service.updatedAt, priority: '0.8' })),
+        ...projects.map(project => ({ loc: publicUrl(`/projects/${project._id}`), lastmod: project.updatedAt, priority: '0.7' })),
+        ...posts.map(post => ({ loc: publicUrl(`/blog/${post.slug}`), lastmod: post.updatedAt, priority: '0.6' }))
+    ];
+
+    // The homepage lists this content, so it changes whenever any of it does
+    const latest = entries.reduce((max, entry) => (entry.lastmod > max ? entry.lastmod : max), null);
+    entries.unshift({ loc: publicUrl('/'), lastmod: latest, priority: '1.0' });
+
+    const urls = entries.map(entry => [
+        '  <url>',
+        `    <loc>${escapeXml(entry.loc)}</loc>`,
+        entry.lastmod ? `    <lastmod>${new Date(entry.lastmod).toISOString()}</lastmod>` : null,
+        `    <priority>${entry.priority}</priority>`,
+        '  </url>'
+    ].filter(Boolean).join('\n'));
+
+    sendXml(res, 'application/xml', [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+        ...urls,
+        '</urlset>'
+    ].join('\n'));
+}));
+
+// @route   GET /robots.txt
+// @desc    Crawler rules pointing at the sitemap
+// @access  Public
+router.get('/robots.txt', (req, res) => {
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.type('text/plain').send([
+        'User-agent: *',
+        'Disallow: /api/',
+        'Disallow: /email/',
+        'Disallow: /debug/',
+        'Disallow: /test/',
+        'Allow: /',
+        '',
+        `Sitemap: ${publicUrl('/sitemap.xml')}`,
+        ''
+    ].join('\n'));
+});
+
+// @route   GET /feed.xml
+// @desc    RSS 2.0 feed of blog posts and case studies
+// @access  Public
+router.get(['/feed.xml', '/rss.xml'], catchAsync(async (req, res) => {
+    const items = await getFeedItems();
+    const lastBuildDate = items.length ? new Date(items[0].published) : new Date();
+
+    const itemsXml = items.map(item => [
+        '    <item>',
+        `      <title>${escapeXml(item.title)}</title>`,
+        `      <link>${escapeXml(item.link)}</link>`,
+        `      <guid isPermaLink="true">${escapeXml(item.id)}</guid>`,
+        `      <description>${escapeXml(item.summary)}</description>`,
+        `      <dc:creator>${escapeXml(item.author)}</dc:creator>`,
+        ...item.categories.map(category => `      <category>${escapeXml(category)}</category>`),
+        `      <pubDate>${new Date(item.published).toUTCString()}</pubDate>`,
+        '    </item>'
+    ].join('\n'));
+
+    sendXml(res, 'application/rss+xml', [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+        '  <channel>',
+        `    <title>${escapeXml(FEED_TITLE)}</title>`,
+        `    <link>${escapeXml(siteUrl())}</link>`,
+        `    <description>${escapeXml(FEED_DESCRIPTION)}</description>`,
+        '    <language>en</language>',
+        `    <lastBuildDate>${lastBuildDate.toUTCString()}</lastBuildDate>`,
+        `    <atom:link href="${escapeXml(publicUrl('/feed.xml'))}" rel="self" type="application/rss+xml" />`,
+        ...itemsXml,
+        '  </channel>',
+        '</rss>'
+    ].join('\n'));
+}));
+
+// @route   GET /feed.atom
+// @desc    Atom feed of blog posts and case studies
+// @access  Public
+router.get(['/feed.atom', '/atom.xml'], catchAsync(async (req, res) => {
+    const items = await getFeedItems();
+    const updated = items.reduce((max, item) => {
+        const date = new Date(item.updated || item.published);
+        return date > max ? date : max;
+    }, new Date(0));
+
+    const entriesXml = items.map(item => [
+        '  <entry>',
+        `    <id>${escapeXml(item.id)}</id>`,
+        `    <title>${escapeXml(item.title)}</title>`,
+        `    <link rel="alternate" type="text/html" href="${escapeXml(item.link)}" />`,
+        `    <published>${new Date(item.published).toISOString()}</published>`,
+        `    <updated>${new Date(item.updated || item.published).toISOString()}</updated>`,
+        `    <author><name>${escapeXml(item.author)}</name></author>`,
+        ...item.categories.map(category => `    <category term="${escapeXml(category)}" />`),
+        `    <summary>${escapeXml(item.summary)}</summary>`,
+        '  </entry>'
+    ].join('\n'));
+
+    sendXml(res, 'application/atom+xml', [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <id>${escapeXml(publicUrl('/'))}</id>`,
+        `  <title>${escapeXml(FEED_TITLE)}</title>`,
+        `  <subtitle>${escapeXml(FEED_DESCRIPTION)}</subtitle>`,
+        `  <link rel="alternate" type="text/html" href="${escapeXml(siteUrl())}" />`,
+        `  <link rel="self" type="application/atom+xml" href="${escapeXml(publicUrl('/feed.atom'))}" />`,
+        `  <updated>${(items.length ? updated : new Date()).toISOString()}</updated>`,
+        ...entriesXml,
+        '</feed>'
+    ].join('\n'));
+}));
+
+module.exports = router;
@@ -0,0 +1,297 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { User } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { catchAsync } = require('../middleware/errorHandler');
+const { startSession } = require('../utils/authSession');
+const { getRolePermissions, canGrant } = require('../utils/permissions');
+const {
+    MFA_TOKEN_PURPOSE,
+    isMfaRequired,
+    verifyMfaToken,
+    createEnrollment,
+    generateBackupCodes,
+    verifyTotp,
+    verifyMfaCode,
+    remainingBackupCodes,
+    clearMfa
+} = require('../utils/mfa');
+const { requestContext } = require('../utils/securityEvents');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+// A signed-in user, or one whose role requires 2FA and who is enrolling during login
+// with the setup mfaToken as their bearer token
+const enrollmentAuth = (req, res, next) => {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    const decoded = token && verifyMfaToken(token, MFA_TOKEN_PURPOSE.SETUP);
+    if (!decoded) return auth(req, res, next);
+
+    req.user = { userId: decoded.userId, mfaSetup: true };
+    next();
+};
+
+const validate = (req, res) => {
+    const errors = validationResult(req);
+    if (errors.isEmpty()) return true;
+
+    res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+    });
+    return false;
+};
+
+const codeValidation = body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Authentication code is required');
+
+const invalidCode = (res) => res.status(400).json({
+    success: false,
+    message: 'Invalid authentication code'
+});
+
+const findUser = async (userId, select) => {
+    const user = await User.findById(userId).select(select);
+    return user && user.isActive ? user : null;
+};
+
+const userNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'User not found'
+});
+
+// @route   GET /api/auth/mfa
+// @desc    Two-factor status of the current user
+// @access  Private (or setup mfaToken)
+router.get('/', enrollmentAuth, catchAsync(async (req, res) => {
+    const user = await findUser(req.user.userId, '+mfa.backupCodes');
+    if (!user) return userNotFound(res);
+
+    res.json({
+        success: true,
+        data: {
+            enabled: Boolean(user.mfa?.enabled),
+            enabledAt: user.mfa?.enabledAt,
+            required: isMfaRequired(user),
+            backupCodesRemaining: remainingBackupCodes(user)
+        }
+    });
+}));
+
+// @route   POST /api/auth/mfa/setup
+// @desc    Start enrolment: returns the secret and the otpauth:// URI to show as a QR code
+// @access  Private (or setup mfaToken)
+router.post('/setup', enrollmentAuth, catchAsync(async (req, res) => {
+    const user = await findUser(req.user.userId, '+mfa.pendingSecret');
+    if (!user) return userNotFound(res);
+
+    if (user.mfa?.enabled) {
+        return res.status(400).json({
+            success: false,
+            message: 'Two-factor authentication is already enabled'
+        });
+    }
+
+    const { secret, otpauthUrl, encrypted } = createEnrollment(user);
+    user.mfa.pendingSecret = encrypted;
+    await user.save();
+
+    res.json({
+        success: true,
+        message: 'Scan the QR code with your authenticator app, then confirm with a code',
+        data: {
+            secret,
+            otpauthUrl
+        }
+    });
+}));
+
+// @route   POST /api/auth/mfa/enable
+// @desc    Confirm enrolment with a first code; returns the backup codes, once.
+//          During a login that required setup, this also signs the user in.
+// @access  Private (or setup mfaToken)
+router.post('/enable', enrollmentAuth, [codeValidation], catchAsync(async (req, res) => {
+    if (!validate(req, res)) return;
+
+    const user = await findUser(req.user.userId, '+mfa.secret +mfa.pendingSecret +mfa.backupCodes');
+    if (!user) return userNotFound(res);
+
+    if (user.mfa?.enabled) {
+        return res.status(400).json({
+            success: false,
+            message: 'Two-factor authentication is already enabled'
+        });
+    }
+
+    if (!user.mfa?.pendingSecret) {
+        return res.status(400).json({
+            success: false,
+            message: 'Start two-factor setup first'
+        });
+    }
+
+    if (!verifyTotp(user, req.body.code, 'pendingSecret')) return invalidCode(res);
+
+    const { codes, backupCodes } = await generateBackupCodes();
+    user.mfa.secret = user.mfa.pendingSecret;
+    user.mfa.pendingSecret = undefined;
+    user.mfa.backupCodes = backupCodes;
+    user.mfa.enabled = true;
+    user.mfa.enabledAt = new Date();
+
+    logger.security(`Two-factor authentication enabled for ${user.email}`, {
+        event: 'mfa_enabled',
+        ...requestContext(req),
+        userId: user._id,
+        email: user.email
+    });
+
+    const message = 'Two-factor authentication enabled. Store your backup codes somewhere safe.';
+
+    if (req.user.mfaSetup) {
+        return startSession(req, res, user, { message, extra: { backupCodes: codes } });
+    }
+
+    await user.save();
+
+    res.json({
+        success: true,
+        message,
+        backupCodes: codes
+    });
+}));
+
+// @route   POST /api/auth/mfa/backup-codes
+// @desc    Replace the backup codes; the old ones stop working
+// @access  Private
+router.post('/backup-codes', auth, [codeValidation], catchAsync(async (req, res) => {
+    if (!validate(req, res)) return;
+
+    const user = await findUser(req.user.userId, '+mfa.secret +mfa.backupCodes');
+    if (!user) return userNotFound(res);
+
+    if (!user.mfa?.enabled) {
+        return res.status(400).json({
+            success: false,
+            message: 'Two-factor authentication is not enabled'
+        });
+    }
+
+    if (!(await verifyMfaCode(user, req.body.code))) return invalidCode(res);
+
+    const { codes, backupCodes } = await generateBackupCodes();
+    user.mfa.backupCodes = backupCodes;
+    await user.save();
+
+    logger.userAction(user._id, 'regenerated_mfa_backup_codes', {});
+
+    res.json({
+        success: true,
+        message: 'New backup codes generated. Store them somewhere safe.',
+        backupCodes: codes
+    });
+}));
+
+// @route   POST /api/auth/mfa/disable
+// @desc    Turn off two-factor authentication (not allowed for roles that require it)
+// @access  Private
+router.post('/disable', auth, [
+    body('password')
+        .notEmpty()
+        .withMessage('Password is required'),
+
+    codeValidation
+], catchAsync(async (req, res) => {
+    if (!validate(req, res)) return;
+
+    const user = await findUser(req.user.userId, '+mfa.secret +mfa.backupCodes');
+    if (!user) return userNotFound(res);
+
+    if (isMfaRequired(user)) {
+        return res.status(403).json({
+            success: false,
+            message: 'Two-factor authentication is required for your role'
+        });
+    }
+
+    if (!user.mfa?.enabled) {
+        return res.status(400).json({
+            success: false,
+            message: 'Two-factor authentication is not enabled'
+        });
+    }
+
+    if (!(await user.comparePassword(req.body.password))) {
+        return res.status(400).json({
+            success: false,
+            message: 'Password is incorrect'
+        });
+    }
+
+    if (!(await verifyMfaCode(user, req.body.code))) return invalidCode(res);
+
+    clearMfa(user);
+    await user.save();
+
+    logger.security(`Two-factor authentication disabled for ${user.email}`, {
+        event: 'mfa_disabled',
+        ...requestContext(req),
+        userId: user._id,
+        email: user.email
+    });
+
+    res.json({
+        success: true,
+        message: 'Two-factor authentication disabled'
+    });
+}));
+
+// @route   POST /api/auth/mfa/users/:id/reset
+// @desc    Reset another user's 2FA after a lost device and sign them out everywhere;
+//          they enrol again on their next login
+// @access  Private (users:write)
+router.post('/users/:id/reset', auth, authorize('users:write'), catchAsync(async (req, res) => {
+    if (!mongoose.isValidObjectId(req.params.id)) return userNotFound(res);
+
+    if (String(req.params.id) === String(req.user.userId)) {
+        return res.status(400).json({
+            success: false,
+            message: 'You cannot reset your own two-factor authentication'
+        });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) return userNotFound(res);
+
+    // Same rule as creating users: nobody can take over a more powerful account
+    if (!canGrant(req.user, await getRolePermissions(user.role))) {
+        return res.status(403).json({
+            success: false,
+            message: 'You cannot reset a user with permissions you do not have'
+        });
+    }
+
+    clearMfa(user);
+    user.refreshTokens = [];
+    await user.save();
+
+    logger.security(`Two-factor authentication for ${user.email} reset by ${req.user.email}`, {
+        event: 'mfa_reset',
+        ...requestContext(req),
+        userId: user._id,
+        email: user.email,
+        actorId: req.user.userId
+    });
+
+    res.json({
+        success: true,
+        message: 'Two-factor authentication reset. The user will set it up again on their next login.'
+    });
+}));
+
+module.exports = router;
@@ -1,15 +1,61 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
-const { Newsletter } = require('../models');
+const { Newsletter, Campaign } = require('../models');
 const { auth, authorize } = require('../middleware/auth');
 const { catchAsync } = require('../middleware/errorHandler');
-const { sendEmail } = require('../utils/email');
+const { queueEmail } = require('../utils/emailQueue');
+const { renderPage } = require('../utils/pageRenderer');
+const {
+    CONFIRM_PURPOSE,
+    UNSUBSCRIBE_PURPOSE,
+    CONFIRM_EXPIRES_IN,
+    verifyToken,
+    confirmUrl,
+    unsubscribeUrl,
+    listUnsubscribeHeaders
+} = require('../utils/newsletter');
+const { getCampaignEngagement } = require('../utils/emailTracking');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+const requestIp = (req) => req.ip || req.connection.remoteAddress || req.socket.remoteAddress;
+
+// Confirm and unsubscribe links are opened in a browser, so they answer with a page
+const sendStatusPage = (res, status, { heading, message, unsubscribeToken }) => {
+    res.status(status).type('html').send(renderPage('newsletter', {
+        seo: { title: heading, description: message, path: '/api/newsletter', noindex: true },
+        heading,
+        message,
+        unsubscribeToken
+    }));
+};
+
+// Find the subscriber a signed link was issued for
+const findTokenSubscriber = async (token, purpose) => {
+    const decoded = token && verifyToken(token, purpose);
+    if (!decoded || !mongoose.isValidObjectId(decoded.subscriberId)) return null;
+
+    const subscriber = await Newsletter.findById(decoded.subscriberId);
+    if (!subscriber || subscriber.email !== decoded.email) return null;
+
+    return { subscriber, issuedAt: new Date(decoded.iat * 1000) };
+};
+
+const sendConfirmationEmail = (subscriber) => queueEmail({
+    to: subscriber.email,
+    subject: 'Please confirm your InoxDev Newsletter subscription',
+    template: 'newsletter-confirm',
+    data: {
+        name: subscriber.name || 'there',
+        confirmUrl: confirmUrl(subscriber),
+        expiresIn: CONFIRM_EXPIRES_IN.replace('h', ' hours')
+    }
+});
+
 // @route   POST /api/newsletter/subscribe
-// @desc    Subscribe to newsletter
+// @desc    Request a newsletter subscription; sends a confirmation link (double opt-in)
 // @access  Public
 router.post('/subscribe', [
     body('email')
@@ -39,108 +85,173 @@ router.post('/subscribe', [
 
     const { email, name, interests } = req.body;
 
-    // Check if already subscribed
-    const existingSubscription = await Newsletter.findOne({ email });
-    if (existingSubscription) {
-        if (existingSubscription.isActive) {
-            return res.status(400).json({
-                success: false,
-                message: 'Email is already subscribed to our newsletter'
-            });
-        } else {
-            // Reactivate subscription
-            existingSubscription.isActive = true;
-            existingSubscription.name = name || existingSubscription.name;
-            existingSubscription.interests = interests || existingSubscription.interests;
-            await existingSubscription.save();
-
-            // Send welcome email
-            try {
-                await sendEmail({
-                    to: email,
-                    subject: 'Welcome back to InoxDev Newsletter!',
-                    template: 'newsletter-welcome',
-                    data: { name: name || 'Subscriber' }
-                });
-            } catch (emailError) {
-                logger.error('Newsletter welcome email failed:', emailError);
-            }
+    let subscription = await Newsletter.findOne({ email });
+    if (subscription && subscription.status === 'confirmed') {
+        return res.status(400).json({
+            success: false,
+            message: 'Email is already subscribed to our newsletter'
+        });
+    }
 
-            return res.json({
-                success: true,
-                message: 'Successfully resubscribed to newsletter!'
-            });
-        }
+    const isNew = !subscription;
+    if (isNew) {
+        subscription = new Newsletter({ email, source: 'website' });
+    }
+
+    // New, still pending or previously unsubscribed: (re)start the opt-in
+    subscription.status = 'pending';
+    subscription.name = name || subscription.name;
+    subscription.interests = interests || subscription.interests;
+    subscription.consent = {
+        requestedAt: new Date(),
+        requestIp: requestIp(req),
+        requestUserAgent: req.get('User-Agent') || 'Unknown'
+    };
+    subscription.confirmationSentAt = new Date();
+    await subscription.save();
+
+    try {
+        await sendConfirmationEmail(subscription);
+    } catch (emailError) {
+        logger.error('Newsletter confirmation email could not be queued:', emailError);
+        return res.status(500).json({
+            success: false,
+            message: 'Failed to send confirmation email. Please try again later.'
+        });
     }
 
-    // Create new subscription
-    const subscription = new Newsletter({
-        email,
-        name,
-        interests,
-        source: 'website'
+    logger.info(`Newsletter subscription requested: ${email}`);
+
+    res.status(isNew ? 201 : 200).json({
+        success: true,
+        message: 'Please check your email and click the link to confirm your subscription.'
     });
+}));
 
-    await subscription.save();
+// @route   GET /api/newsletter/confirm
+// @desc    Confirm a subscription from the signed link in the confirmation email
+// @access  Public (signed token)
+router.get('/confirm', catchAsync(async (req, res) => {
+    const found = await findTokenSubscriber(req.query.token, CONFIRM_PURPOSE);
+
+    // A link sent before the subscriber unsubscribed must not opt them back in
+    if (!found || (found.subscriber.unsubscribedAt && found.issuedAt < found.subscriber.unsubscribedAt)) {
+        return sendStatusPage(res, 400, {
+            heading: 'Link Invalid or Expired',
+            message: 'This confirmation link is invalid or has expired. Please subscribe again to get a new link.'
+        });
+    }
+
+    const { subscriber } = found;
+
+    if (subscriber.status === 'confirmed') {
+        return sendStatusPage(res, 200, {
+            heading: 'Already Subscribed',
+            message: 'Your subscription is already confirmed. Thanks for reading!'
+        });
+    }
+
+    subscriber.status = 'confirmed';
+    subscriber.unsubscribedAt = undefined;
+    subscriber.unsubscribeMethod = undefined;
+    subscriber.consent.confirmedAt = new Date();
+    subscriber.consent.confirmedIp = requestIp(req);
+    subscriber.consent.confirmedUserAgent = req.get('User-Agent') || 'Unknown';
+    await subscriber.save();
 
-    // Send welcome email
     try {
-        await sendEmail({
-            to: email,
+        await queueEmail({
+            to: subscriber.email,
             subject: 'Welcome to InoxDev Newsletter!',
             template: 'newsletter-welcome',
-            data: { name: name || 'Subscriber' }
+            data: {
+                name: subscriber.name || 'Subscriber',
+                unsubscribeUrl: unsubscribeUrl(subscriber)
+            },
+            headers: listUnsubscribeHeaders(subscriber),
+            tracking: { template: 'newsletter-welcome', subscriberId: subscriber._id }
         });
     } catch (emailError) {
-        logger.error('Newsletter welcome email failed:', emailError);
+        logger.error('Newsletter welcome email could not be queued:', emailError);
     }
 
-    logger.info(`New newsletter subscription: ${email}`);
+    logger.info(`Newsletter subscription confirmed: ${subscriber.email}`);
 
-    res.status(201).json({
-        success: true,
-        message: 'Successfully subscribed to newsletter!'
+    sendStatusPage(res, 200, {
+        heading: 'Subscription Confirmed',
+        message: 'Thanks for confirming! You will now receive the InoxDev newsletter.'
     });
 }));
 
-// @route   POST /api/newsletter/unsubscribe
-// @desc    Unsubscribe from newsletter
-// @access  Public
-router.post('/unsubscribe', [
-    body('email')
-        .isEmail()
-        .normalizeEmail()
-        .withMessage('Please provide a valid email address')
-], catchAsync(async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-        return res.status(400).json({
-            success: false,
-            message: 'Validation failed',
-            errors: errors.array()
+// @route   GET /api/newsletter/unsubscribe
+// @desc    Unsubscribe page for the signed link in newsletter emails
+// @access  Public (signed token)
+router.get('/unsubscribe', catchAsync(async (req, res) => {
+    const found = await findTokenSubscriber(req.query.token, UNSUBSCRIBE_PURPOSE);
+
+    if (!found) {
+        return sendStatusPage(res, 400, {
+            heading: 'Link Invalid',
+            message: 'This unsubscribe link is invalid. Please use the link from one of our emails.'
         });
     }
 
-    const { email } = req.body;
+    if (found.subscriber.status === 'unsubscribed') {
+        return sendStatusPage(res, 200, {
+            heading: 'Unsubscribed',
+            message: 'You are already unsubscribed from the InoxDev newsletter.'
+        });
+    }
+
+    // Unsubscribing needs a POST so link scanners opening the URL don't trigger it
+    sendStatusPage(res, 200, {
+        heading: 'Unsubscribe',
+        message: `Stop sending the InoxDev newsletter to ${found.subscriber.email}?`,
+        unsubscribeToken: req.query.token
+    });
+}));
 
-    const subscription = await Newsletter.findOneAndUpdate(
-        { email },
-        { isActive: false },
-        { new: true }
-    );
+// @route   POST /api/newsletter/unsubscribe
+// @desc    Unsubscribe with a signed token (link form or RFC 8058 one-click)
+// @access  Public (signed token)
+router.post('/unsubscribe', catchAsync(async (req, res) => {
+    const wantsJson = req.is('application/json');
+    const found = await findTokenSubscriber(req.query.token || req.body.token, UNSUBSCRIBE_PURPOSE);
 
-    if (!subscription) {
-        return res.status(404).json({
-            success: false,
-            message: 'Email not found in our newsletter list'
+    if (!found) {
+        if (wantsJson) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid unsubscribe token'
+            });
+        }
+        return sendStatusPage(res, 400, {
+            heading: 'Link Invalid',
+            message: 'This unsubscribe link is invalid. Please use the link from one of our emails.'
         });
     }
 
-    logger.info(`Newsletter unsubscription: ${email}`);
+    const { subscriber } = found;
 
-    res.json({
-        success: true,
-        message: 'Successfully unsubscribed from newsletter'
+    if (subscriber.status !== 'unsubscribed') {
+        subscriber.status = 'unsubscribed';
+        subscriber.unsubscribedAt = new Date();
+        subscriber.unsubscribeMethod = req.body['List-Unsubscribe'] === 'One-Click' ? 'one-click' : 'link';
+        await subscriber.save();
+
+        logger.info(`Newsletter unsubscription (${subscriber.unsubscribeMethod}): ${subscriber.email}`);
+    }
+
+    if (wantsJson) {
+        return res.json({
+            success: true,
+            message: 'Successfully unsubscribed from newsletter'
+        });
+    }
+
+    sendStatusPage(res, 200, {
+        heading: 'Unsubscribed',
+        message: 'You have been unsubscribed from the InoxDev newsletter. Sorry to see you go!'
     });
 }));
 
@@ -149,14 +260,16 @@ router.post('/unsubscribe', [
 // @route   GET /api/newsletter/admin/subscribers
 // @desc    Get all newsletter subscribers
 // @access  Private (Admin/Manager)
-router.get('/admin/subscribers', auth, authorize(['admin', 'manager']), catchAsync(async (req, res) => {
+router.get('/admin/subscribers', auth, authorize('newsletter:read'), catchAsync(async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const isActive = req.query.isActive;
+    const status = req.query.status;
     const source = req.query.source;
 
     const filter = {};
     if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (status) filter.status = status;
     if (source) filter.source = source;
 
     const skip = (page - 1) * limit;
@@ -180,13 +293,46 @@ router.get('/admin/subscribers', auth, authorize(['admin', 'manager']), catchAsy
     });
 }));
 
+// @route   PUT /api/newsletter/admin/subscribers/:id/unsubscribe
+// @desc    Unsubscribe a subscriber on their behalf (e.g. a request by email)
+// @access  Private (Admin/Manager)
+router.put('/admin/subscribers/:id/unsubscribe', auth, authorize('newsletter:write'), catchAsync(async (req, res) => {
+    const subscriber = mongoose.isValidObjectId(req.params.id)
+        ? await Newsletter.findById(req.params.id)
+        : null;
+
+    if (!subscriber) {
+        return res.status(404).json({
+            success: false,
+            message: 'Subscriber not found'
+        });
+    }
+
+    if (subscriber.status !== 'unsubscribed') {
+        subscriber.status = 'unsubscribed';
+        subscriber.unsubscribedAt = new Date();
+        subscriber.unsubscribeMethod = 'admin';
+        await subscriber.save();
+    }
+
+    logger.userAction(req.user.userId, 'newsletter_unsubscribe', { subscriberId: subscriber._id });
+
+    res.json({
+        success: true,
+        message: 'Subscriber unsubscribed',
+        data: subscriber
+    });
+}));
+
 // @route   GET /api/newsletter/admin/stats
 // @desc    Get newsletter statistics
 // @access  Private (Admin/Manager)
-router.get('/admin/stats', auth, authorize(['admin', 'manager']), catchAsync(async (req, res) => {
+router.get('/admin/stats', auth, authorize('newsletter:read'), catchAsync(async (req, res) => {
     const totalSubscribers = await Newsletter.countDocuments();
     const activeSubscribers = await Newsletter.countDocuments({ isActive: true });
     const inactiveSubscribers = await Newsletter.countDocuments({ isActive: false });
+    const pendingSubscribers = await Newsletter.countDocuments({ status: 'pending' });
+    const unsubscribed = await Newsletter.countDocuments({ status: 'unsubscribed' });
 
     // Subscriptions by source
     const sourceStats = await Newsletter.aggregate([
@@ -203,18 +349,29 @@ router.get('/admin/stats', auth, authorize(['admin', 'manager']), catchAsync(asy
     // Recent subscriptions (last 30 days)
     const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
     const recentSubscriptions = await Newsletter.countDocuments({
-        createdAt: { $gte: thirtyDaysAgo },
+        'consent.confirmedAt': { $gte: thirtyDaysAgo },
         isActive: true
     });
 
+    // Engagement of the most recently sent campaigns
+    const campaignLimit = Math.min(parseInt(req.query.campaigns) || 10, 50);
+    const recentCampaigns = await Campaign.find({ status: { $in: ['sending', 'sent', 'cancelled'] } })
+        .select('name subject status stats completedAt startedAt')
+        .sort({ startedAt: -1 })
+        .limit(campaignLimit);
+    const campaigns = await getCampaignEngagement(recentCampaigns);
+
     res.json({
         success: true,
         data: {
             totalSubscribers,
             activeSubscribers,
             inactiveSubscribers,
+            pendingSubscribers,
+            unsubscribed,
             sourceStats,
-            recentSubscriptions
+            recentSubscriptions,
+            campaigns
         }
     });
 }));
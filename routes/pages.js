@@ -0,0 +1,161 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { Service, Project, BlogPost } = require('../models');
+const { catchAsync } = require('../middleware/errorHandler');
+const { renderPage, summarize } = require('../utils/pageRenderer');
+const { siteUrl, publicUrl } = require('../utils/urls');
+
+const router = express.Router();
+
+const organization = () => ({
+    '@type': 'Organization',
+    name: 'InoxDev',
+    url: siteUrl()
+});
+
+const sendPage = (res, status, html) => {
+    res.status(status).type('html').send(html);
+};
+
+const sendNotFound = (res, message) => {
+    sendPage(res, 404, renderPage('not-found', {
+        seo: { title: 'Page Not Found', description: message },
+        message
+    }));
+};
+
+// @route   GET /services/:slug
+// @desc    Server-rendered service page
+// @access  Public
+router.get('/services/:slug', catchAsync(async (req, res) => {
+    const service = await Service.findOne({ slug: req.params.slug, isActive: true }).lean();
+
+    if (!service) {
+        return sendNotFound(res, 'The service you are looking for does not exist.');
+    }
+
+    const pagePath = `/services/${service.slug}`;
+
+    sendPage(res, 200, renderPage('service', {
+        seo: {
+            title: service.name,
+            description: service.description,
+            keywords: service.technologies,
+            path: pagePath,
+            jsonLd: {
+                '@context': 'https://schema.org',
+                '@type': 'Service',
+                name: service.name,
+                description: summarize(service.description, 300),
+                serviceType: service.name,
+                url: publicUrl(pagePath),
+                provider: organization(),
+                ...(service.pricing?.startingPrice && {
+                    offers: {
+                        '@type': 'Offer',
+                        price: service.pricing.startingPrice,
+                        priceCurrency: service.pricing.currency || 'INR'
+                    }
+                })
+            }
+        },
+        service
+    }));
+}));
+
+// @route   GET /projects/:id
+// @desc    Server-rendered case study page
+// @access  Public (public projects only)
+router.get('/projects/:id', catchAsync(async (req, res) => {
+    const project = mongoose.isValidObjectId(req.params.id)
+        ? await Project.findOne({ _id: req.params.id, isPublic: true }).lean()
+        : null;
+
+    if (!project) {
+        return sendNotFound(res, 'The case study you are looking for does not exist.');
+    }
+
+    const pagePath = `/projects/${project._id}`;
+
+    sendPage(res, 200, renderPage('project', {
+        seo: {
+            title: `${project.title} - Case Study`,
+            description: project.description,
+            keywords: project.technologies,
+            path: pagePath,
+            type: 'article',
+            image: project.images?.[0],
+            modifiedTime: project.updatedAt?.toISOString(),
+            jsonLd: {
+                '@context': 'https://schema.org',
+                '@type': 'CreativeWork',
+                name: project.title,
+                headline: project.title,
+                description: summarize(project.description, 300),
+                url: publicUrl(pagePath),
+                keywords: (project.technologies || []).join(', '),
+                genre: 'Case Study',
+                dateCreated: project.createdAt,
+                dateModified: project.updatedAt,
+                ...(project.images?.length && { image: project.images }),
+                creator: organization()
+            }
+        },
+        project
+    }));
+}));
+
+// @route   GET /blog/:slug
+// @desc    Server-rendered blog post page
+// @access  Public
+router.get('/blog/:slug', catchAsync(async (req, res) => {
+    const post = await BlogPost.findOneAndUpdate(
+        { ...BlogPost.publishedFilter(), slug: req.params.slug },
+        { $inc: { views: 1 } },
+        { new: true }
+    )
+        .populate('author', 'name')
+        .lean();
+
+    if (!post) {
+        return sendNotFound(res, 'The article you are looking for does not exist.');
+    }
+
+    const pagePath = `/blog/${post.slug}`;
+    const description = post.seo?.metaDescription || post.excerpt || post.content;
+    const keywords = post.seo?.keywords?.length ? post.seo.keywords : post.tags;
+
+    sendPage(res, 200, renderPage('blog-post', {
+        seo: {
+            title: post.seo?.metaTitle || post.title,
+            description,
+            keywords,
+            path: pagePath,
+            type: 'article',
+            image: post.featuredImage,
+            publishedTime: post.publishedAt?.toISOString(),
+            modifiedTime: post.updatedAt?.toISOString(),
+            jsonLd: {
+                '@context': 'https://schema.org',
+                '@type': 'BlogPosting',
+                headline: post.title,
+                description: summarize(description, 300),
+                url: publicUrl(pagePath),
+                mainEntityOfPage: publicUrl(pagePath),
+                datePublished: post.publishedAt,
+                dateModified: post.updatedAt,
+                keywords: (keywords || []).join(', '),
+                ...(post.category && { articleSection: post.category }),
+                ...(post.featuredImage && { image: post.featuredImage }),
+                author: post.author?.name
+                    ? { '@type': 'Person', name: post.author.name }
+                    : organization(),
+                publisher: organization()
+            }
+        },
+        post,
+        publishedAt: post.publishedAt?.toISOString()
+    }));
+}));
+
+module.exports = router;
@@ -9,7 +9,7 @@ console.log('express-validator imported in projects.js.');
 const { Project } = require('../models'); // Ensure Project model is correctly exported
 console.log('Project model imported in projects.js.');
 
-const { auth, authorize } = require('../middleware/auth'); // Ensure auth middleware is correctly exported
+const { auth, authorize, optionalAuth } = require('../middleware/auth'); // Ensure auth middleware is correctly exported
 console.log('Auth middleware imported in projects.js.');
 
 const { catchAsync } = require('../middleware/errorHandler'); // Ensure errorHandler middleware is correctly exported
@@ -18,9 +18,90 @@ console.log('errorHandler (catchAsync) imported in projects.js.');
 const logger = require('../utils/logger'); // Ensure logger is correctly exported
 console.log('logger imported in projects.js.');
 
+const { queueEmail } = require('../utils/emailQueue');
+console.log('emailQueue imported in projects.js.');
+
+const { hasPermission } = require('../utils/permissions');
+console.log('permissions imported in projects.js.');
+
+const { canViewProject, projectScope, loadProject } = require('../utils/projectAccess');
+console.log('projectAccess imported in projects.js.');
+
 const router = express.Router();
 console.log('Express Router initialized in projects.js.');
 
+const PROJECT_STATUSES = ['planning', 'in-progress', 'completed', 'on-hold'];
+
+// What anyone can see of a public project
+const PUBLIC_PROJECT_FIELDS = ['_id', 'title', 'description', 'category', 'technologies', 'features',
+    'challenges', 'solutions', 'results', 'images', 'projectUrl', 'featured', 'createdAt'];
+
+// What PUT /:id may change. Team members without projects:write get only the first list;
+// the client, the team and publishing need the permission. The update feed, files and
+// comments have their own endpoints.
+const MEMBER_EDITABLE_FIELDS = ['title', 'description', 'category', 'technologies', 'features',
+    'challenges', 'solutions', 'results', 'images', 'projectUrl', 'githubUrl', 'status',
+    'startDate', 'endDate', 'progress'];
+const MANAGER_EDITABLE_FIELDS = [...MEMBER_EDITABLE_FIELDS, 'teamMembers', 'isPublic', 'featured', 'sourceContact'];
+// Client details are set field by field, so an edit never drops the portal link in client.account
+const CLIENT_EDITABLE_FIELDS = ['name', 'company', 'email'];
+
+// Append an update to the feed and, if asked, email it to the client with the project-update template
+const postProjectUpdate = async (project, update, user) => {
+    project.updates.push({
+        ...update,
+        status: project.status,
+        author: user.userId,
+        authorName: user.name
+    });
+
+    if (update.progress !== undefined) {
+        project.progress = update.progress;
+    }
+
+    const entry = project.updates[project.updates.length - 1];
+    await project.save();
+
+    if (!entry.notifyClient) return entry;
+
+    try {
+        const job = await queueEmail({
+            to: project.client.email,
+            subject: `Project Update: ${project.title}`,
+            template: 'project-update',
+            data: {
+                projectName: project.title,
+                clientName: project.client.name || 'there',
+                status: project.status,
+                progress: project.progress,
+                updateMessage: entry.message,
+                nextSteps: entry.nextSteps || 'We will keep you posted.',
+                teamMember: user.name
+            }
+        });
+
+        entry.emailJob = job._id;
+        entry.notifiedAt = new Date();
+        await project.save();
+    } catch (error) {
+        logger.error('Project update email could not be queued:', error);
+    }
+
+    return entry;
+};
+
+// Reject notifyClient up front when there is nobody to email
+const checkClientEmail = (project, notifyClient, res) => {
+    if (notifyClient && !project.client?.email) {
+        res.status(400).json({
+            success: false,
+            message: 'Project has no client email to notify'
+        });
+        return false;
+    }
+    return true;
+};
+
 // @route   GET /api/projects
 // @desc    Get all public projects (for website showcase)
 // @access  Public
@@ -89,7 +170,7 @@ router.get('/featured', catchAsync(async (req, res) => {
     const limit = parseInt(req.query.limit) || 3;
 
     const projects = await Project.find({ isPublic: true, featured: true })
-        .select('title description category technologies results images projectUrl')
+        .select('title description category technologies features challenges solutions results images projectUrl')
         .sort({ createdAt: -1 })
         .limit(limit);
 
@@ -102,9 +183,10 @@ console.log('GET /api/projects/featured route defined.');
 
 // @route   GET /api/projects/:id
 // @desc    Get single project details
-// @access  Public (for public projects) / Private (for all projects)
-router.get('/:id', catchAsync(async (req, res) => {
-    const project = await Project.findById(req.params.id);
+// @access  Public (for public projects) / Private (projects:read or team member)
+router.get('/:id', optionalAuth, catchAsync(async (req, res) => {
+    // The update feed, shared files and comments are for the team and client only
+    const project = await Project.findById(req.params.id).select('-updates -sharedFiles -comments');
 
     if (!project) {
         return res.status(404).json({
@@ -113,19 +195,23 @@ router.get('/:id', catchAsync(async (req, res) => {
         });
     }
 
-    // Check if project is public or user is authenticated
-    // Note: req.user is populated by auth middleware. If optionalAuth is used, req.user might be undefined.
-    // For public access, ensure this logic handles cases where req.user is intentionally absent.
-    if (!project.isPublic && !req.user) {
+    // Private projects and client details are only for projects:read and the project team
+    const canView = Boolean(req.user) && canViewProject(project, req.user);
+
+    if (!project.isPublic && !canView) {
         return res.status(403).json({
             success: false,
             message: 'Access denied'
         });
     }
 
+    const data = canView
+        ? project
+        : Object.fromEntries(PUBLIC_PROJECT_FIELDS.map(field => [field, project[field]]));
+
     res.json({
         success: true,
-        data: project
+        data
     });
 }));
 console.log('GET /api/projects/:id route defined.');
@@ -133,9 +219,9 @@ console.log('GET /api/projects/:id route defined.');
 // Admin routes (authentication required)
 
 // @route   GET /api/projects/admin/all
-// @desc    Get all projects for admin dashboard
-// @access  Private (Admin/Manager)
-router.get('/admin/all', auth, authorize(['admin', 'manager']), catchAsync(async (req, res) => {
+// @desc    Get projects for the dashboard: every project with projects:read, otherwise the user's own
+// @access  Private
+router.get('/admin/all', auth, catchAsync(async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const status = req.query.status;
@@ -143,7 +229,7 @@ router.get('/admin/all', auth, authorize(['admin', 'manager']), catchAsync(async
     const search = req.query.search;
 
     // Build filter
-    const filter = {};
+    const filter = projectScope(req.user);
     if (status) filter.status = status;
     if (category) filter.category = category;
     if (search) {
@@ -157,6 +243,7 @@ router.get('/admin/all', auth, authorize(['admin', 'manager']), catchAsync(async
     const skip = (page - 1) * limit;
 
     const projects = await Project.find(filter)
+        .select('-updates -sharedFiles -comments')
         .populate('teamMembers.userId', 'name email')
         .sort({ createdAt: -1 })
         .skip(skip)
@@ -180,7 +267,7 @@ console.log('GET /api/projects/admin/all route defined.');
 // @route   POST /api/projects
 // @desc    Create new project
 // @access  Private (Admin/Manager)
-router.post('/', auth, authorize(['admin', 'manager']), [
+router.post('/', auth, authorize('projects:write'), [
     body('title')
         .trim()
         .isLength({ min: 5, max: 200 })
@@ -248,8 +335,8 @@ console.log('POST /api/projects route defined.');
 
 // @route   PUT /api/projects/:id
 // @desc    Update project
-// @access  Private (Admin/Manager)
-router.put('/:id', auth, authorize(['admin', 'manager']), [
+// @access  Private (projects:write or team member)
+router.put('/:id', auth, loadProject('edit'), [
     body('title')
         .optional()
         .trim()
@@ -270,7 +357,23 @@ router.put('/:id', auth, authorize(['admin', 'manager']), [
     body('status')
         .optional()
         .isIn(['planning', 'in-progress', 'completed', 'on-hold'])
-        .withMessage('Invalid status')
+        .withMessage('Invalid status'),
+
+    body('client')
+        .optional()
+        .isObject()
+        .withMessage('Client must be an object'),
+
+    body('client.name')
+        .optional()
+        .trim()
+        .isLength({ max: 100 })
+        .withMessage('Client name cannot exceed 100 characters'),
+
+    body('client.email')
+        .optional()
+        .isEmail()
+        .withMessage('Invalid client email')
 ], catchAsync(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -281,9 +384,32 @@ router.put('/:id', auth, authorize(['admin', 'manager']), [
         });
     }
 
+    // Operators and dotted paths would reach fields outside the allowlist
+    const unsafeKeys = Object.keys(req.body).filter(key => key.startsWith('$') || key.includes('.'));
+    if (unsafeKeys.length) {
+        return res.status(400).json({
+            success: false,
+            message: `Invalid fields: ${unsafeKeys.join(', ')}`
+        });
+    }
+
+    const canManage = hasPermission(req.user, 'projects:write');
+    const editableFields = canManage ? MANAGER_EDITABLE_FIELDS : MEMBER_EDITABLE_FIELDS;
+    const updates = Object.fromEntries(editableFields
+        .filter(field => req.body[field] !== undefined)
+        .map(field => [field, req.body[field]]));
+
+    if (canManage && req.body.client) {
+        CLIENT_EDITABLE_FIELDS
+            .filter(field => req.body.client[field] !== undefined)
+            .forEach(field => {
+                updates[`client.${field}`] = req.body.client[field];
+            });
+    }
+
     const project = await Project.findByIdAndUpdate(
         req.params.id,
-        req.body,
+        { $set: updates },
         { new: true, runValidators: true }
     );
 
@@ -307,7 +433,7 @@ console.log('PUT /api/projects/:id route defined.');
 // @route   DELETE /api/projects/:id
 // @desc    Delete project
 // @access  Private (Admin only)
-router.delete('/:id', auth, authorize(['admin']), catchAsync(async (req, res) => {
+router.delete('/:id', auth, authorize('projects:delete'), catchAsync(async (req, res) => {
     const project = await Project.findByIdAndDelete(req.params.id);
 
     if (!project) {
@@ -327,18 +453,37 @@ router.delete('/:id', auth, authorize(['admin']), catchAsync(async (req, res) =>
 console.log('DELETE /api/projects/:id route defined.');
 
 // @route   PUT /api/projects/:id/status
-// @desc    Update project status
-// @access  Private (Admin/Manager/Employee - if team member)
-router.put('/:id/status', auth, [
+// @desc    Update project status; the change is added to the update feed and
+//          emailed to the client when notifyClient is set
+// @access  Private (projects:write or team member)
+router.put('/:id/status', auth, loadProject('edit'), [
     body('status')
-        .isIn(['planning', 'in-progress', 'completed', 'on-hold'])
+        .isIn(PROJECT_STATUSES)
         .withMessage('Invalid status'),
-    
+
     body('notes')
         .optional()
         .trim()
         .isLength({ max: 500 })
-        .withMessage('Notes cannot exceed 500 characters')
+        .withMessage('Notes cannot exceed 500 characters'),
+
+    body('progress')
+        .optional()
+        .isInt({ min: 0, max: 100 })
+        .toInt()
+        .withMessage('Progress must be between 0 and 100'),
+
+    body('nextSteps')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Next steps cannot exceed 1000 characters'),
+
+    body('notifyClient')
+        .optional()
+        .isBoolean()
+        .toBoolean()
+        .withMessage('notifyClient must be a boolean')
 ], catchAsync(async (req, res) => {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -349,37 +494,29 @@ router.put('/:id/status', auth, [
         });
     }
 
-    const project = await Project.findById(req.params.id);
+    const { project } = req;
 
-    if (!project) {
-        return res.status(404).json({
-            success: false,
-            message: 'Project not found'
-        });
-    }
+    if (!checkClientEmail(project, req.body.notifyClient, res)) return;
 
-    // Check permissions
-    const isTeamMember = project.teamMembers.some(member => member.userId?.toString() === req.user.userId);
-    const hasPermission = ['admin', 'manager'].includes(req.user.role) || isTeamMember;
-
-    if (!hasPermission) {
-        return res.status(403).json({
-            success: false,
-            message: 'Insufficient permissions'
-        });
-    }
+    const oldStatus = project.status;
 
     project.status = req.body.status;
     if (req.body.status === 'completed') {
         project.endDate = new Date();
     }
 
-    await project.save();
+    const update = await postProjectUpdate(project, {
+        message: req.body.notes || `Project status changed from ${oldStatus} to ${req.body.status}`,
+        nextSteps: req.body.nextSteps,
+        progress: req.body.status === 'completed' ? 100 : req.body.progress,
+        notifyClient: req.body.notifyClient || false
+    }, req.user);
 
     logger.userAction(req.user.userId, 'updated_project_status', {
         projectId: project._id,
-        oldStatus: project.status,
-        newStatus: req.body.status
+        oldStatus,
+        newStatus: req.body.status,
+        clientNotified: Boolean(update.notifiedAt)
     });
 
     res.json({
@@ -390,10 +527,222 @@ router.put('/:id/status', auth, [
 }));
 console.log('PUT /api/projects/:id/status route defined.');
 
+// @route   GET /api/projects/:id/updates
+// @desc    Get the project's update feed, newest first
+// @access  Private (projects:read or team member)
+router.get('/:id/updates', auth, loadProject('view', { select: 'title status progress teamMembers updates' }), catchAsync(async (req, res) => {
+    const { project } = req;
+    await project.populate('updates.author', 'name email');
+
+    res.json({
+        success: true,
+        data: {
+            projectId: project._id,
+            title: project.title,
+            status: project.status,
+            progress: project.progress,
+            updates: [...project.updates].reverse()
+        }
+    });
+}));
+console.log('GET /api/projects/:id/updates route defined.');
+
+// @route   POST /api/projects/:id/updates
+// @desc    Post a progress update; emailed to the client when notifyClient is set
+// @access  Private (projects:write or team member)
+router.post('/:id/updates', auth, loadProject('edit'), [
+    body('message')
+        .trim()
+        .isLength({ min: 1, max: 2000 })
+        .withMessage('Update message must be between 1 and 2000 characters'),
+
+    body('progress')
+        .optional()
+        .isInt({ min: 0, max: 100 })
+        .toInt()
+        .withMessage('Progress must be between 0 and 100'),
+
+    body('nextSteps')
+        .optional()
+        .trim()
+        .isLength({ max: 1000 })
+        .withMessage('Next steps cannot exceed 1000 characters'),
+
+    body('notifyClient')
+        .optional()
+        .isBoolean()
+        .toBoolean()
+        .withMessage('notifyClient must be a boolean')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const { project } = req;
+
+    if (!checkClientEmail(project, req.body.notifyClient, res)) return;
+
+    const update = await postProjectUpdate(project, {
+        message: req.body.message,
+        nextSteps: req.body.nextSteps,
+        progress: req.body.progress,
+        notifyClient: req.body.notifyClient || false
+    }, req.user);
+
+    logger.userAction(req.user.userId, 'posted_project_update', {
+        projectId: project._id,
+        updateId: update._id,
+        progress: project.progress,
+        clientNotified: Boolean(update.notifiedAt)
+    });
+
+    res.status(201).json({
+        success: true,
+        message: update.notifiedAt ? 'Update posted and client notified' : 'Update posted successfully',
+        data: update
+    });
+}));
+console.log('POST /api/projects/:id/updates route defined.');
+
+// @route   POST /api/projects/:id/files
+// @desc    Share a file link with the client portal
+// @access  Private (projects:write or team member)
+router.post('/:id/files', auth, loadProject('edit'), [
+    body('name')
+        .trim()
+        .isLength({ min: 1, max: 200 })
+        .withMessage('File name must be between 1 and 200 characters'),
+
+    body('url')
+        .isURL({ protocols: ['http', 'https'], require_protocol: true })
+        .withMessage('Please provide a valid file URL'),
+
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Description cannot exceed 500 characters')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const { project } = req;
+
+    project.sharedFiles.push({
+        name: req.body.name,
+        url: req.body.url,
+        description: req.body.description,
+        sharedBy: req.user.userId
+    });
+    await project.save();
+
+    const file = project.sharedFiles[project.sharedFiles.length - 1];
+
+    logger.userAction(req.user.userId, 'shared_project_file', { projectId: project._id, fileId: file._id });
+
+    res.status(201).json({
+        success: true,
+        message: 'File shared successfully',
+        data: file
+    });
+}));
+console.log('POST /api/projects/:id/files route defined.');
+
+// @route   DELETE /api/projects/:id/files/:fileId
+// @desc    Stop sharing a file with the client portal
+// @access  Private (projects:write or team member)
+router.delete('/:id/files/:fileId', auth, loadProject('edit'), catchAsync(async (req, res) => {
+    const { project } = req;
+
+    const file = project.sharedFiles.id(req.params.fileId);
+
+    if (!file) {
+        return res.status(404).json({
+            success: false,
+            message: 'File not found'
+        });
+    }
+
+    file.deleteOne();
+    await project.save();
+
+    logger.userAction(req.user.userId, 'unshared_project_file', { projectId: project._id, fileId: req.params.fileId });
+
+    res.json({
+        success: true,
+        message: 'File removed successfully'
+    });
+}));
+console.log('DELETE /api/projects/:id/files/:fileId route defined.');
+
+// @route   GET /api/projects/:id/comments
+// @desc    Get the comment thread with the client
+// @access  Private (projects:read or team member)
+router.get('/:id/comments', auth, loadProject('view', { select: 'teamMembers comments' }), catchAsync(async (req, res) => {
+    const { project } = req;
+
+    res.json({
+        success: true,
+        data: project.comments
+    });
+}));
+console.log('GET /api/projects/:id/comments route defined.');
+
+// @route   POST /api/projects/:id/comments
+// @desc    Reply to the client in the project comment thread
+// @access  Private (projects:write or team member)
+router.post('/:id/comments', auth, loadProject('edit'), [
+    body('message')
+        .trim()
+        .isLength({ min: 1, max: 2000 })
+        .withMessage('Comment must be between 1 and 2000 characters')
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const { project } = req;
+
+    project.comments.push({
+        message: req.body.message,
+        authorType: 'team',
+        user: req.user.userId,
+        authorName: req.user.name
+    });
+    await project.save();
+
+    const comment = project.comments[project.comments.length - 1];
+
+    logger.userAction(req.user.userId, 'commented_on_project', { projectId: project._id, commentId: comment._id });
+
+    res.status(201).json({
+        success: true,
+        message: 'Comment added successfully',
+        data: comment
+    });
+}));
+console.log('POST /api/projects/:id/comments route defined.');
+
 // @route   PUT /api/projects/:id/team
 // @desc    Update project team members
 // @access  Private (Admin/Manager)
-router.put('/:id/team', auth, authorize(['admin', 'manager']), [
+router.put('/:id/team', auth, authorize('projects:write'), [
     body('teamMembers')
         .isArray({ min: 1 })
         .withMessage('At least one team member is required'),
@@ -443,7 +792,7 @@ console.log('PUT /api/projects/:id/team route defined.');
 // @route   GET /api/projects/stats/overview
 // @desc    Get project statistics
 // @access  Private (Admin/Manager)
-router.get('/stats/overview', auth, authorize(['admin', 'manager']), catchAsync(async (req, res) => {
+router.get('/stats/overview', auth, authorize('projects:read'), catchAsync(async (req, res) => {
     const totalProjects = await Project.countDocuments();
     const activeProjects = await Project.countDocuments({ status: 'in-progress' });
     const completedProjects = await Project.countDocuments({ status: 'completed' }); // Corrected typo here
@@ -0,0 +1,257 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { Role, User } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { catchAsync } = require('../middleware/errorHandler');
+const {
+    PERMISSIONS,
+    invalidPermissions,
+    canGrant,
+    invalidateRoleCache
+} = require('../utils/permissions');
+const { requestContext } = require('../utils/securityEvents');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(auth);
+
+const roleNotFound = (res) => res.status(404).json({
+    success: false,
+    message: 'Role not found'
+});
+
+const findRole = (id) => (mongoose.isValidObjectId(id) ? Role.findById(id) : null);
+
+const permissionsValidation = (isUpdate = false) => [
+    body('description')
+        .optional()
+        .trim()
+        .isLength({ max: 200 })
+        .withMessage('Description cannot exceed 200 characters'),
+
+    (isUpdate ? body('permissions').optional() : body('permissions'))
+        .isArray()
+        .withMessage('Permissions must be an array'),
+
+    body('permissions.*')
+        .isString()
+        .withMessage('Permissions must be strings')
+];
+
+// Sends 400/403 and returns false if the permissions can't be saved by this user
+const checkPermissions = (req, res) => {
+    const unknown = invalidPermissions(req.body.permissions);
+    if (unknown.length) {
+        res.status(400).json({
+            success: false,
+            message: `Unknown permissions: ${unknown.join(', ')}`
+        });
+        return false;
+    }
+
+    if (!canGrant(req.user, req.body.permissions)) {
+        res.status(403).json({
+            success: false,
+            message: 'You cannot grant permissions you do not have'
+        });
+        return false;
+    }
+
+    return true;
+};
+
+// @route   GET /api/roles
+// @desc    List roles with how many users have each
+// @access  Private (roles:read)
+router.get('/', authorize('roles:read'), catchAsync(async (req, res) => {
+    const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
+
+    const counts = await User.aggregate([
+        { $group: { _id: '$role', count: { $sum: 1 } } }
+    ]);
+    const userCounts = new Map(counts.map(({ _id, count }) => [_id, count]));
+
+    res.json({
+        success: true,
+        data: roles.map(role => ({ ...role, userCount: userCounts.get(role.name) || 0 }))
+    });
+}));
+
+// @route   GET /api/roles/permissions
+// @desc    List every permission that can be granted
+// @access  Private (roles:read)
+router.get('/permissions', authorize('roles:read'), (req, res) => {
+    res.json({
+        success: true,
+        data: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description }))
+    });
+});
+
+// @route   GET /api/roles/:id
+// @desc    Get role
+// @access  Private (roles:read)
+router.get('/:id', authorize('roles:read'), catchAsync(async (req, res) => {
+    const role = await findRole(req.params.id);
+    if (!role) return roleNotFound(res);
+
+    res.json({
+        success: true,
+        data: role
+    });
+}));
+
+// @route   POST /api/roles
+// @desc    Create a custom role
+// @access  Private (roles:write)
+router.post('/', authorize('roles:write'), [
+    body('name')
+        .trim()
+        .toLowerCase()
+        .matches(/^[a-z0-9-]+$/)
+        .withMessage('Role name can only contain lowercase letters, numbers and hyphens'),
+
+    ...permissionsValidation()
+], catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    if (!checkPermissions(req, res)) return;
+
+    const existingRole = await Role.findOne({ name: req.body.name });
+    if (existingRole) {
+        return res.status(400).json({
+            success: false,
+            message: 'A role with this name already exists'
+        });
+    }
+
+    const role = await Role.create({
+        name: req.body.name,
+        description: req.body.description,
+        permissions: req.body.permissions,
+        createdBy: req.user.userId,
+        updatedBy: req.user.userId
+    });
+    invalidateRoleCache();
+
+    logger.security(`Role ${role.name} created by ${req.user.email}`, {
+        event: 'role_changed',
+        ...requestContext(req),
+        actorId: req.user.userId,
+        action: 'created',
+        roleId: role._id,
+        role: role.name,
+        permissions: role.permissions
+    });
+
+    res.status(201).json({
+        success: true,
+        message: 'Role created successfully',
+        data: role
+    });
+}));
+
+// @route   PUT /api/roles/:id
+// @desc    Update a role's description or permissions
+// @access  Private (roles:write)
+router.put('/:id', authorize('roles:write'), permissionsValidation(true), catchAsync(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+        return res.status(400).json({
+            success: false,
+            message: 'Validation failed',
+            errors: errors.array()
+        });
+    }
+
+    const role = await findRole(req.params.id);
+    if (!role) return roleNotFound(res);
+
+    const previousPermissions = [...role.permissions];
+
+    if (req.body.permissions) {
+        // Keeps at least one role able to manage everything, including roles
+        if (role.name === 'admin') {
+            return res.status(400).json({
+                success: false,
+                message: 'The admin role always has every permission'
+            });
+        }
+
+        if (!checkPermissions(req, res)) return;
+        role.permissions = req.body.permissions;
+    }
+
+    if (req.body.description !== undefined) role.description = req.body.description;
+    role.updatedBy = req.user.userId;
+
+    await role.save();
+    invalidateRoleCache();
+
+    logger.security(`Role ${role.name} updated by ${req.user.email}`, {
+        event: 'role_changed',
+        ...requestContext(req),
+        actorId: req.user.userId,
+        action: 'updated',
+        roleId: role._id,
+        role: role.name,
+        previousPermissions,
+        permissions: role.permissions
+    });
+
+    res.json({
+        success: true,
+        message: 'Role updated successfully',
+        data: role
+    });
+}));
+
+// @route   DELETE /api/roles/:id
+// @desc    Delete a custom role that no user has
+// @access  Private (roles:delete)
+router.delete('/:id', authorize('roles:delete'), catchAsync(async (req, res) => {
+    const role = await findRole(req.params.id);
+    if (!role) return roleNotFound(res);
+
+    if (role.isSystem) {
+        return res.status(400).json({
+            success: false,
+            message: 'Built-in roles cannot be deleted'
+        });
+    }
+
+    const userCount = await User.countDocuments({ role: role.name });
+    if (userCount) {
+        return res.status(400).json({
+            success: false,
+            message: `Role is assigned to ${userCount} users; move them to another role first`
+        });
+    }
+
+    await role.deleteOne();
+    invalidateRoleCache();
+
+    logger.security(`Role ${role.name} deleted by ${req.user.email}`, {
+        event: 'role_changed',
+        ...requestContext(req),
+        actorId: req.user.userId,
+        action: 'deleted',
+        roleId: role._id,
+        role: role.name
+    });
+
+    res.json({
+        success: true,
+        message: 'Role deleted successfully'
+    });
+}));
+
+module.exports = router;
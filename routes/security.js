@@ -0,0 +1,169 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { SecurityEvent, User } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { catchAsync } = require('../middleware/errorHandler');
+const { requestContext } = require('../utils/securityEvents');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+router.use(auth);
+
+const EXPORT_LIMIT = 10000;
+
+const EXPORT_COLUMNS = ['createdAt', 'type', 'severity', 'message', 'email', 'user', 'actor', 'ip', 'userAgent', 'metadata'];
+
+// Query string filters shared by the list and the export
+const eventFilter = (query) => {
+    const filter = {};
+
+    if (query.type) filter.type = { $in: String(query.type).split(',') };
+    if (query.severity) filter.severity = String(query.severity);
+    if (query.email) filter.email = String(query.email).toLowerCase();
+    if (query.ip) filter.ip = String(query.ip);
+    if (query.userId && mongoose.isValidObjectId(query.userId)) filter.user = query.userId;
+
+    const from = query.from && new Date(query.from);
+    const to = query.to && new Date(query.to);
+    if (from && !isNaN(from)) filter.createdAt = { $gte: from };
+    if (to && !isNaN(to)) filter.createdAt = { ...filter.createdAt, $lte: to };
+
+    return filter;
+};
+
+const csvValue = (value) => {
+    if (value === undefined || value === null) return '';
+
+    let text;
+    if (value instanceof Date) text = value.toISOString();
+    else if (value instanceof mongoose.Types.ObjectId) text = String(value);
+    else if (typeof value === 'object') text = JSON.stringify(value);
+    else text = String(value);
+
+    // Emails and user agents come from whoever tried to log in; keep spreadsheets from
+    // running them as formulas
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// @route   GET /api/security/events
+// @desc    List security events, newest first (filters: type, severity, email, ip, userId, from, to)
+// @access  Private (security:read)
+router.get('/events', authorize('security:read'), catchAsync(async (req, res) => {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const skip = (page - 1) * limit;
+
+    const filter = eventFilter(req.query);
+
+    const events = await SecurityEvent.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('actor', 'name email');
+
+    const total = await SecurityEvent.countDocuments(filter);
+
+    res.json({
+        success: true,
+        data: events,
+        pagination: {
+            page,
+            limit,
+            total,
+            pages: Math.ceil(total / limit)
+        }
+    });
+}));
+
+// @route   GET /api/security/events/stats
+// @desc    Event counts by type over the last `days` days (default 7)
+// @access  Private (security:read)
+router.get('/events/stats', authorize('security:read'), catchAsync(async (req, res) => {
+    const days = parseInt(req.query.days) || 7;
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+
+    const counts = await SecurityEvent.aggregate([
+        { $match: { createdAt: { $gte: since } } },
+        { $group: { _id: '$type', count: { $sum: 1 } } },
+        { $sort: { count: -1 } }
+    ]);
+
+    const lockedAccounts = await User.find({ lockUntil: { $gt: new Date() } })
+        .select('name email lockUntil failedLoginAttempts');
+
+    res.json({
+        success: true,
+        data: {
+            since,
+            byType: counts.map(({ _id, count }) => ({ type: _id, count })),
+            lockedAccounts
+        }
+    });
+}));
+
+// @route   GET /api/security/events/export
+// @desc    Download matching events as CSV (default) or JSON (?format=json), up to 10,000 rows
+// @access  Private (security:read)
+router.get('/events/export', authorize('security:read'), catchAsync(async (req, res) => {
+    const format = req.query.format === 'json' ? 'json' : 'csv';
+
+    const events = await SecurityEvent.find(eventFilter(req.query))
+        .sort({ createdAt: -1 })
+        .limit(EXPORT_LIMIT)
+        .lean();
+
+    logger.userAction(req.user.userId, 'exported_security_events', {
+        count: events.length,
+        format,
+        filter: req.query
+    });
+
+    const filename = `security-events-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+
+    if (format === 'json') {
+        return res.json(events);
+    }
+
+    const rows = events.map(event => EXPORT_COLUMNS.map(column => csvValue(event[column])).join(','));
+
+    res.type('text/csv').send([EXPORT_COLUMNS.join(','), ...rows].join('\n'));
+}));
+
+// @route   POST /api/security/users/:id/unlock
+// @desc    Lift an account lockout and clear its failed login count
+// @access  Private (users:write)
+router.post('/users/:id/unlock', authorize('users:write'), catchAsync(async (req, res) => {
+    const user = mongoose.isValidObjectId(req.params.id)
+        ? await User.findByIdAndUpdate(
+            req.params.id,
+            { $set: { failedLoginAttempts: 0 }, $unset: { lockUntil: 1, lastFailedLoginAt: 1 } },
+            { new: true }
+        ).select('name email')
+        : null;
+
+    if (!user) {
+        return res.status(404).json({
+            success: false,
+            message: 'User not found'
+        });
+    }
+
+    logger.security(`Account ${user.email} unlocked by ${req.user.email}`, {
+        event: 'account_unlocked',
+        ...requestContext(req),
+        userId: user._id,
+        email: user.email,
+        actorId: req.user.userId
+    });
+
+    res.json({
+        success: true,
+        message: 'Account unlocked'
+    });
+}));
+
+module.exports = router;
@@ -48,7 +48,7 @@ router.get('/:slug', catchAsync(async (req, res) => {
 // @route   GET /api/services/admin/all
 // @desc    Get all services for admin
 // @access  Private (Admin/Manager)
-router.get('/admin/all', auth, authorize(['admin', 'manager']), catchAsync(async (req, res) => {
+router.get('/admin/all', auth, authorize('services:read'), catchAsync(async (req, res) => {
     const services = await Service.find()
         .sort({ order: 1, createdAt: 1 });
 
@@ -61,7 +61,7 @@ router.get('/admin/all', auth, authorize(['admin', 'manager']), catchAsync(async
 // @route   POST /api/services
 // @desc    Create new service
 // @access  Private (Admin)
-router.post('/', auth, authorize(['admin']), [
+router.post('/', auth, authorize('services:write'), [
     body('name')
         .trim()
         .isLength({ min: 3, max: 100 })
@@ -132,7 +132,7 @@ router.post('/', auth, authorize(['admin']), [
 // @route   PUT /api/services/:id
 // @desc    Update service
 // @access  Private (Admin)
-router.put('/:id', auth, authorize(['admin']), [
+router.put('/:id', auth, authorize('services:write'), [
     body('name')
         .optional()
         .trim()
@@ -234,7 +234,7 @@ router.put('/:id', auth, authorize(['admin']), [
 // @route   DELETE /api/services/:id
 // @desc    Delete service
 // @access  Private (Admin only)
-router.delete('/:id', auth, authorize(['admin']), catchAsync(async (req, res) => {
+router.delete('/:id', auth, authorize('services:delete'), catchAsync(async (req, res) => {
     const service = await Service.findByIdAndDelete(req.params.id);
 
     if (!service) {
@@ -258,7 +258,7 @@ router.delete('/:id', auth, authorize(['admin']), catchAsync(async (req, res) =>
 // @route   PUT /api/services/:id/toggle
 // @desc    Toggle service active status
 // @access  Private (Admin)
-router.put('/:id/toggle', auth, authorize(['admin']), catchAsync(async (req, res) => {
+router.put('/:id/toggle', auth, authorize('services:write'), catchAsync(async (req, res) => {
     const service = await Service.findById(req.params.id);
 
     if (!service) {
@@ -287,7 +287,7 @@ router.put('/:id/toggle', auth, authorize(['admin']), catchAsync(async (req, res
 // @route   PUT /api/services/reorder
 // @desc    Reorder services
 // @access  Private (Admin)
-router.put('/reorder', auth, authorize(['admin']), [
+router.put('/reorder', auth, authorize('services:write'), [
     body('services')
         .isArray({ min: 1 })
         .withMessage('Services array is required'),
@@ -331,7 +331,7 @@ router.put('/reorder', auth, authorize(['admin']), [
 // @route   GET /api/services/stats/overview
 // @desc    Get service statistics
 // @access  Private (Admin/Manager)
-router.get('/stats/overview', auth, authorize(['admin', 'manager']), catchAsync(async (req, res) => {
+router.get('/stats/overview', auth, authorize('services:read'), catchAsync(async (req, res) => {
     const totalServices = await Service.countDocuments();
     const activeServices = await Service.countDocuments({ isActive: true });
     const inactiveServices = await Service.countDocuments({ isActive: false });
@@ -48,7 +48,7 @@ router.get('/:id', catchAsync(async (req, res) => {
 // @route   GET /api/team/admin/all
 // @desc    Get all team members for admin
 // @access  Private (Admin/Manager)
-router.get('/admin/all', auth, authorize(['admin', 'manager']), catchAsync(async (req, res) => {
+router.get('/admin/all', auth, authorize('team:read'), catchAsync(async (req, res) => {
     const teamMembers = await TeamMember.find()
         .sort({ order: 1, createdAt: 1 });
 
@@ -61,7 +61,7 @@ router.get('/admin/all', auth, authorize(['admin', 'manager']), catchAsync(async
 // @route   POST /api/team
 // @desc    Add new team member
 // @access  Private (Admin)
-router.post('/', auth, authorize(['admin']), [
+router.post('/', auth, authorize('team:write'), [
     body('name')
         .trim()
         .isLength({ min: 2, max: 100 })
@@ -135,7 +135,7 @@ router.post('/', auth, authorize(['admin']), [
 // @route   PUT /api/team/:id
 // @desc    Update team member
 // @access  Private (Admin)
-router.put('/:id', auth, authorize(['admin']), [
+router.put('/:id', auth, authorize('team:write'), [
     body('name')
         .optional()
         .trim()
@@ -226,7 +226,7 @@ router.put('/:id', auth, authorize(['admin']), [
 // @route   DELETE /api/team/:id
 // @desc    Delete team member
 // @access  Private (Admin only)
-router.delete('/:id', auth, authorize(['admin']), catchAsync(async (req, res) => {
+router.delete('/:id', auth, authorize('team:delete'), catchAsync(async (req, res) => {
     const teamMember = await TeamMember.findByIdAndDelete(req.params.id);
 
     if (!teamMember) {
@@ -250,7 +250,7 @@ router.delete('/:id', auth, authorize(['admin']), catchAsync(async (req, res) =>
 // @route   PUT /api/team/:id/toggle
 // @desc    Toggle team member active status
 // @access  Private (Admin)
-router.put('/:id/toggle', auth, authorize(['admin']), catchAsync(async (req, res) => {
+router.put('/:id/toggle', auth, authorize('team:write'), catchAsync(async (req, res) => {
     const teamMember = await TeamMember.findById(req.params.id);
 
     if (!teamMember) {
@@ -279,7 +279,7 @@ router.put('/:id/toggle', auth, authorize(['admin']), catchAsync(async (req, res
 // @route   PUT /api/team/reorder
 // @desc    Reorder team members
 // @access  Private (Admin)
-router.put('/reorder', auth, authorize(['admin']), [
+router.put('/reorder', auth, authorize('team:write'), [
     body('teamMembers')
         .isArray({ min: 1 })
         .withMessage('Team members array is required'),
@@ -323,7 +323,7 @@ router.put('/reorder', auth, authorize(['admin']), [
 // @route   GET /api/team/stats/overview
 // @desc    Get team statistics
 // @access  Private (Admin/Manager)
-router.get('/stats/overview', auth, authorize(['admin', 'manager']), catchAsync(async (req, res) => {
+router.get('/stats/overview', auth, authorize('team:read'), catchAsync(async (req, res) => {
     const totalMembers = await TeamMember.countDocuments();
     const activeMembers = await TeamMember.countDocuments({ isActive: true });
     const inactiveMembers = await TeamMember.countDocuments({ isActive: false });
@@ -1,12 +1,31 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { Testimonial } = require('../models');
-const { auth, authorize } = require('../middleware/auth');
+const { Testimonial, Project } = require('../models');
+const { auth, authorize, optionalAuth } = require('../middleware/auth');
 const { catchAsync } = require('../middleware/errorHandler');
+const { hasPermission } = require('../utils/permissions');
+const { isProjectMember, canViewProject, memberProjectIds } = require('../utils/projectAccess');
 const logger = require('../utils/logger');
 
 const router = express.Router();
 
+// Private projects are never named next to a public testimonial
+const PUBLIC_PROJECT = { path: 'projectId', select: 'title category', match: { isPublic: true } };
+
+// What PUT /:id may change. Team members of the linked project get only the first list;
+// publishing, featuring and moving a testimonial need testimonials:write.
+const MEMBER_EDITABLE_FIELDS = ['clientName', 'clientRole', 'company', 'testimonial', 'rating', 'avatar'];
+const MANAGER_EDITABLE_FIELDS = [...MEMBER_EDITABLE_FIELDS, 'projectId', 'isPublic', 'featured'];
+
+// testimonials:write, or a team member of the testimonial's project
+const canEditTestimonial = async (testimonial, user) => {
+    if (hasPermission(user, 'testimonials:write')) return true;
+    if (!testimonial.projectId) return false;
+
+    const project = await Project.findById(testimonial.projectId).select('teamMembers');
+    return Boolean(project) && isProjectMember(project, user);
+};
+
 // @route   GET /api/testimonials
 // @desc    Get all public testimonials
 // @access  Public
@@ -21,7 +40,7 @@ router.get('/', catchAsync(async (req, res) => {
     const skip = (page - 1) * limit;
 
     const testimonials = await Testimonial.find(filter)
-        .populate('projectId', 'title category')
+        .populate(PUBLIC_PROJECT)
         .select('-__v')
         .sort({ featured: -1, createdAt: -1 })
         .skip(skip)
@@ -51,7 +70,7 @@ router.get('/featured', catchAsync(async (req, res) => {
         isPublic: true, 
         featured: true 
     })
-        .populate('projectId', 'title category')
+        .populate(PUBLIC_PROJECT)
         .select('clientName clientRole company testimonial rating avatar')
         .sort({ createdAt: -1 })
         .limit(limit);
@@ -64,10 +83,10 @@ router.get('/featured', catchAsync(async (req, res) => {
 
 // @route   GET /api/testimonials/:id
 // @desc    Get single testimonial
-// @access  Public (for public testimonials) / Private (for all)
-router.get('/:id', catchAsync(async (req, res) => {
+// @access  Public (for public testimonials) / Private (testimonials:read or project team member)
+router.get('/:id', optionalAuth, catchAsync(async (req, res) => {
     const testimonial = await Testimonial.findById(req.params.id)
-        .populate('projectId', 'title category description');
+        .populate('projectId', 'title category description isPublic teamMembers');
 
     if (!testimonial) {
         return res.status(404).json({
@@ -76,26 +95,37 @@ router.get('/:id', catchAsync(async (req, res) => {
         });
     }
 
-    // Check if testimonial is public or user is authenticated
-    if (!testimonial.isPublic && !req.user) {
+    const project = testimonial.projectId;
+    const canView = Boolean(req.user) && (hasPermission(req.user, 'testimonials:read') ||
+        Boolean(project && isProjectMember(project, req.user)));
+
+    if (!testimonial.isPublic && !canView) {
         return res.status(403).json({
             success: false,
             message: 'Access denied'
         });
     }
 
+    const data = testimonial.toObject();
+    if (project) {
+        const showProject = project.isPublic || (req.user && canViewProject(project, req.user));
+        data.projectId = showProject
+            ? { _id: project._id, title: project.title, category: project.category, description: project.description }
+            : null;
+    }
+
     res.json({
         success: true,
-        data: testimonial
+        data
     });
 }));
 
 // Admin routes
 
 // @route   GET /api/testimonials/admin/all
-// @desc    Get all testimonials for admin
-// @access  Private (Admin/Manager)
-router.get('/admin/all', auth, authorize(['admin', 'manager']), catchAsync(async (req, res) => {
+// @desc    Get testimonials for the dashboard: all with testimonials:read, otherwise those of the user's projects
+// @access  Private
+router.get('/admin/all', auth, catchAsync(async (req, res) => {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
     const isPublic = req.query.isPublic;
@@ -103,6 +133,9 @@ router.get('/admin/all', auth, authorize(['admin', 'manager']), catchAsync(async
     const rating = req.query.rating;
 
     const filter = {};
+    if (!hasPermission(req.user, 'testimonials:read')) {
+        filter.projectId = { $in: await memberProjectIds(req.user) };
+    }
     if (isPublic !== undefined) filter.isPublic = isPublic === 'true';
     if (featured !== undefined) filter.featured = featured === 'true';
     if (rating) filter.rating = parseInt(rating);
@@ -132,7 +165,7 @@ router.get('/admin/all', auth, authorize(['admin', 'manager']), catchAsync(async
 // @route   POST /api/testimonials
 // @desc    Create new testimonial
 // @access  Private (Admin/Manager)
-router.post('/', auth, authorize(['admin', 'manager']), [
+router.post('/', auth, authorize('testimonials:write'), [
     body('clientName')
         .trim()
         .isLength({ min: 2, max: 100 })
@@ -200,8 +233,8 @@ router.post('/', auth, authorize(['admin', 'manager']), [
 
 // @route   PUT /api/testimonials/:id
 // @desc    Update testimonial
-// @access  Private (Admin/Manager)
-router.put('/:id', auth, authorize(['admin', 'manager']), [
+// @access  Private (testimonials:write or project team member)
+router.put('/:id', auth, [
     body('clientName')
         .optional()
         .trim()
@@ -255,11 +288,7 @@ router.put('/:id', auth, authorize(['admin', 'manager']), [
         });
     }
 
-    const testimonial = await Testimonial.findByIdAndUpdate(
-        req.params.id,
-        req.body,
-        { new: true, runValidators: true }
-    );
+    const testimonial = await Testimonial.findById(req.params.id);
 
     if (!testimonial) {
         return res.status(404).json({
@@ -268,14 +297,42 @@ router.put('/:id', auth, authorize(['admin', 'manager']), [
         });
     }
 
+    if (!(await canEditTestimonial(testimonial, req.user))) {
+        return res.status(403).json({
+            success: false,
+            message: 'Insufficient permissions'
+        });
+    }
+
+    const canManage = hasPermission(req.user, 'testimonials:write');
+    const editableFields = canManage ? MANAGER_EDITABLE_FIELDS : MEMBER_EDITABLE_FIELDS;
+    const updates = Object.fromEntries(editableFields
+        .filter(field => req.body[field] !== undefined)
+        .map(field => [field, req.body[field]]));
+
+    testimonial.set(updates);
+
+    // A member's edit is unreviewed text, so a public testimonial goes back to private
+    // until someone who can publish looks at it again
+    const unpublished = !canManage && testimonial.isPublic && testimonial.isModified();
+    if (unpublished) {
+        testimonial.isPublic = false;
+        testimonial.featured = false;
+    }
+
+    await testimonial.save();
+
     logger.userAction(req.user.userId, 'updated_testimonial', { 
         testimonialId: testimonial._id, 
-        clientName: testimonial.clientName 
+        clientName: testimonial.clientName,
+        unpublished
     });
 
     res.json({
         success: true,
-        message: 'Testimonial updated successfully',
+        message: unpublished
+            ? 'Testimonial updated and unpublished until it is reviewed again'
+            : 'Testimonial updated successfully',
         data: testimonial
     });
 }));
@@ -283,7 +340,7 @@ router.put('/:id', auth, authorize(['admin', 'manager']), [
 // @route   DELETE /api/testimonials/:id
 // @desc    Delete testimonial
 // @access  Private (Admin only)
-router.delete('/:id', auth, authorize(['admin']), catchAsync(async (req, res) => {
+router.delete('/:id', auth, authorize('testimonials:delete'), catchAsync(async (req, res) => {
     const testimonial = await Testimonial.findByIdAndDelete(req.params.id);
 
     if (!testimonial) {
@@ -307,7 +364,7 @@ router.delete('/:id', auth, authorize(['admin']), catchAsync(async (req, res) =>
 // @route   PUT /api/testimonials/:id/toggle-public
 // @desc    Toggle testimonial public status
 // @access  Private (Admin/Manager)
-router.put('/:id/toggle-public', auth, authorize(['admin', 'manager']), catchAsync(async (req, res) => {
+router.put('/:id/toggle-public', auth, authorize('testimonials:write'), catchAsync(async (req, res) => {
     const testimonial = await Testimonial.findById(req.params.id);
 
     if (!testimonial) {
@@ -336,7 +393,7 @@ router.put('/:id/toggle-public', auth, authorize(['admin', 'manager']), catchAsy
 // @route   PUT /api/testimonials/:id/toggle-featured
 // @desc    Toggle testimonial featured status
 // @access  Private (Admin/Manager)
-router.put('/:id/toggle-featured', auth, authorize(['admin', 'manager']), catchAsync(async (req, res) => {
+router.put('/:id/toggle-featured', auth, authorize('testimonials:write'), catchAsync(async (req, res) => {
     const testimonial = await Testimonial.findById(req.params.id);
 
     if (!testimonial) {
@@ -365,7 +422,7 @@ router.put('/:id/toggle-featured', auth, authorize(['admin', 'manager']), catchA
 // @route   GET /api/testimonials/stats/overview
 // @desc    Get testimonial statistics
 // @access  Private (Admin/Manager)
-router.get('/stats/overview', auth, authorize(['admin', 'manager']), catchAsync(async (req, res) => {
+router.get('/stats/overview', auth, authorize('testimonials:read'), catchAsync(async (req, res) => {
     const totalTestimonials = await Testimonial.countDocuments();
     const publicTestimonials = await Testimonial.countDocuments({ isPublic: true });
     const featuredTestimonials = await Testimonial.countDocuments({ featured: true });
@@ -0,0 +1,44 @@
+const express = require('express');
+const { PIXEL, verifyTrackingToken, recordEmailEvent } = require('../utils/emailTracking');
+const { siteUrl } = require('../utils/urls');
+
+const router = express.Router();
+
+// Mounted outside /api so mail client image proxies are not rate limited
+
+// @route   GET /email/open
+// @desc    Open tracking pixel; records an email_open event
+// @access  Public (signed token)
+router.get('/open', (req, res) => {
+    const tracking = verifyTrackingToken(req.query.t);
+
+    if (tracking) {
+        recordEmailEvent('email_open', tracking, req);
+    }
+
+    // Always answer with the pixel so the email never shows a broken image
+    res.set({
+        'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+        Pragma: 'no-cache'
+    });
+    res.type('gif').send(PIXEL);
+});
+
+// @route   GET /email/click
+// @desc    Click redirect; records an email_click event and redirects to the link
+// @access  Public (signed token)
+router.get('/click', (req, res) => {
+    const tracking = verifyTrackingToken(req.query.t);
+
+    // The target URL is inside the signed token, so this can't be used as an open redirect
+    if (!tracking || !tracking.url) {
+        return res.redirect(302, siteUrl());
+    }
+
+    recordEmailEvent('email_click', tracking, req);
+
+    res.set('Cache-Control', 'no-store');
+    res.redirect(302, tracking.url);
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { Scheduler } = require('../utils/scheduler');
+const { processEmailQueue } = require('../utils/emailQueue');
+const logger = require('../utils/logger');
+
+// Standalone email worker. Run it with EMAIL_WORKER=external on the web server,
+// so the web process only queues mail.
+
+const scheduler = new Scheduler();
+let keepAlive = null;
+
+// Stop the timers and close the connection so the process exits on its own
+const shutdown = async (signal) => {
+    logger.info(`Email worker received ${signal}, shutting down`);
+    scheduler.stop();
+    clearInterval(keepAlive);
+    await mongoose.connection.close();
+};
+
+const start = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/inoxdev');
+        logger.info('Email worker connected to MongoDB');
+
+        scheduler.register(
+            'process-email-queue',
+            parseInt(process.env.EMAIL_QUEUE_INTERVAL_MS) || 10 * 1000,
+            processEmailQueue
+        );
+        scheduler.start();
+
+        // Scheduler timers don't keep the process alive on their own
+        keepAlive = setInterval(() => {}, 60 * 60 * 1000);
+
+        process.on('SIGTERM', () => shutdown('SIGTERM'));
+        process.on('SIGINT', () => shutdown('SIGINT'));
+
+        // Drain whatever is already due without waiting for the first tick
+        await scheduler.run('process-email-queue');
+    } catch (error) {
+        logger.error('Email worker failed to start:', error);
+        process.exitCode = 1;
+        await mongoose.connection.close();
+    }
+};
+
+start();
@@ -4,6 +4,7 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const compression = require('compression');
+const cookieParser = require('cookie-parser');
 const morgan = require('morgan');
 const dotenv = require('dotenv');
 const path = require('path');
@@ -56,6 +57,14 @@ console.log('Attempting to import authRoutes...');
 const authRoutes = require('./routes/auth');
 console.log('authRoutes imported.');
 
+console.log('Attempting to import mfaRoutes...');
+const mfaRoutes = require('./routes/mfa');
+console.log('mfaRoutes imported.');
+
+console.log('Attempting to import securityRoutes...');
+const securityRoutes = require('./routes/security');
+console.log('securityRoutes imported.');
+
 console.log('Attempting to import projectRoutes...');
 const projectRoutes = require('./routes/projects');
 console.log('projectRoutes imported.');
@@ -76,18 +85,77 @@ console.log('Attempting to import newsletterRoutes...');
 const newsletterRoutes = require('./routes/newsletter');
 console.log('newsletterRoutes imported.');
 
+console.log('Attempting to import campaignRoutes...');
+const campaignRoutes = require('./routes/campaigns');
+console.log('campaignRoutes imported.');
+
+console.log('Attempting to import emailRoutes...');
+const emailRoutes = require('./routes/emails');
+console.log('emailRoutes imported.');
+console.log('Attempting to import emailTemplateRoutes...');
+const emailTemplateRoutes = require('./routes/emailTemplates');
+console.log('emailTemplateRoutes imported.');
+console.log('Attempting to import clientRoutes...');
+const clientRoutes = require('./routes/client');
+console.log('clientRoutes imported.');
+console.log('Attempting to import clientAccountRoutes...');
+const clientAccountRoutes = require('./routes/clientAccounts');
+console.log('clientAccountRoutes imported.');
+console.log('Attempting to import roleRoutes...');
+const roleRoutes = require('./routes/roles');
+console.log('roleRoutes imported.');
+
 console.log('Attempting to import analyticsRoutes...');
 const analyticsRoutes = require('./routes/analytics');
 console.log('analyticsRoutes imported.');
 
+console.log('Attempting to import blogRoutes...');
+const blogRoutes = require('./routes/blog');
+console.log('blogRoutes imported.');
+
+console.log('Attempting to import aiRoutes...');
+const aiRoutes = require('./routes/ai');
+console.log('aiRoutes imported.');
+
+console.log('Attempting to import pageRoutes...');
+const pageRoutes = require('./routes/pages');
+console.log('pageRoutes imported.');
+
+console.log('Attempting to import trackingRoutes...');
+const trackingRoutes = require('./routes/tracking');
+console.log('trackingRoutes imported.');
+
+console.log('Attempting to import feedRoutes...');
+const feedRoutes = require('./routes/feeds');
+console.log('feedRoutes imported.');
+
 // Import middleware
 console.log('Attempting to import errorHandler...');
 const { errorHandler } = require('./middleware/errorHandler');
 console.log('errorHandler imported. Type of errorHandler:', typeof errorHandler);
 
+// Import background jobs
+const { scheduler } = require('./utils/scheduler');
+const { publishScheduledPosts } = require('./utils/blogPublisher');
+const { sendDueCampaigns } = require('./utils/campaigns');
+const { processEmailQueue } = require('./utils/emailQueue');
+const { ensureSystemRoles } = require('./utils/permissions');
+const { dropLegacySessionIndex } = require('./utils/authSession');
+const { migrateLegacySubscribers } = require('./utils/newsletter');
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// The API runs behind nginx (nginx/nginx.conf), so req.ip comes from X-Forwarded-For
+// when the request arrives from a private address. Set TRUST_PROXY to a hop count or
+// address list for other setups, or to false when clients connect directly.
+const parseTrustProxy = (value = 'loopback, linklocal, uniquelocal') => {
+    if (value === 'true' || value === 'false') return value === 'true';
+    return /^\d+$/.test(value) ? parseInt(value) : value;
+};
+app.set('trust proxy', parseTrustProxy(process.env.TRUST_PROXY));
+console.log(`Trust proxy set to: ${app.get('trust proxy')}`);
+
 console.log(`Server will attempt to run on port: ${PORT}`);
 console.log(`Node Environment: ${process.env.NODE_ENV || 'development'}`);
 console.log(`MongoDB URI: ${process.env.MONGODB_URI ? '***** (set)' : 'Not set, using default'}`);
@@ -129,8 +197,27 @@ const contactLimiter = rateLimit({
     }
 });
 
+const mfaLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // limit each IP to 10 two-factor code attempts per windowMs
+    message: {
+        error: 'Too many authentication attempts, please try again later.'
+    }
+});
+
+// Client portal password logins and sign-in emails
+const clientLoginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 10, // limit each IP to 10 client login or magic link requests per windowMs
+    message: {
+        error: 'Too many sign-in attempts, please try again later.'
+    }
+});
+
 app.use('/api/', limiter);
-app.use('/api/contact', contactLimiter);
+app.post('/api/contacts', contactLimiter);
+app.post(['/api/auth/login/mfa', '/api/auth/mfa/enable', '/api/auth/mfa/disable', '/api/auth/mfa/backup-codes'], mfaLimiter);
+app.post(['/api/client/login', '/api/client/magic-link'], clientLoginLimiter);
 console.log('Rate limiting applied.');
 
 // Middleware
@@ -204,7 +291,8 @@ console.log('CORS middleware applied with enhanced origin detection.');
 
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
-console.log('Core middlewares applied (compression, morgan, cors, json/url-encoded parsers).');
+app.use(cookieParser());
+console.log('Core middlewares applied (compression, morgan, cors, json/url-encoded/cookie parsers).');
 
 // DEBUGGING ROUTES - Add these BEFORE static file configuration
 const publicPath = path.join(__dirname, 'public');
@@ -502,15 +590,31 @@ app.get('/logo-removebg-preview.png', (req, res) => {
 
 // API Routes
 app.use('/api/contacts', contactRoutes);
+app.use('/api/auth/mfa', mfaRoutes);
 app.use('/api/auth', authRoutes);
+app.use('/api/roles', roleRoutes);
+app.use('/api/security', securityRoutes);
 app.use('/api/projects', projectRoutes);
+app.use('/api/client', clientRoutes);
+app.use('/api/client-accounts', clientAccountRoutes);
 app.use('/api/services', serviceRoutes);
 app.use('/api/team', teamRoutes);
 app.use('/api/testimonials', testimonialRoutes);
 app.use('/api/newsletter', newsletterRoutes);
+app.use('/api/campaigns', campaignRoutes);
+app.use('/api/emails', emailRoutes);
+app.use('/api/email-templates', emailTemplateRoutes);
 app.use('/api/analytics', analyticsRoutes);
+app.use('/api/blog', blogRoutes);
+app.use('/api/ai', aiRoutes);
 console.log('API routes mounted.');
 
+// Server-rendered SEO pages, sitemap, feeds and email tracking (before the SPA fallback)
+app.use('/', pageRoutes);
+app.use('/', feedRoutes);
+app.use('/email', trackingRoutes);
+console.log('Page, feed and tracking routes mounted.');
+
 // Enhanced health check endpoint
 app.get('/api/health', (req, res) => {
     const staticFiles = ['index.html', 'style.css', 'script.js', 'logo-removebg-preview.png'];
@@ -630,6 +734,33 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/inoxdev')
     .then(() => {
         logger.info('Connected to MongoDB');
         console.log('MongoDB connection successful.');
+
+        // Built-in roles are only inserted once, so edits made by admins are kept
+        ensureSystemRoles().catch(error => logger.error('Could not create the built-in roles:', error));
+        dropLegacySessionIndex().catch(error => logger.error('Could not drop the legacy session index:', error));
+        migrateLegacySubscribers().catch(error => logger.error('Could not migrate legacy newsletter subscribers:', error));
+
+        // Background jobs need the database, so start them once connected
+        scheduler.register(
+            'publish-scheduled-posts',
+            parseInt(process.env.BLOG_PUBLISH_INTERVAL_MS) || 60 * 1000,
+            publishScheduledPosts
+        );
+        scheduler.register(
+            'send-scheduled-campaigns',
+            parseInt(process.env.CAMPAIGN_SEND_INTERVAL_MS) || 60 * 1000,
+            sendDueCampaigns
+        );
+        // With EMAIL_WORKER=external, scripts/emailWorker.js sends the queued mail instead
+        if (process.env.EMAIL_WORKER !== 'external') {
+            scheduler.register(
+                'process-email-queue',
+                parseInt(process.env.EMAIL_QUEUE_INTERVAL_MS) || 10 * 1000,
+                processEmailQueue
+            );
+        }
+        scheduler.start();
+        console.log('Background scheduler started.');
         
         // Server startup with enhanced information
         const server = app.listen(PORT, '0.0.0.0', () => {
@@ -678,6 +809,7 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/inoxdev')
         // Graceful shutdown handlers
         const gracefulShutdown = () => {
             console.log('🔄 Graceful shutdown initiated...');
+            scheduler.stop();
             server.close(() => {
                 console.log('🛑 HTTP server closed.');
                 mongoose.connection.close(() => {
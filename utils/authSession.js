@@ -0,0 +1,189 @@
+const jwt = require('jsonwebtoken');
+const { User } = require('../models');
+const logger = require('./logger');
+const { requestContext } = require('./securityEvents');
+const { resetLoginFailures } = require('./loginThrottle');
+
+// Signed-in sessions of internal users: the refresh token cookie, its rotation on every
+// refresh and the per-device list shown under /api/auth/sessions.
+
+const REFRESH_COOKIE = 'refreshToken';
+
+const REFRESH_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict',
+    maxAge: User.REFRESH_TOKEN_TTL_MS
+};
+
+const BROWSERS = [
+    ['Edge', /Edg\//],
+    ['Opera', /OPR\//],
+    ['Chrome', /Chrome\//],
+    ['Firefox', /Firefox\//],
+    ['Safari', /Safari\//]
+];
+
+const PLATFORMS = [
+    ['iOS', /iPhone|iPad/],
+    ['Android', /Android/],
+    ['Windows', /Windows/],
+    ['macOS', /Mac OS X/],
+    ['Linux', /Linux/]
+];
+
+// Short label such as "Chrome on Windows" for the sessions list
+const describeDevice = (userAgent = '') => {
+    const browser = BROWSERS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+    const platform = PLATFORMS.find(([, pattern]) => pattern.test(userAgent))?.[0];
+
+    if (browser && platform) return `${browser} on ${platform}`;
+    return browser || platform || 'Unknown device';
+};
+
+const clientInfo = (req) => {
+    const { ip, userAgent } = requestContext(req);
+
+    return {
+        device: describeDevice(userAgent),
+        userAgent,
+        ip
+    };
+};
+
+const setRefreshCookie = (res, refreshToken) => res.cookie(REFRESH_COOKIE, refreshToken, REFRESH_COOKIE_OPTIONS);
+
+const clearRefreshCookie = (res) => res.clearCookie(REFRESH_COOKIE, {
+    httpOnly: REFRESH_COOKIE_OPTIONS.httpOnly,
+    secure: REFRESH_COOKIE_OPTIONS.secure,
+    sameSite: REFRESH_COOKIE_OPTIONS.sameSite
+});
+
+// Payload of a refresh token with a valid signature, or null. Expired tokens are still
+// decoded so logout can find their session.
+const decodeRefreshToken = (token, { ignoreExpiration = false } = {}) => {
+    if (!token) return null;
+
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_REFRESH_SECRET, { ignoreExpiration });
+        return decoded.family ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Session family of the refresh cookie sent with this request, if any
+const currentFamily = (req) => decodeRefreshToken(req.cookies?.[REFRESH_COOKIE], { ignoreExpiration: true })?.family;
+
+const toSessionUser = (user) => ({
+    id: user._id,
+    name: user.name,
+    email: user.email,
+    role: user.role
+});
+
+// Issue an access token and a refresh token cookie for a new device session, record the
+// login and send the response. `extra` is merged into the body (e.g. new backup codes).
+const startSession = async (req, res, user, { message = 'Login successful', extra = {} } = {}) => {
+    const accessToken = user.generateAuthToken();
+    const refreshToken = user.generateRefreshToken(clientInfo(req));
+
+    user.lastLogin = new Date();
+    resetLoginFailures(user);
+    await user.save();
+
+    setRefreshCookie(res, refreshToken);
+
+    res.json({
+        success: true,
+        message,
+        token: accessToken,
+        user: toSessionUser(user),
+        ...extra
+    });
+};
+
+// Exchange a refresh token for a new one in the same session. Returns { user, refreshToken },
+// or { error } when the token is invalid. A token that was already rotated away means it was
+// copied: the whole session is revoked so neither copy keeps working.
+const rotateSession = async (req, refreshToken) => {
+    const decoded = decodeRefreshToken(refreshToken);
+    if (!decoded) return { error: 'invalid' };
+
+    const tokenHash = User.hashRefreshToken(refreshToken);
+    const nextToken = User.signRefreshToken(decoded.userId, decoded.family);
+    const { ip, userAgent } = requestContext(req);
+
+    // Atomic, so two requests with the same token can't both rotate it
+    const user = await User.findOneAndUpdate(
+        {
+            _id: decoded.userId,
+            isActive: true,
+            refreshTokens: { $elemMatch: { family: decoded.family, tokenHash } }
+        },
+        {
+            $set: {
+                'refreshTokens.$.tokenHash': User.hashRefreshToken(nextToken),
+                'refreshTokens.$.lastUsedAt': new Date(),
+                'refreshTokens.$.expiresAt': new Date(Date.now() + User.REFRESH_TOKEN_TTL_MS),
+                'refreshTokens.$.ip': ip,
+                'refreshTokens.$.userAgent': userAgent
+            }
+        },
+        { new: true }
+    ).select('-password');
+
+    if (user) return { user, refreshToken: nextToken };
+
+    const revoked = await User.findOneAndUpdate(
+        { _id: decoded.userId, isActive: true, 'refreshTokens.family': decoded.family },
+        { $pull: { refreshTokens: { family: decoded.family } } }
+    ).select('email');
+
+    if (revoked) {
+        logger.security(`Refresh token reuse detected for ${revoked.email}; session revoked`, {
+            event: 'refresh_token_reused',
+            userId: revoked._id,
+            email: revoked.email,
+            ip,
+            userAgent,
+            family: decoded.family
+        });
+        return { error: 'reused' };
+    }
+
+    return { error: 'invalid' };
+};
+
+// Sign out the session the refresh token belongs to
+const endSession = (userId, refreshToken) => {
+    const decoded = decodeRefreshToken(refreshToken, { ignoreExpiration: true });
+    if (!decoded || String(decoded.userId) !== String(userId)) return null;
+
+    return User.updateOne({ _id: userId }, { $pull: { refreshTokens: { family: decoded.family } } });
+};
+
+// Earlier versions put a TTL index on refreshTokens.createdAt, which removes the whole
+// user document once their oldest session expires
+const dropLegacySessionIndex = async () => {
+    // A new database has no users collection yet
+    const indexes = await User.collection.indexes().catch(() => []);
+    if (indexes.some(index => index.name === 'refreshTokens.createdAt_1')) {
+        await User.collection.dropIndex('refreshTokens.createdAt_1');
+        logger.info('Dropped legacy TTL index on users.refreshTokens.createdAt');
+    }
+};
+
+module.exports = {
+    REFRESH_COOKIE,
+    REFRESH_COOKIE_OPTIONS,
+    describeDevice,
+    setRefreshCookie,
+    clearRefreshCookie,
+    currentFamily,
+    toSessionUser,
+    startSession,
+    rotateSession,
+    endSession,
+    dropLegacySessionIndex
+};
@@ -0,0 +1,42 @@
+const { BlogPost } = require('../models');
+const { takeSnapshot, recordRevision } = require('./revisions');
+const logger = require('./logger');
+
+// Publish scheduled posts whose publish time has arrived
+const publishScheduledPosts = async () => {
+    const duePosts = await BlogPost.find({
+        status: 'scheduled',
+        publishedAt: { $lte: new Date() }
+    });
+
+    let published = 0;
+
+    for (const duePost of duePosts) {
+        const previous = takeSnapshot('BlogPost', duePost);
+
+        // Claim the post atomically so a second worker can't publish it twice
+        const post = await BlogPost.findOneAndUpdate(
+            { _id: duePost._id, status: 'scheduled' },
+            { status: 'published' },
+            { new: true }
+        );
+
+        if (!post) continue;
+
+        await recordRevision({
+            documentType: 'BlogPost',
+            document: post,
+            previous,
+            action: 'publish'
+        });
+
+        published++;
+        logger.info(`Scheduled blog post published: ${post.slug}`);
+    }
+
+    return published;
+};
+
+module.exports = {
+    publishScheduledPosts
+};
@@ -0,0 +1,299 @@
+const handlebars = require('handlebars');
+const { Newsletter, Campaign, CampaignDelivery } = require('../models');
+const { emailService } = require('./email');
+const { unsubscribeUrl, listUnsubscribeHeaders } = require('./newsletter');
+const logger = require('./logger');
+
+// Deliveries loaded per round; sendBulkEmails paces them in smaller batches
+const DELIVERY_BATCH_SIZE = 100;
+const QUEUE_BATCH_SIZE = 500;
+// A sending campaign without a heartbeat for this long lost its worker (e.g. a restart)
+const STALE_SENDING_MS = parseInt(process.env.CAMPAIGN_STALE_MS) || 10 * 60 * 1000;
+
+// Every campaign email carries an unsubscribe link, whatever the body contains
+const FOOTER = `
+    <hr>
+    <p><small>You are receiving this email because you subscribed to the InoxDev newsletter.
+    <a href="{{unsubscribeUrl}}">Unsubscribe</a></small></p>
+`;
+
+// Confirmed subscribers matching a campaign segment
+const buildSegmentFilter = (segment = {}) => {
+    const filter = { status: 'confirmed' };
+    if (segment.interests?.length) filter.interests = { $in: segment.interests };
+    if (segment.sources?.length) filter.source = { $in: segment.sources };
+    return filter;
+};
+
+const countAudience = (segment) => Newsletter.countDocuments(buildSegmentFilter(segment));
+
+// Throws if the subject or body is not a valid handlebars template
+const validateTemplate = ({ subject, body }) => {
+    if (subject !== undefined) handlebars.precompile(subject);
+    if (body !== undefined) handlebars.precompile(body);
+};
+
+const NAMED_ENTITIES = {
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    quot: '"',
+    apos: "'",
+    nbsp: ' '
+};
+
+// Turn the rendered HTML back into readable text: handlebars escapes merge fields and
+// editors write entities, neither of which belongs in the plain text part
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] !== '#') return NAMED_ENTITIES[name.toLowerCase()] ?? entity;
+
+    const codePoint = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+    return codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : entity;
+});
+
+const htmlToText = (html) => decodeEntities(html.replace(/<[^>]*>/g, '')).replace(/\s+/g, ' ').trim();
+
+// Returns a function building the email for one recipient
+const compileCampaign = (campaign) => {
+    // The subject is plain text, so merge fields aren't HTML-escaped
+    const subject = handlebars.compile(campaign.subject, { noEscape: true });
+    const body = handlebars.compile(`${campaign.body}${FOOTER}`);
+
+    return (recipient) => {
+        const data = {
+            name: recipient.name || 'there',
+            email: recipient.email,
+            unsubscribeUrl: recipient._id ? unsubscribeUrl(recipient) : '#'
+        };
+
+        const html = body(data);
+
+        return {
+            to: recipient.email,
+            subject: subject(data),
+            html,
+            text: htmlToText(html),
+            headers: recipient._id ? listUnsubscribeHeaders(recipient) : undefined,
+            // Test sends are not tracked
+            tracking: recipient._id ? { campaignId: campaign._id, subscriberId: recipient._id } : undefined
+        };
+    };
+};
+
+// Send the campaign as it would look to a subscriber, to the given addresses
+const sendTestEmail = async (campaign, recipients) => {
+    const build = compileCampaign(campaign);
+
+    const emails = recipients.map(email => {
+        const message = build({ email, name: 'Test Subscriber' });
+        return { ...message, subject: `[TEST] ${message.subject}` };
+    });
+
+    return emailService.sendBulkEmails(emails);
+};
+
+// Create a pending delivery for every subscriber in the segment; safe to run again
+const queueDeliveries = async (campaign) => {
+    const cursor = Newsletter.find(buildSegmentFilter(campaign.segment)).select('_id email').cursor();
+    let operations = [];
+
+    const flush = async () => {
+        if (!operations.length) return;
+        await CampaignDelivery.bulkWrite(operations, { ordered: false });
+        operations = [];
+    };
+
+    for (let subscriber = await cursor.next(); subscriber; subscriber = await cursor.next()) {
+        operations.push({
+            updateOne: {
+                filter: { campaign: campaign._id, subscriber: subscriber._id },
+                update: { $setOnInsert: { email: subscriber.email, status: 'pending' } },
+                upsert: true
+            }
+        });
+
+        if (operations.length >= QUEUE_BATCH_SIZE) await flush();
+    }
+
+    await flush();
+};
+
+const refreshStats = async (campaign) => {
+    const counts = await CampaignDelivery.aggregate([
+        { $match: { campaign: campaign._id } },
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    const byStatus = Object.fromEntries(counts.map(({ _id, count }) => [_id, count]));
+
+    campaign.stats = {
+        recipients: counts.reduce((sum, { count }) => sum + count, 0),
+        sent: byStatus.sent || 0,
+        failed: byStatus.failed || 0
+    };
+};
+
+// Send pending deliveries in batches until none are left or the campaign is cancelled
+const deliverPending = async (campaign) => {
+    const build = compileCampaign(campaign);
+
+    for (;;) {
+        const current = await Campaign.findOneAndUpdate(
+            { _id: campaign._id, status: 'sending' },
+            { heartbeatAt: new Date() }
+        ).select('_id');
+        if (!current) return false;
+
+        const deliveries = await CampaignDelivery.find({ campaign: campaign._id, status: 'pending' })
+            .populate('subscriber', 'email name status')
+            .limit(DELIVERY_BATCH_SIZE);
+
+        if (!deliveries.length) return true;
+
+        const operations = [];
+        const sendable = [];
+
+        deliveries.forEach(delivery => {
+            // Subscriber left or was removed after the campaign was queued
+            if (!delivery.subscriber || delivery.subscriber.status !== 'confirmed') {
+                operations.push({
+                    updateOne: {
+                        filter: { _id: delivery._id },
+                        update: { status: 'skipped' }
+                    }
+                });
+                return;
+            }
+            sendable.push(delivery);
+        });
+
+        if (sendable.length) {
+            const { results } = await emailService.sendBulkEmails(
+                sendable.map(delivery => build(delivery.subscriber))
+            );
+
+            // sendBulkEmails keeps the order of the emails it was given
+            results.forEach((result, index) => {
+                const failed = Boolean(result && result.error);
+                operations.push({
+                    updateOne: {
+                        filter: { _id: sendable[index]._id },
+                        update: {
+                            $set: failed
+                                ? { status: 'failed', error: result.error.message }
+                                : { status: 'sent', sentAt: new Date(), messageId: result && result.messageId },
+                            $inc: { attempts: 1 }
+                        }
+                    }
+                });
+            });
+        }
+
+        await CampaignDelivery.bulkWrite(operations, { ordered: false });
+    }
+};
+
+// Queue and deliver a campaign this worker has claimed, then record the outcome
+const runCampaign = async (campaign) => {
+    let completed = false;
+
+    try {
+        await queueDeliveries(campaign);
+        completed = await deliverPending(campaign);
+    } catch (error) {
+        logger.error(`Campaign ${campaign._id} failed:`, error);
+        campaign.status = 'failed';
+        campaign.error = error.message;
+    }
+
+    await refreshStats(campaign);
+
+    if (completed) {
+        campaign.status = 'sent';
+        campaign.completedAt = new Date();
+    } else if (campaign.status === 'sending') {
+        // Cancelled while sending; keep the status set by the cancel request
+        const current = await Campaign.findById(campaign._id).select('status');
+        campaign.status = current ? current.status : 'cancelled';
+    }
+
+    await campaign.save();
+
+    logger.info(`Campaign ${campaign._id} ${campaign.status}: ${campaign.stats.sent} sent, ${campaign.stats.failed} failed`);
+    return campaign;
+};
+
+// Send a scheduled campaign. Claims it atomically so only one worker sends it.
+const sendCampaign = async (campaignId) => {
+    const now = new Date();
+    const campaign = await Campaign.findOneAndUpdate(
+        { _id: campaignId, status: 'scheduled' },
+        { status: 'sending', startedAt: now, heartbeatAt: now, $unset: { error: 1 } },
+        { new: true }
+    );
+
+    if (!campaign) return null;
+
+    logger.info(`Sending campaign: ${campaign.name} (${campaign._id})`);
+    return runCampaign(campaign);
+};
+
+// Campaigns still marked as sending whose worker has stopped
+const stalledFilter = () => {
+    const staleBefore = new Date(Date.now() - STALE_SENDING_MS);
+    return {
+        status: 'sending',
+        $or: [
+            { heartbeatAt: { $lt: staleBefore } },
+            // Claimed before heartbeats were recorded
+            { heartbeatAt: { $exists: false }, startedAt: { $lt: staleBefore } }
+        ]
+    };
+};
+
+// Pick up a campaign left in `sending` by a worker that stopped. Claimed by touching the
+// heartbeat, so only one worker resumes it. Pending deliveries are sent; the batch that was
+// in flight when the worker stopped may be sent twice.
+const resumeCampaign = async (campaignId) => {
+    const campaign = await Campaign.findOneAndUpdate(
+        { _id: campaignId, ...stalledFilter() },
+        { heartbeatAt: new Date() },
+        { new: true }
+    );
+
+    if (!campaign) return null;
+
+    logger.warn(`Resuming stalled campaign: ${campaign.name} (${campaign._id})`);
+    return runCampaign(campaign);
+};
+
+// Resume stalled campaigns, then send campaigns whose scheduled time has arrived
+const sendDueCampaigns = async () => {
+    const stalledCampaigns = await Campaign.find(stalledFilter()).select('_id');
+
+    let sent = 0;
+
+    for (const stalledCampaign of stalledCampaigns) {
+        if (await resumeCampaign(stalledCampaign._id)) sent++;
+    }
+
+    const dueCampaigns = await Campaign.find({
+        status: 'scheduled',
+        scheduledAt: { $lte: new Date() }
+    }).select('_id');
+
+    for (const dueCampaign of dueCampaigns) {
+        if (await sendCampaign(dueCampaign._id)) sent++;
+    }
+
+    return sent;
+};
+
+module.exports = {
+    buildSegmentFilter,
+    countAudience,
+    validateTemplate,
+    sendTestEmail,
+    sendCampaign,
+    sendDueCampaigns
+};
@@ -0,0 +1,135 @@
+const { Project } = require('../models');
+const { queueEmail } = require('./emailQueue');
+const { escapeRegex } = require('./regex');
+
+// Client portal invites, magic links and what a client may see of a project
+
+const INVITE_EXPIRES_MS = 7 * 24 * 60 * 60 * 1000;
+const LOGIN_EXPIRES_MS = 15 * 60 * 1000;
+// One sign-in email per account per minute, however many addresses ask for it
+const LOGIN_LINK_COOLDOWN_MS = 60 * 1000;
+
+const signInUrl = (token) => `${process.env.FRONTEND_URL}/client/sign-in?token=${token}`;
+
+// Issue a fresh invite link (replacing any earlier one) and email it
+const sendInvite = async (account, invitedBy) => {
+    const token = account.createSignInToken('invite', INVITE_EXPIRES_MS);
+    account.invitedAt = new Date();
+    await account.save();
+
+    return queueEmail({
+        to: account.email,
+        subject: 'You have been invited to the InoxDev client portal',
+        template: 'client-invite',
+        data: {
+            name: account.name,
+            invitedBy: invitedBy || 'The InoxDev team',
+            signInUrl: signInUrl(token),
+            expiresIn: '7 days'
+        }
+    });
+};
+
+// Email a sign-in link; returns null without sending if one went out within the cooldown
+const sendLoginLink = async (account) => {
+    const { purpose, expiresAt } = account.signInToken || {};
+    const issuedAt = purpose === 'login' && expiresAt ? expiresAt.getTime() - LOGIN_EXPIRES_MS : 0;
+    if (Date.now() - issuedAt < LOGIN_LINK_COOLDOWN_MS) return null;
+
+    const token = account.createSignInToken('login', LOGIN_EXPIRES_MS);
+    await account.save();
+
+    return queueEmail({
+        to: account.email,
+        subject: 'Your InoxDev client portal sign-in link',
+        template: 'client-login',
+        data: {
+            name: account.name,
+            signInUrl: signInUrl(token),
+            expiresIn: '15 minutes'
+        }
+    });
+};
+
+// Point the given projects, plus any whose client email matches, at the account
+const linkProjects = async (account, projectIds = []) => {
+    const escapedEmail = escapeRegex(account.email);
+
+    const result = await Project.updateMany(
+        {
+            $or: [
+                { _id: { $in: projectIds } },
+                { 'client.email': { $regex: `^${escapedEmail}$`, $options: 'i' } }
+            ]
+        },
+        { 'client.account': account._id }
+    );
+
+    return result.modifiedCount;
+};
+
+// Portal view of a project: no internal team ids, queued email jobs or client contact data
+const toClientProject = (project, { detail = false } = {}) => {
+    const view = {
+        _id: project._id,
+        title: project.title,
+        description: project.description,
+        category: project.category,
+        status: project.status,
+        progress: project.progress,
+        startDate: project.startDate,
+        endDate: project.endDate,
+        projectUrl: project.projectUrl,
+        updatedAt: project.updatedAt
+    };
+
+    if (!detail) return view;
+
+    return {
+        ...view,
+        technologies: project.technologies,
+        features: project.features,
+        team: project.teamMembers.map(member => ({ name: member.name, role: member.role })),
+        updates: toClientUpdates(project),
+        sharedFiles: toClientFiles(project),
+        comments: toClientComments(project)
+    };
+};
+
+const toClientUpdates = (project) => [...project.updates].reverse().map(update => ({
+    _id: update._id,
+    status: update.status,
+    progress: update.progress,
+    message: update.message,
+    nextSteps: update.nextSteps,
+    authorName: update.authorName,
+    createdAt: update.createdAt
+}));
+
+const toClientFiles = (project) => [...project.sharedFiles].reverse().map(file => ({
+    _id: file._id,
+    name: file.name,
+    url: file.url,
+    description: file.description,
+    sharedAt: file.sharedAt
+}));
+
+const toClientComments = (project) => project.comments.map(comment => ({
+    _id: comment._id,
+    message: comment.message,
+    authorType: comment.authorType,
+    authorName: comment.authorName,
+    createdAt: comment.createdAt
+}));
+
+module.exports = {
+    INVITE_EXPIRES_MS,
+    LOGIN_EXPIRES_MS,
+    sendInvite,
+    sendLoginLink,
+    linkProjects,
+    toClientProject,
+    toClientUpdates,
+    toClientFiles,
+    toClientComments
+};
@@ -3,48 +3,47 @@ const path = require('path');
 const fs = require('fs').promises; // Using fs.promises for async file operations
 const handlebars = require('handlebars');
 const logger = require('./logger');
+const { createTransport, getTransportName } = require('./emailTransports');
+const { renderEmailTemplate } = require('./emailTemplates');
+const { instrumentHtml } = require('./emailTracking');
 
 class EmailService {
     constructor() {
         this.transporter = null;
+        this.transportName = null;
         this.templates = new Map();
+        this.initializing = null;
         // Call init as an async function and handle potential errors
-        this.init().catch(error => {
+        this.ensureTransporter().catch(error => {
             logger.error('EmailService constructor failed to initialize:', error);
             // Optionally re-throw or handle more gracefully if init failure is critical
         });
     }
 
+    // Initialize the transporter if a previous attempt failed; concurrent callers share one attempt
+    async ensureTransporter() {
+        if (this.transporter) return;
+
+        if (!this.initializing) {
+            this.initializing = this.init()
+                .catch(error => {
+                    // Let the next send try again instead of keeping a half-built transporter
+                    this.transporter = null;
+                    throw error;
+                })
+                .finally(() => {
+                    this.initializing = null;
+                });
+        }
+
+        await this.initializing;
+    }
+
     async init() {
         try {
-            // Create transporter based on environment
-            if (process.env.NODE_ENV === 'production') {
-                // Production: Use service like SendGrid, Mailgun, or AWS SES
-                // Corrected: nodemailer.createTransport
-                this.transporter = nodemailer.createTransport({
-                    service: process.env.EMAIL_SERVICE || 'gmail',
-                    auth: {
-                        user: process.env.EMAIL_USER,
-                        pass: process.env.EMAIL_PASS
-                    },
-                    secure: true, // For services like Gmail, usually true for port 465
-                    port: 465 // Standard secure SMTP port
-                });
-            } else {
-                // Development: Use Ethereal Email for testing
-                const testAccount = await nodemailer.createTestAccount();
-                
-                // Corrected: nodemailer.createTransport
-                this.transporter = nodemailer.createTransport({
-                    host: 'smtp.ethereal.email',
-                    port: 587,
-                    secure: false, // Use false for port 587, true for port 465
-                    auth: {
-                        user: testAccount.user,
-                        pass: testAccount.pass
-                    }
-                });
-            }
+            // Create transporter based on EMAIL_TRANSPORT (see utils/emailTransports.js)
+            this.transportName = getTransportName();
+            this.transporter = await createTransport(this.transportName);
 
             // Verify transporter configuration
             await this.transporter.verify();
@@ -63,19 +62,28 @@ class EmailService {
     async loadTemplates() {
         try {
             const templatesDir = path.join(__dirname, '../templates/email'); // Corrected path to 'email'
-            const templateFiles = [
+            // Templates with a built-in default, plus any other .hbs file in the directory
+            const templateFiles = new Set([
                 'contact-notification.hbs',
                 'contact-auto-reply.hbs',
                 'welcome.hbs',
                 'password-reset.hbs',
                 'newsletter-welcome.hbs',
-                'project-update.hbs'
-            ];
+                'newsletter-confirm.hbs',
+                'project-update.hbs',
+                'client-invite.hbs',
+                'client-login.hbs',
+                ...(await fs.readdir(templatesDir)).filter(file => file.endsWith('.hbs'))
+            ]);
 
             for (const templateFile of templateFiles) {
                 const templatePath = path.join(templatesDir, templateFile);
                 try {
                     const templateContent = await fs.readFile(templatePath, 'utf8');
+                    // Placeholder files are empty; fall back to the default template
+                    if (!templateContent.trim()) {
+                        throw new Error('Template file is empty');
+                    }
                     const templateName = templateFile.replace('.hbs', '');
                     this.templates.set(templateName, handlebars.compile(templateContent));
                 } catch (fileError) {
@@ -167,6 +175,18 @@ class EmailService {
                     </ul>
                     <p>Stay tuned for amazing content!</p>
                     <p>Best regards,<br>The InoxDev Team</p>
+                    <p><small>Don't want these emails? <a href="{{unsubscribeUrl}}">Unsubscribe</a></small></p>
+                `;
+                break;
+
+            case 'newsletter-confirm':
+                defaultTemplate = `
+                    <h2>Confirm your InoxDev Newsletter subscription</h2>
+                    <p>Hi {{name}},</p>
+                    <p>Please confirm that you want to receive the InoxDev newsletter at this address:</p>
+                    <p><a href="{{confirmUrl}}" style="background: #8A2BE2; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Confirm Subscription</a></p>
+                    <p>This link expires in {{expiresIn}}. If you didn't sign up, you can ignore this email and you won't be subscribed.</p>
+                    <p>Best regards,<br>The InoxDev Team</p>
                 `;
                 break;
 
@@ -186,6 +206,28 @@ class EmailService {
                 `;
                 break;
 
+            case 'client-invite':
+                defaultTemplate = `
+                    <h2>Your InoxDev client portal is ready</h2>
+                    <p>Hi {{name}},</p>
+                    <p>{{invitedBy}} has invited you to the InoxDev client portal, where you can follow your projects, read progress updates, download shared files and send us comments.</p>
+                    <p><a href="{{signInUrl}}" style="background: #8A2BE2; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Open the Client Portal</a></p>
+                    <p>This link works once and expires in {{expiresIn}}. You can set a password after signing in, or ask for a new sign-in link at any time.</p>
+                    <p>Best regards,<br>The InoxDev Team</p>
+                `;
+                break;
+
+            case 'client-login':
+                defaultTemplate = `
+                    <h2>Sign in to the InoxDev client portal</h2>
+                    <p>Hi {{name}},</p>
+                    <p>Use the button below to sign in (this link works once and expires in {{expiresIn}}):</p>
+                    <p><a href="{{signInUrl}}" style="background: #4169E1; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Sign In</a></p>
+                    <p>If you didn't ask for this link, you can ignore this email.</p>
+                    <p>Best regards,<br>The InoxDev Team</p>
+                `;
+                break;
+
             default:
                 defaultTemplate = `
                     <h2>{{subject}}</h2>
@@ -198,44 +240,55 @@ class EmailService {
         logger.info(`Default template created for: ${templateName}`);
     }
 
-    async sendEmail({ to, subject, template, data, html, text, attachments = [] }) {
+    // tracking: { campaignId, subscriberId, template } adds an open pixel and click redirects
+    async sendEmail({ to, subject, template, data, html, text, attachments = [], headers, tracking }) {
         try {
+            // Retry initialization if it failed at startup; templates load with the transporter
+            await this.ensureTransporter();
+
+            let emailSubject = subject;
             let emailHtml = html;
             let emailText = text;
 
-            // Use template if provided
-            if (template && this.templates.has(template)) {
-                const templateFn = this.templates.get(template);
-                emailHtml = templateFn(data || {});
-                
+            // Use template if provided: the database version first, then the file
+            const rendered = template
+                ? await renderEmailTemplate(template, data || {}, this.templates.get(template))
+                : null;
+
+            if (rendered) {
+                emailHtml = rendered.html;
+                emailSubject = rendered.subject || subject;
+
                 // Generate plain text version from HTML
                 emailText = emailHtml.replace(/<[^>]*>/g, '').replace(/\s+/g, ' ').trim();
             }
 
+            if (tracking) {
+                emailHtml = instrumentHtml(emailHtml, tracking);
+            }
+
             const mailOptions = {
                 from: {
                     name: 'InoxDev',
                     address: process.env.EMAIL_FROM || 'noreply@inoxdev.com'
                 },
                 to,
-                subject,
+                subject: emailSubject,
                 html: emailHtml,
                 text: emailText,
-                attachments
+                attachments,
+                headers
             };
 
-            // Ensure transporter is initialized before sending mail
-            if (!this.transporter) {
-                throw new Error('Email transporter not initialized.');
-            }
-
             const result = await this.transporter.sendMail(mailOptions);
 
-            if (process.env.NODE_ENV !== 'production') {
+            if (this.transportName === 'ethereal') {
                 logger.info('Email sent (Preview URL):', nodemailer.getTestMessageUrl(result));
+            } else if (this.transportName === 'outbox') {
+                logger.info(`Email written to outbox: ${result.response}`);
             }
 
-            logger.info(`Email sent successfully to ${to}: ${subject}`);
+            logger.info(`Email sent successfully to ${to}: ${emailSubject}`);
             return result;
 
         } catch (error) {
@@ -308,10 +361,8 @@ class EmailService {
     // Test email connectivity
     async testConnection() {
         try {
-            // Ensure transporter is initialized before verifying
-            if (!this.transporter) {
-                throw new Error('Email transporter not initialized for testing connection.');
-            }
+            // Retries the initialization if it failed at startup
+            await this.ensureTransporter();
             await this.transporter.verify();
             return { success: true, message: 'Email service is working correctly' };
         } catch (error) {
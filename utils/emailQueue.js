@@ -0,0 +1,125 @@
+const os = require('os');
+const { EmailJob } = require('../models');
+const { emailService } = require('./email');
+const logger = require('./logger');
+
+// MongoDB-backed outgoing email queue with exponential retry and a dead-letter state
+
+const RETRY_BASE_MS = parseInt(process.env.EMAIL_RETRY_BASE_MS) || 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+const MAX_ATTEMPTS = parseInt(process.env.EMAIL_MAX_ATTEMPTS) || 5;
+const BATCH_SIZE = parseInt(process.env.EMAIL_QUEUE_BATCH_SIZE) || 20;
+
+// A job left in processing this long belongs to a worker that died mid-send
+const LOCK_TIMEOUT_MS = 10 * 60 * 1000;
+
+const workerId = `${os.hostname()}:${process.pid}`;
+
+// 1, 2, 4, 8... times the base delay, capped
+const retryDelay = (attempts) => Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+// Queue an email instead of sending it inline. Takes the same options as sendEmail.
+const queueEmail = async ({ to, subject, template, data, html, text, headers, tracking }, { maxAttempts = MAX_ATTEMPTS, sendAt } = {}) => {
+    const job = await EmailJob.create({
+        message: { to, subject, template, data, html, text, headers, tracking },
+        maxAttempts,
+        nextAttemptAt: sendAt || new Date()
+    });
+
+    logger.debug(`Email queued for ${to}: ${subject} (${job._id})`);
+    return job;
+};
+
+// Atomically take the next due job so two workers never send the same email
+const claimNextJob = () => {
+    const now = new Date();
+
+    return EmailJob.findOneAndUpdate(
+        {
+            $or: [
+                { status: { $in: ['queued', 'retrying'] }, nextAttemptAt: { $lte: now } },
+                { status: 'processing', lockedAt: { $lte: new Date(now - LOCK_TIMEOUT_MS) } }
+            ]
+        },
+        {
+            status: 'processing',
+            lockedAt: now,
+            lockedBy: workerId,
+            $inc: { attempts: 1 }
+        },
+        { new: true, sort: { nextAttemptAt: 1 } }
+    );
+};
+
+const processJob = async (job) => {
+    try {
+        const result = await emailService.sendEmail(job.toObject().message);
+
+        job.status = 'sent';
+        job.sentAt = new Date();
+        job.messageId = result && result.messageId;
+        job.lastError = undefined;
+
+        // The content can hold reset links and sign-in URLs; once delivered it's never needed again
+        job.set('message.data', undefined);
+        job.set('message.html', undefined);
+        job.set('message.text', undefined);
+    } catch (error) {
+        job.lastError = error.message;
+        job.failures.push({ attempt: job.attempts, error: error.message });
+
+        if (job.attempts >= job.maxAttempts) {
+            job.status = 'dead';
+            logger.error(`Email to ${job.message.to} moved to dead letters after ${job.attempts} attempts: ${error.message}`);
+        } else {
+            job.status = 'retrying';
+            job.nextAttemptAt = new Date(Date.now() + retryDelay(job.attempts));
+            logger.warn(`Email to ${job.message.to} failed (attempt ${job.attempts}), retrying at ${job.nextAttemptAt.toISOString()}`);
+        }
+    }
+
+    job.lockedAt = undefined;
+    job.lockedBy = undefined;
+    await job.save();
+
+    return job.status;
+};
+
+// Send due jobs, up to one batch per run
+const processEmailQueue = async (limit = BATCH_SIZE) => {
+    const counts = { sent: 0, retrying: 0, dead: 0 };
+
+    for (let i = 0; i < limit; i++) {
+        const job = await claimNextJob();
+        if (!job) break;
+
+        const status = await processJob(job);
+        counts[status]++;
+    }
+
+    if (counts.sent || counts.retrying || counts.dead) {
+        logger.info(`Email queue run: ${counts.sent} sent, ${counts.retrying} retrying, ${counts.dead} dead`);
+    }
+
+    return counts;
+};
+
+// Put a dead (or retrying) job back in the queue with a fresh set of attempts
+const replayJob = (jobId, userId) => EmailJob.findOneAndUpdate(
+    { _id: jobId, status: { $in: ['dead', 'retrying'] } },
+    {
+        status: 'queued',
+        attempts: 0,
+        nextAttemptAt: new Date(),
+        replayedBy: userId,
+        replayedAt: new Date()
+    },
+    { new: true }
+);
+
+module.exports = {
+    retryDelay,
+    queueEmail,
+    processEmailQueue,
+    replayJob
+};
@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+const handlebars = require('handlebars');
+const { EmailTemplate } = require('../models');
+const logger = require('./logger');
+
+// Email templates stored in MongoDB, with shared layouts and partials.
+// EmailService falls back to templates/email/*.hbs when a name is not in the database.
+
+const CACHE_MS = parseInt(process.env.EMAIL_TEMPLATE_CACHE_MS) || 60 * 1000;
+const DEFAULT_LAYOUT = 'default';
+
+// Separate instance so email partials don't leak into the page renderer
+const hbs = handlebars.create();
+
+let cache = null;
+let compiled = new Map();
+
+// Subjects are plain text, so they're compiled with `noEscape`; HTML-escaping would put
+// entities like &amp; into the inbox
+const SUBJECT_OPTIONS = { noEscape: true };
+
+const compile = (source, options = {}) => {
+    const key = `${options.noEscape ? 'text' : 'html'}:${source}`;
+    if (!compiled.has(key)) {
+        compiled.set(key, hbs.compile(source, options));
+    }
+    return compiled.get(key);
+};
+
+// Active templates, layouts and partials, reloaded every CACHE_MS or after an edit
+const loadCache = async () => {
+    if (cache && Date.now() - cache.loadedAt < CACHE_MS) return cache;
+
+    // Without a database, send with the file templates instead of waiting on a query
+    if (mongoose.connection.readyState !== 1) return null;
+
+    const documents = await EmailTemplate.find({ isActive: true }).lean();
+
+    Object.keys(hbs.partials).forEach(name => hbs.unregisterPartial(name));
+
+    const byType = (type) => new Map(documents
+        .filter(document => document.type === type)
+        .map(document => [document.name, document]));
+
+    byType('partial').forEach(partial => hbs.registerPartial(partial.name, partial.html));
+
+    compiled = new Map();
+    cache = {
+        loadedAt: Date.now(),
+        templates: byType('template'),
+        layouts: byType('layout')
+    };
+
+    return cache;
+};
+
+// Drop the cache so the next email picks up an edit straight away
+const invalidateTemplateCache = () => {
+    cache = null;
+};
+
+const getCache = async () => {
+    try {
+        return await loadCache();
+    } catch (error) {
+        logger.warn('Could not load email templates from the database:', error.message);
+        return null;
+    }
+};
+
+const wrapInLayout = (store, layoutName, html, data) => {
+    const layout = layoutName && store && store.layouts.get(layoutName);
+    if (!layout) return html;
+    return compile(layout.html)({ ...data, body: new hbs.SafeString(html) });
+};
+
+// Render a template by name. `fallback` is the compiled file template, if any.
+// Returns { subject, html, source } or null when neither exists.
+const renderEmailTemplate = async (name, data = {}, fallback) => {
+    const store = await getCache();
+    const template = store && store.templates.get(name);
+
+    if (template) {
+        return {
+            subject: template.subject ? compile(template.subject, SUBJECT_OPTIONS)(data) : undefined,
+            html: wrapInLayout(store, template.layout, compile(template.html)(data), data),
+            source: 'database'
+        };
+    }
+
+    if (!fallback) return null;
+
+    // File templates share the default layout when one is defined
+    return {
+        html: wrapInLayout(store, DEFAULT_LAYOUT, fallback(data), data),
+        source: 'file'
+    };
+};
+
+// Throws if the subject or HTML does not compile, or a layout has nowhere to put the body
+const validateTemplateSource = ({ type, subject, html }) => {
+    if (subject) hbs.precompile(subject);
+    if (html !== undefined) hbs.precompile(html);
+    if (type === 'layout' && html !== undefined && !/\{\{\{?\s*body\s*\}?\}\}/.test(html)) {
+        throw new Error('A layout must include {{{body}}}');
+    }
+};
+
+const PREVIEW_BODY = '<p>This is where the email content goes.</p>';
+
+// Render unsaved template fields with sample data, using the saved layouts and partials
+const renderPreview = async ({ type = 'template', subject, html, layout }, data = {}) => {
+    validateTemplateSource({ type, subject, html });
+
+    const store = await getCache();
+
+    if (type === 'layout') {
+        return { html: hbs.compile(html)({ ...data, body: new hbs.SafeString(PREVIEW_BODY) }) };
+    }
+
+    if (type === 'partial') {
+        return { html: hbs.compile(html)(data) };
+    }
+
+    return {
+        subject: subject ? hbs.compile(subject, SUBJECT_OPTIONS)(data) : undefined,
+        html: wrapInLayout(store, layout, hbs.compile(html)(data), data)
+    };
+};
+
+module.exports = {
+    DEFAULT_LAYOUT,
+    renderEmailTemplate,
+    renderPreview,
+    validateTemplateSource,
+    invalidateTemplateCache
+};
@@ -0,0 +1,146 @@
+const jwt = require('jsonwebtoken');
+const { Analytics } = require('../models');
+const { publicUrl } = require('./urls');
+const logger = require('./logger');
+
+// Open pixels and click redirects for outgoing emails, recorded as Analytics events
+
+const TRACKING_PURPOSE = 'email-tracking';
+
+// 1x1 transparent GIF
+const PIXEL = Buffer.from('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7', 'base64');
+
+// context: { campaignId, subscriberId, template }; url is only set for click links.
+// Tokens don't expire: people open old emails.
+const signTrackingToken = (context, url) => jwt.sign(
+    {
+        purpose: TRACKING_PURPOSE,
+        c: context.campaignId ? String(context.campaignId) : undefined,
+        s: context.subscriberId ? String(context.subscriberId) : undefined,
+        t: context.template,
+        u: url
+    },
+    process.env.JWT_SECRET
+);
+
+// Returns { campaignId, subscriberId, template, url } or null if the token is invalid
+const verifyTrackingToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        if (decoded.purpose !== TRACKING_PURPOSE) return null;
+        return {
+            campaignId: decoded.c,
+            subscriberId: decoded.s,
+            template: decoded.t,
+            url: decoded.u
+        };
+    } catch (error) {
+        return null;
+    }
+};
+
+const openPixelUrl = (context) =>
+    publicUrl(`/email/open?t=${encodeURIComponent(signTrackingToken(context))}`);
+
+const clickUrl = (context, url) =>
+    publicUrl(`/email/click?t=${encodeURIComponent(signTrackingToken(context, url))}`);
+
+// Links that must reach their target directly
+const isUntrackedLink = (url) => /\/api\/newsletter\/(unsubscribe|confirm)/.test(url);
+
+// Rewrite http(s) links through the click redirect and append the open pixel
+const instrumentHtml = (html, context) => {
+    if (!html) return html;
+
+    const rewritten = html.replace(/href=(["'])(https?:\/\/[^"']+)\1/gi, (match, quote, url) => {
+        if (isUntrackedLink(url)) return match;
+        // Handlebars escapes & in attributes; the redirect needs the real URL
+        return `href=${quote}${clickUrl(context, url.replace(/&amp;/g, '&'))}${quote}`;
+    });
+
+    const pixel = `<img src="${openPixelUrl(context)}" width="1" height="1" alt="" style="display:none;border:0;" />`;
+
+    return /<\/body>/i.test(rewritten)
+        ? rewritten.replace(/<\/body>/i, `${pixel}</body>`)
+        : `${rewritten}${pixel}`;
+};
+
+// Record an email_open or email_click event; tracking must never break the redirect or pixel
+const recordEmailEvent = async (event, tracking, req) => {
+    try {
+        await Analytics.create({
+            event,
+            category: 'email',
+            label: tracking.campaignId || tracking.template,
+            ipAddress: req.ip || req.connection.remoteAddress || req.socket.remoteAddress,
+            userAgent: req.get('User-Agent') || 'Unknown',
+            metadata: {
+                campaignId: tracking.campaignId,
+                subscriberId: tracking.subscriberId,
+                template: tracking.template,
+                url: tracking.url
+            }
+        });
+    } catch (error) {
+        logger.error(`Failed to record ${event}:`, error);
+    }
+};
+
+const TOP_LINKS_LIMIT = 5;
+
+const rate = (count, total) => (total ? Math.round((count / total) * 1000) / 10 : 0);
+
+// Open rate, click rate (as percentages of sent emails) and top links per campaign
+const getCampaignEngagement = async (campaigns) => {
+    const campaignIds = campaigns.map(campaign => String(campaign._id));
+
+    const [uniqueCounts, topLinks] = await Promise.all([
+        // Count each subscriber once per event, however often they open or click
+        Analytics.aggregate([
+            { $match: { event: { $in: ['email_open', 'email_click'] }, 'metadata.campaignId': { $in: campaignIds } } },
+            { $group: { _id: { campaignId: '$metadata.campaignId', event: '$event', subscriberId: '$metadata.subscriberId' }, total: { $sum: 1 } } },
+            { $group: { _id: { campaignId: '$_id.campaignId', event: '$_id.event' }, unique: { $sum: 1 }, total: { $sum: '$total' } } }
+        ]),
+        Analytics.aggregate([
+            { $match: { event: 'email_click', 'metadata.campaignId': { $in: campaignIds } } },
+            { $group: { _id: { campaignId: '$metadata.campaignId', url: '$metadata.url' }, clicks: { $sum: 1 } } },
+            { $sort: { clicks: -1 } },
+            { $group: { _id: '$_id.campaignId', links: { $push: { url: '$_id.url', clicks: '$clicks' } } } },
+            { $project: { links: { $slice: ['$links', TOP_LINKS_LIMIT] } } }
+        ])
+    ]);
+
+    const countsFor = (campaignId, event) =>
+        uniqueCounts.find(({ _id }) => _id.campaignId === campaignId && _id.event === event) || { unique: 0, total: 0 };
+
+    return campaigns.map(campaign => {
+        const campaignId = String(campaign._id);
+        const sent = campaign.stats?.sent || 0;
+        const opens = countsFor(campaignId, 'email_open');
+        const clicks = countsFor(campaignId, 'email_click');
+
+        return {
+            campaignId: campaign._id,
+            name: campaign.name,
+            subject: campaign.subject,
+            status: campaign.status,
+            completedAt: campaign.completedAt,
+            sent,
+            opens: opens.total,
+            uniqueOpens: opens.unique,
+            clicks: clicks.total,
+            uniqueClicks: clicks.unique,
+            openRate: rate(opens.unique, sent),
+            clickRate: rate(clicks.unique, sent),
+            topLinks: topLinks.find(({ _id }) => _id === campaignId)?.links || []
+        };
+    });
+};
+
+module.exports = {
+    PIXEL,
+    verifyTrackingToken,
+    instrumentHtml,
+    recordEmailEvent,
+    getCampaignEngagement
+};
@@ -0,0 +1,262 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs').promises;
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const logger = require('./logger');
+
+// Nodemailer transports selected with EMAIL_TRANSPORT
+
+const API_TIMEOUT_MS = 15000;
+
+// Support both callback and promise style, as nodemailer transports do
+const withCallback = (promise, callback) => {
+    if (typeof callback !== 'function') return promise;
+    promise.then(result => callback(null, result), callback);
+    return undefined;
+};
+
+const requireEnv = (...names) => {
+    const missing = names.filter(name => !process.env[name]);
+    if (missing.length) {
+        throw new Error(`Email transport is missing configuration: ${missing.join(', ')}`);
+    }
+};
+
+// Raw RFC 822 message as nodemailer would send it over SMTP
+const buildRaw = (mail) => new Promise((resolve, reject) => {
+    mail.message.build((error, raw) => (error ? reject(error) : resolve(raw)));
+});
+
+// Wrap an async send(mail) into a nodemailer transport object
+const createApiTransport = (name, { send, verify }) => ({
+    name,
+    version: '1.0.0',
+    send(mail, callback) {
+        withCallback(send(mail), callback);
+    },
+    verify(callback) {
+        return withCallback(verify ? verify() : Promise.resolve(true), callback);
+    }
+});
+
+const apiError = (provider, error) => {
+    const detail = error.response?.data ? JSON.stringify(error.response.data) : error.message;
+    return new Error(`${provider} API error${error.response ? ` (${error.response.status})` : ''}: ${detail}`);
+};
+
+const transports = {
+    // Any SMTP server
+    smtp: {
+        create() {
+            requireEnv('SMTP_HOST');
+            const port = parseInt(process.env.SMTP_PORT) || 587;
+
+            return nodemailer.createTransport({
+                host: process.env.SMTP_HOST,
+                port,
+                secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+                auth: process.env.SMTP_USER
+                    ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+                    : undefined
+            });
+        }
+    },
+
+    // Nodemailer well-known service (gmail, outlook...), the original production setup
+    service: {
+        create() {
+            return nodemailer.createTransport({
+                service: process.env.EMAIL_SERVICE || 'gmail',
+                auth: {
+                    user: process.env.EMAIL_USER,
+                    pass: process.env.EMAIL_PASS
+                },
+                secure: true, // For services like Gmail, usually true for port 465
+                port: 465 // Standard secure SMTP port
+            });
+        }
+    },
+
+    // SendGrid v3 Mail Send API
+    sendgrid: {
+        create() {
+            requireEnv('SENDGRID_API_KEY');
+
+            return nodemailer.createTransport(createApiTransport('sendgrid', {
+                async send(mail) {
+                    const { data } = mail;
+                    const envelope = mail.message.getEnvelope();
+                    const messageId = mail.message.messageId();
+                    const from = typeof data.from === 'object'
+                        ? { email: data.from.address, name: data.from.name }
+                        : { email: envelope.from };
+
+                    if (data.attachments?.length) {
+                        throw new Error('Attachments are not supported by the sendgrid transport');
+                    }
+
+                    const content = [
+                        data.text && { type: 'text/plain', value: data.text },
+                        data.html && { type: 'text/html', value: data.html }
+                    ].filter(Boolean);
+
+                    try {
+                        const response = await axios.post('https://api.sendgrid.com/v3/mail/send', {
+                            personalizations: [{ to: envelope.to.map(email => ({ email })) }],
+                            from,
+                            subject: data.subject,
+                            content,
+                            headers: data.headers
+                        }, {
+                            headers: { Authorization: `Bearer ${process.env.SENDGRID_API_KEY}` },
+                            timeout: API_TIMEOUT_MS
+                        });
+
+                        return {
+                            envelope,
+                            messageId: response.headers['x-message-id'] || messageId,
+                            response: `${response.status} ${response.statusText}`
+                        };
+                    } catch (error) {
+                        throw apiError('SendGrid', error);
+                    }
+                }
+            }));
+        }
+    },
+
+    // Mailgun messages API, sending the full MIME message
+    mailgun: {
+        create() {
+            requireEnv('MAILGUN_API_KEY', 'MAILGUN_DOMAIN');
+            const baseUrl = process.env.MAILGUN_API_URL || 'https://api.mailgun.net';
+
+            return nodemailer.createTransport(createApiTransport('mailgun', {
+                async send(mail) {
+                    const envelope = mail.message.getEnvelope();
+                    const messageId = mail.message.messageId();
+                    const raw = await buildRaw(mail);
+
+                    const form = new FormData();
+                    form.append('to', envelope.to.join(','));
+                    form.append('message', new Blob([raw]), 'message.eml');
+
+                    try {
+                        const response = await axios.post(
+                            `${baseUrl}/v3/${process.env.MAILGUN_DOMAIN}/messages.mime`,
+                            form,
+                            {
+                                auth: { username: 'api', password: process.env.MAILGUN_API_KEY },
+                                timeout: API_TIMEOUT_MS
+                            }
+                        );
+
+                        return {
+                            envelope,
+                            messageId: response.data?.id || messageId,
+                            response: response.data?.message
+                        };
+                    } catch (error) {
+                        throw apiError('Mailgun', error);
+                    }
+                }
+            }));
+        }
+    },
+
+    // Amazon SES through its SMTP interface (uses SES SMTP credentials, not IAM keys)
+    ses: {
+        create() {
+            requireEnv('SES_SMTP_USER', 'SES_SMTP_PASS');
+
+            return nodemailer.createTransport({
+                host: `email-smtp.${process.env.AWS_REGION || 'us-east-1'}.amazonaws.com`,
+                port: 587,
+                secure: false,
+                auth: {
+                    user: process.env.SES_SMTP_USER,
+                    pass: process.env.SES_SMTP_PASS
+                }
+            });
+        }
+    },
+
+    // Writes each message to EMAIL_OUTBOX_DIR as an .eml file; works fully offline
+    outbox: {
+        create() {
+            const outboxDir = path.resolve(process.env.EMAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'inoxdev-outbox'));
+
+            return nodemailer.createTransport(createApiTransport('outbox', {
+                async send(mail) {
+                    const envelope = mail.message.getEnvelope();
+                    const messageId = mail.message.messageId();
+                    const raw = await buildRaw(mail);
+
+                    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+                    const safeRecipient = (envelope.to[0] || 'unknown').replace(/[^a-z0-9@._-]/gi, '_');
+                    const filePath = path.join(outboxDir, `${timestamp}-${safeRecipient}.eml`);
+
+                    await fs.writeFile(filePath, raw);
+
+                    return { envelope, messageId, response: filePath };
+                },
+
+                async verify() {
+                    await fs.mkdir(outboxDir, { recursive: true });
+                    return true;
+                }
+            }));
+        }
+    },
+
+    // Ethereal test inbox; needs network access
+    ethereal: {
+        async create() {
+            const testAccount = await nodemailer.createTestAccount();
+
+            return nodemailer.createTransport({
+                host: 'smtp.ethereal.email',
+                port: 587,
+                secure: false, // Use false for port 587, true for port 465
+                auth: {
+                    user: testAccount.user,
+                    pass: testAccount.pass
+                }
+            });
+        }
+    }
+};
+
+const registerTransport = (name, transport) => {
+    if (typeof transport.create !== 'function') {
+        throw new Error(`Email transport ${name} must implement create()`);
+    }
+    transports[name] = transport;
+};
+
+// EMAIL_TRANSPORT, else the service in production, the outbox in tests and Ethereal in development
+const getTransportName = () => {
+    if (process.env.EMAIL_TRANSPORT) return process.env.EMAIL_TRANSPORT;
+    if (process.env.NODE_ENV === 'production') return 'service';
+    if (process.env.NODE_ENV === 'test') return 'outbox';
+    return 'ethereal';
+};
+
+const createTransport = async (name = getTransportName()) => {
+    const transport = transports[name];
+    if (!transport) {
+        throw new Error(`Unknown email transport: ${name}`);
+    }
+
+    const transporter = await transport.create();
+    logger.info(`Email transport: ${name}`);
+    return transporter;
+};
+
+module.exports = {
+    createTransport,
+    getTransportName,
+    registerTransport,
+    transports
+};
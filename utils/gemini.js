@@ -1,44 +1,13 @@
-const axios = require('axios');
+const { complete } = require('./llm');
 const logger = require('./logger');
 
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
-const GEMINI_API_URL = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-preview-05-20:generateContent';
-
-// Rate limiting for Gemini API
-const rateLimiter = {
-    requests: [],
-    maxRequests: 60, // requests per minute
-    windowMs: 60 * 1000, // 1 minute
-    
-    canMakeRequest() {
-        const now = Date.now();
-        // Remove requests older than the window
-        this.requests = this.requests.filter(time => now - time < this.windowMs);
-        
-        if (this.requests.length >= this.maxRequests) {
-            return false;
-        }
-        
-        this.requests.push(now);
-        return true;
-    },
-    
-    getRetryDelay() {
-        const now = Date.now();
-        const oldestRequest = this.requests[0];
-        return oldestRequest ? (this.windowMs - (now - oldestRequest)) : 0;
-    }
-};
+// Bump when the project suggestions prompt changes so stored suggestions can be traced to it
+const PROJECT_SUGGESTIONS_PROMPT_VERSION = 'project-suggestions@1';
 
-// Generate project suggestions using Gemini API
+// Generate project suggestions.
+// Resolves to { text, meta } where meta records the prompt version, provider, model and latency.
 const generateProjectSuggestions = async (projectDetails) => {
     try {
-        // Check rate limiting
-        if (!rateLimiter.canMakeRequest()) {
-            const retryDelay = rateLimiter.getRetryDelay();
-            throw new Error(`Rate limit exceeded. Please try again in ${Math.ceil(retryDelay / 1000)} seconds.`);
-        }
-
         const prompt = `You are an expert technology consultant for InoxDev, a company specializing in Full Stack Development, DevSecOps Solutions, Cloud Services & Migration, Cybersecurity Audits, SaaS Product Development, UI/UX Design, Blockchain Development & Web3 Consulting, and AI/ML Consulting and Development.
 
 A potential client has provided the following project details:
@@ -54,82 +23,25 @@ Please provide the following in markdown format:
 
 Keep the response professional, concise, and encouraging. Focus on practical advice that demonstrates InoxDev's expertise.`;
 
-        const payload = {
-            contents: [{
-                role: "user",
-                parts: [{ text: prompt }]
-            }]
-        };
+        const { text, provider, model, latencyMs } = await complete({ task: 'project-suggestions', prompt });
 
-        let response;
-        let retryCount = 0;
-        const maxRetries = 3;
-        const baseDelay = 1000; // 1 second
-
-        while (retryCount < maxRetries) {
-            try {
-                response = await axios.post(`${GEMINI_API_URL}?key=${GEMINI_API_KEY}`, payload, {
-                    headers: {
-                        'Content-Type': 'application/json'
-                    },
-                    timeout: 30000 // 30 seconds timeout
-                });
-
-                if (response.status === 200) {
-                    break; // Success, exit retry loop
-                }
-            } catch (error) {
-                if (error.response?.status === 429) {
-                    // Rate limit exceeded, implement exponential backoff
-                    retryCount++;
-                    const delay = baseDelay * Math.pow(2, retryCount - 1);
-                    logger.warn(`Gemini API rate limit exceeded. Retrying in ${delay / 1000} seconds...`);
-                    
-                    if (retryCount < maxRetries) {
-                        await new Promise(resolve => setTimeout(resolve, delay));
-                        continue;
-                    }
-                }
-                throw error;
+        logger.info('Successfully generated project suggestions');
+        return {
+            text,
+            meta: {
+                promptVersion: PROJECT_SUGGESTIONS_PROMPT_VERSION,
+                provider,
+                model,
+                latencyMs
             }
-        }
-
-        if (!response || response.status !== 200) {
-            throw new Error('Failed to get a successful response from Gemini API after retries');
-        }
-
-        const result = response.data;
-
-        if (result.candidates && result.candidates.length > 0 &&
-            result.candidates[0].content && result.candidates[0].content.parts &&
-            result.candidates[0].content.parts.length > 0) {
-            
-            const suggestions = result.candidates[0].content.parts[0].text;
-            
-            logger.info('Successfully generated project suggestions via Gemini API');
-            return suggestions;
-        } else {
-            logger.error('Unexpected Gemini API response structure:', JSON.stringify(result, null, 2));
-            throw new Error('Invalid response structure from Gemini API');
-        }
+        };
 
     } catch (error) {
-        logger.error('Gemini API error:', {
-            message: error.message,
-            response: error.response?.data,
-            status: error.response?.status
-        });
-
-        if (error.response?.status === 429) {
-            throw new Error('Service temporarily unavailable due to high demand. Please try again in a few minutes.');
-        }
+        logger.error('Project suggestions error:', error.message);
 
-        if (error.response?.status === 403) {
-            throw new Error('API access denied. Please check API key configuration.');
-        }
-
-        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
-            throw new Error('Request timeout. Please try again.');
+        // Rate limit and timeout messages are already user-friendly
+        if (/^(Rate limit exceeded|Service temporarily unavailable|Request timeout)/.test(error.message)) {
+            throw error;
         }
 
         throw new Error('Failed to generate project suggestions. Please try again later.');
@@ -139,11 +51,6 @@ Keep the response professional, concise, and encouraging. Focus on practical adv
 // Generate content for blog posts or marketing materials
 const generateContent = async (contentType, topic, additionalContext = '') => {
     try {
-        if (!rateLimiter.canMakeRequest()) {
-            const retryDelay = rateLimiter.getRetryDelay();
-            throw new Error(`Rate limit exceeded. Please try again in ${Math.ceil(retryDelay / 1000)} seconds.`);
-        }
-
         let prompt;
         
         switch (contentType) {
@@ -163,27 +70,10 @@ const generateContent = async (contentType, topic, additionalContext = '') => {
                 throw new Error('Invalid content type');
         }
 
-        const payload = {
-            contents: [{
-                role: "user",
-                parts: [{ text: prompt }]
-            }]
-        };
+        const { text } = await complete({ task: contentType, prompt });
 
-        const response = await axios.post(`${GEMINI_API_URL}?key=${GEMINI_API_KEY}`, payload, {
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            timeout: 30000
-        });
-
-        if (response.status === 200 && response.data.candidates && response.data.candidates.length > 0) {
-            const content = response.data.candidates[0].content.parts[0].text;
-            logger.info(`Successfully generated ${contentType} content for topic: ${topic}`);
-            return content;
-        }
-
-        throw new Error('Invalid response from Gemini API');
+        logger.info(`Successfully generated ${contentType} content for topic: ${topic}`);
+        return text;
 
     } catch (error) {
         logger.error('Content generation error:', error.message);
@@ -194,11 +84,6 @@ const generateContent = async (contentType, topic, additionalContext = '') => {
 // Analyze project requirements and suggest technology stack
 const analyzeTechStack = async (requirements) => {
     try {
-        if (!rateLimiter.canMakeRequest()) {
-            const retryDelay = rateLimiter.getRetryDelay();
-            throw new Error(`Rate limit exceeded. Please try again in ${Math.ceil(retryDelay / 1000)} seconds.`);
-        }
-
         const prompt = `As a senior technical architect at InoxDev, analyze the following project requirements and recommend an optimal technology stack:
 
 Requirements:
@@ -214,27 +99,10 @@ Please provide:
 
 Format your response in clear markdown with practical justifications for each recommendation.`;
 
-        const payload = {
-            contents: [{
-                role: "user",
-                parts: [{ text: prompt }]
-            }]
-        };
+        const { text } = await complete({ task: 'tech-stack', prompt });
 
-        const response = await axios.post(`${GEMINI_API_URL}?key=${GEMINI_API_KEY}`, payload, {
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            timeout: 30000
-        });
-
-        if (response.status === 200 && response.data.candidates && response.data.candidates.length > 0) {
-            const analysis = response.data.candidates[0].content.parts[0].text;
-            logger.info('Successfully generated tech stack analysis');
-            return analysis;
-        }
-
-        throw new Error('Invalid response from Gemini API');
+        logger.info('Successfully generated tech stack analysis');
+        return text;
 
     } catch (error) {
         logger.error('Tech stack analysis error:', error.message);
@@ -245,11 +113,6 @@ Format your response in clear markdown with practical justifications for each re
 // Generate SEO-optimized meta descriptions
 const generateSEOContent = async (pageTitle, pageContent) => {
     try {
-        if (!rateLimiter.canMakeRequest()) {
-            const retryDelay = rateLimiter.getRetryDelay();
-            throw new Error(`Rate limit exceeded. Please try again in ${Math.ceil(retryDelay / 1000)} seconds.`);
-        }
-
         const prompt = `Generate SEO-optimized content for a webpage about "${pageTitle}" for InoxDev's website.
 
 Page Content Summary:
@@ -264,27 +127,10 @@ Please provide:
 
 Focus on InoxDev's core services: DevSecOps, Full Stack Development, Cloud Services, Cybersecurity, and emerging technologies.`;
 
-        const payload = {
-            contents: [{
-                role: "user",
-                parts: [{ text: prompt }]
-            }]
-        };
+        const { text } = await complete({ task: 'seo', prompt });
 
-        const response = await axios.post(`${GEMINI_API_URL}?key=${GEMINI_API_KEY}`, payload, {
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            timeout: 30000
-        });
-
-        if (response.status === 200 && response.data.candidates && response.data.candidates.length > 0) {
-            const seoContent = response.data.candidates[0].content.parts[0].text;
-            logger.info(`Successfully generated SEO content for: ${pageTitle}`);
-            return seoContent;
-        }
-
-        throw new Error('Invalid response from Gemini API');
+        logger.info(`Successfully generated SEO content for: ${pageTitle}`);
+        return text;
 
     } catch (error) {
         logger.error('SEO content generation error:', error.message);
@@ -292,9 +138,34 @@ Focus on InoxDev's core services: DevSecOps, Full Stack Development, Cloud Servi
     }
 };
 
+// Pull a numbered "**Label:**" section out of a markdown response
+const extractSection = (text, label) => {
+    const pattern = new RegExp(`\\*\\*${label}:?\\*\\*:?([\\s\\S]*?)(?=\\n\\s*\\d+\\.\\s*\\*\\*|$)`, 'i');
+    const match = text.match(pattern);
+    return match ? match[1].trim() : '';
+};
+
+// Turn generateSEOContent output into BlogPost.seo fields
+const parseSEOContent = (text) => {
+    const firstLine = (value) => value.split('\n')[0].replace(/^[\s*"'-]+|[\s*"']+$/g, '');
+
+    const keywords = extractSection(text, 'Keywords')
+        .split(/[,\n]/)
+        .map(keyword => keyword.replace(/^[\s*\-\d.]+/, '').replace(/[*"']/g, '').trim())
+        .filter(Boolean);
+
+    return {
+        metaTitle: firstLine(extractSection(text, 'Meta Title')),
+        metaDescription: firstLine(extractSection(text, 'Meta Description')),
+        keywords
+    };
+};
+
 module.exports = {
+    PROJECT_SUGGESTIONS_PROMPT_VERSION,
     generateProjectSuggestions,
     generateContent,
     analyzeTechStack,
-    generateSEOContent
+    generateSEOContent,
+    parseSEOContent
 };
\ No newline at end of file
@@ -0,0 +1,184 @@
+const { Setting } = require('../models');
+const { complete } = require('./llm');
+const logger = require('./logger');
+
+const SETTING_KEY = 'leadScoring';
+
+// Default scoring rules. Admins can override any part of these via the Setting model.
+const DEFAULT_WEIGHTS = {
+    budget: {
+        'under-5': 5,
+        '5-15': 15,
+        '15-50': 25,
+        'above-50': 35,
+        '': 0
+    },
+    service: {
+        fullstack: 10,
+        devsecops: 12,
+        cloud: 10,
+        security: 12,
+        saas: 12,
+        design: 6,
+        blockchain: 8,
+        'ai-ml': 10,
+        consultation: 4,
+        '': 0
+    },
+    company: 10,
+    messageLength: {
+        short: 0, // under 100 characters
+        medium: 5, // under 400 characters
+        long: 10
+    },
+    signals: {
+        keywords: ['urgent', 'asap', 'deadline', 'funding', 'funded', 'enterprise', 'launch', 'contract', 'production', 'migrate'],
+        pointsPerSignal: 5,
+        maxPoints: 15
+    },
+    llm: {
+        enabled: false,
+        points: {
+            hot: 20,
+            warm: 10,
+            cold: 0
+        }
+    },
+    thresholds: {
+        high: 60,
+        medium: 30
+    }
+};
+
+const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+// Deep-merge stored overrides onto the defaults so partial configs stay valid
+const mergeWeights = (defaults, overrides) => {
+    if (!isPlainObject(overrides)) return defaults;
+
+    const merged = { ...defaults };
+    for (const [key, value] of Object.entries(overrides)) {
+        merged[key] = isPlainObject(value) && isPlainObject(defaults[key])
+            ? mergeWeights(defaults[key], value)
+            : value;
+    }
+    return merged;
+};
+
+// Current scoring weights (defaults merged with admin overrides)
+const getWeights = async () => {
+    const setting = await Setting.findOne({ key: SETTING_KEY }).lean();
+    return mergeWeights(DEFAULT_WEIGHTS, setting?.value);
+};
+
+// Merge admin overrides into the stored ones, so a partial update keeps earlier
+// changes, and return the effective weights
+const saveWeights = async (overrides, userId) => {
+    const setting = await Setting.findOne({ key: SETTING_KEY }).lean();
+    const stored = mergeWeights(isPlainObject(setting?.value) ? setting.value : {}, overrides);
+
+    await Setting.findOneAndUpdate(
+        { key: SETTING_KEY },
+        { value: stored, updatedBy: userId },
+        { upsert: true, new: true, runValidators: true }
+    );
+    return mergeWeights(DEFAULT_WEIGHTS, stored);
+};
+
+// Ask the LLM whether the lead is hot, warm or cold. Returns null if classification fails.
+const classifyLead = async (contact) => {
+    const prompt = `You qualify inbound leads for InoxDev, a software development and DevSecOps consultancy.
+
+Lead details:
+- Service: ${contact.service || 'not specified'}
+- Budget: ${contact.budget || 'not specified'}
+- Company: ${contact.company || 'not specified'}
+- Message: ${contact.message}
+
+Reply with exactly one word: hot, warm or cold.`;
+
+    try {
+        const { text } = await complete({ task: 'lead-classification', prompt });
+        const match = text.toLowerCase().match(/\b(hot|warm|cold)\b/);
+        return match ? match[1] : null;
+    } catch (error) {
+        logger.warn(`Lead classification failed: ${error.message}`);
+        return null;
+    }
+};
+
+// Score a contact. Resolves to { score, priority, breakdown, classification }.
+// With `classify: false` the LLM isn't called and the contact's last classification is reused.
+const scoreContact = async (contact, weights = DEFAULT_WEIGHTS, { classify = true } = {}) => {
+    const breakdown = [];
+    const add = (factor, points, detail) => {
+        if (points) breakdown.push({ factor, points, detail });
+    };
+
+    const budget = contact.budget || '';
+    add('budget', weights.budget[budget] || 0, budget || 'not specified');
+
+    const service = contact.service || '';
+    add('service', weights.service[service] || 0, service || 'not specified');
+
+    if (contact.company && contact.company.trim()) {
+        add('company', weights.company, contact.company.trim());
+    }
+
+    const message = contact.message || '';
+    const lengthBand = message.length < 100 ? 'short' : message.length < 400 ? 'medium' : 'long';
+    add('messageLength', weights.messageLength[lengthBand] || 0, `${lengthBand} (${message.length} characters)`);
+
+    const lowerMessage = message.toLowerCase();
+    const signals = (weights.signals.keywords || []).filter(keyword => lowerMessage.includes(keyword.toLowerCase()));
+    if (signals.length > 0) {
+        add(
+            'signals',
+            Math.min(signals.length * weights.signals.pointsPerSignal, weights.signals.maxPoints),
+            signals.join(', ')
+        );
+    }
+
+    let classification = null;
+    if (weights.llm.enabled) {
+        classification = classify ? await classifyLead(contact) : contact.leadClassification || null;
+        if (classification) {
+            add('llm', weights.llm.points[classification] || 0, classification);
+        }
+    }
+
+    const total = breakdown.reduce((sum, item) => sum + item.points, 0);
+    const score = Math.max(0, Math.min(100, Math.round(total)));
+
+    let priority = 'low';
+    if (score >= weights.thresholds.high) priority = 'high';
+    else if (score >= weights.thresholds.medium) priority = 'medium';
+
+    return { score, priority, breakdown, classification };
+};
+
+// Score a contact document in place. Manually set priorities are kept.
+// Resolves to the scoreContact result; `options` are passed on to it.
+const applyLeadScore = async (contact, weights, options) => {
+    const resolvedWeights = weights || await getWeights();
+    const result = await scoreContact(contact, resolvedWeights, options);
+    const { score, priority, breakdown, classification } = result;
+
+    contact.leadScore = score;
+    if (classification) contact.leadClassification = classification;
+    contact.scoreBreakdown = breakdown;
+    contact.scoredAt = new Date();
+    if (!contact.priorityOverridden) {
+        contact.priority = priority;
+    }
+
+    return result;
+};
+
+module.exports = {
+    DEFAULT_WEIGHTS,
+    getWeights,
+    saveWeights,
+    scoreContact,
+    applyLeadScore
+};
@@ -0,0 +1,261 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const logger = require('./logger');
+
+// Integer setting where 0 is a valid value, unlike `parseInt(...) || fallback`
+const envInt = (name, fallback) => {
+    const value = parseInt(process.env[name]);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+// Provider and pipeline settings, read per call so tests can switch providers via env
+const getConfig = () => ({
+    provider: process.env.LLM_PROVIDER || (process.env.NODE_ENV === 'test' ? 'mock' : 'gemini'),
+    model: process.env.LLM_MODEL,
+    timeoutMs: parseInt(process.env.LLM_TIMEOUT_MS) || 30000,
+    // Retries after the first attempt; 0 disables them
+    maxRetries: envInt('LLM_MAX_RETRIES', 3),
+    retryBaseDelayMs: envInt('LLM_RETRY_BASE_DELAY_MS', 1000)
+});
+
+// Rate limiting shared by every provider
+const rateLimiter = {
+    requests: [],
+    maxRequests: parseInt(process.env.LLM_RATE_LIMIT_PER_MINUTE) || 60, // requests per minute
+    windowMs: 60 * 1000, // 1 minute
+
+    canMakeRequest() {
+        const now = Date.now();
+        // Remove requests older than the window
+        this.requests = this.requests.filter(time => now - time < this.windowMs);
+
+        if (this.requests.length >= this.maxRequests) {
+            return false;
+        }
+
+        this.requests.push(now);
+        return true;
+    },
+
+    getRetryDelay() {
+        const now = Date.now();
+        const oldestRequest = this.requests[0];
+        return oldestRequest ? (this.windowMs - (now - oldestRequest)) : 0;
+    }
+};
+
+// Canned responses for the offline provider, keyed by task
+const MOCK_RESPONSES = {
+    'project-suggestions': (ref) => `1. **Project Summary:** You are planning a software product and want a reliable partner to design, build and run it. (ref ${ref})
+2. **Recommended InoxDev Services:**
+   * **Full Stack Development** - to build the core application.
+   * **DevSecOps Solutions** - to automate delivery with security built in.
+3. **Key Considerations:**
+   * Define the MVP scope before committing to a timeline.
+   * Plan for authentication, data protection and monitoring from day one.
+4. **Next Steps:**
+   * Book a discovery call with our team.
+   * Share any existing designs or documentation.`,
+
+    'blog-post': (ref) => `# Practical Guide (ref ${ref})
+
+Modern teams ship faster when security and automation are part of the workflow from the start.
+
+## Why it matters
+
+Automated pipelines catch problems early and keep releases predictable.
+
+## Best practices
+
+- Keep infrastructure in version control.
+- Scan dependencies on every build.
+- Monitor production and alert on what matters.`,
+
+    'service-description': (ref) => `InoxDev delivers this service end to end, from discovery to launch and ongoing support, using proven engineering practices tailored for startups and growing businesses. (ref ${ref})`,
+
+    'case-study': (ref) => `## Challenge
+The client needed to modernise a legacy workflow. (ref ${ref})
+
+## Solution
+InoxDev designed and delivered a cloud-native platform.
+
+## Implementation
+Iterative delivery with automated testing and CI/CD.
+
+## Results
+- Faster releases
+- Lower operating costs`,
+
+    'tech-stack': (ref) => `1. **Frontend Technologies:** React with TypeScript. (ref ${ref})
+2. **Backend Technologies:** Node.js, Express and MongoDB.
+3. **DevOps & Infrastructure:** Docker, GitHub Actions and AWS.
+4. **Security Considerations:** OWASP top 10 review, secrets management.
+5. **Estimated Timeline:** 8-12 weeks across discovery, build and launch.
+6. **Budget Considerations:** Start with managed services to keep costs low.`,
+
+    seo: (ref) => `1. **Meta Title:** InoxDev | Expert DevSecOps and Full Stack Development
+2. **Meta Description:** InoxDev helps startups build, secure and scale software with DevSecOps, cloud and full stack expertise. (ref ${ref})
+3. **Keywords:** devsecops, full stack development, cloud services, cybersecurity, startups
+4. **H1 Tag:** Build, Secure and Scale with InoxDev
+5. **Schema Markup Suggestions:** Organization, Service, WebPage`,
+
+    'lead-classification': () => 'warm'
+};
+
+// LLM providers. Each one turns a prompt into text and throws axios-style errors on failure.
+const providers = {
+    gemini: {
+        defaultModel: 'gemini-2.5-flash-preview-05-20',
+
+        async complete({ prompt, model, timeoutMs }) {
+            const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent`;
+            const payload = {
+                contents: [{
+                    role: 'user',
+                    parts: [{ text: prompt }]
+                }]
+            };
+
+            const response = await axios.post(url, payload, {
+                params: { key: process.env.GEMINI_API_KEY },
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                timeout: timeoutMs
+            });
+
+            const result = response.data;
+
+            if (result.candidates && result.candidates.length > 0 &&
+                result.candidates[0].content && result.candidates[0].content.parts &&
+                result.candidates[0].content.parts.length > 0) {
+                return result.candidates[0].content.parts[0].text;
+            }
+
+            logger.error('Unexpected Gemini API response structure:', JSON.stringify(result, null, 2));
+            throw new Error('Invalid response structure from Gemini API');
+        }
+    },
+
+    // Deterministic offline provider: the same task and prompt always give the same text
+    mock: {
+        defaultModel: 'mock-1',
+
+        async complete({ prompt, task }) {
+            const ref = crypto.createHash('sha256').update(`${task}:${prompt}`).digest('hex').slice(0, 8);
+            const respond = MOCK_RESPONSES[task];
+
+            return respond ? respond(ref) : `Mock response for ${task || 'prompt'} (ref ${ref})`;
+        }
+    }
+};
+
+// Register an extra provider at runtime
+const registerProvider = (name, provider) => {
+    if (typeof provider.complete !== 'function') {
+        throw new Error(`LLM provider ${name} must implement complete()`);
+    }
+    providers[name] = provider;
+};
+
+// Fail a provider call that outlives the configured timeout
+const withTimeout = (promise, timeoutMs) => {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => {
+            const error = new Error(`LLM request timed out after ${timeoutMs}ms`);
+            error.code = 'ETIMEDOUT';
+            reject(error);
+        }, timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Rate limits, server errors and network failures are worth another attempt
+const isRetryable = (error) => {
+    const status = error.response?.status;
+    if (status) return status === 429 || status >= 500;
+    return ['ECONNABORTED', 'ETIMEDOUT', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN'].includes(error.code);
+};
+
+// Map provider failures to messages that are safe to show users
+const toFriendlyError = (error) => {
+    if (error.response?.status === 429) {
+        return new Error('Service temporarily unavailable due to high demand. Please try again in a few minutes.');
+    }
+
+    if (error.response?.status === 403) {
+        return new Error('API access denied. Please check API key configuration.');
+    }
+
+    if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        return new Error('Request timeout. Please try again.');
+    }
+
+    return error;
+};
+
+// Run a prompt through the configured provider with rate limiting, timeout and retries.
+// Resolves to { text, provider, model, latencyMs }.
+const complete = async ({ task, prompt }) => {
+    const config = getConfig();
+    const provider = providers[config.provider];
+
+    if (!provider) {
+        throw new Error(`Unknown LLM provider: ${config.provider}`);
+    }
+
+    if (!rateLimiter.canMakeRequest()) {
+        const retryDelay = rateLimiter.getRetryDelay();
+        throw new Error(`Rate limit exceeded. Please try again in ${Math.ceil(retryDelay / 1000)} seconds.`);
+    }
+
+    const model = config.model || provider.defaultModel;
+    const startedAt = Date.now();
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            const text = await withTimeout(
+                provider.complete({ task, prompt, model, timeoutMs: config.timeoutMs }),
+                config.timeoutMs
+            );
+            const latencyMs = Date.now() - startedAt;
+
+            logger.performance(`LLM ${task} completed via ${config.provider}/${model}`, latencyMs, { attempt });
+
+            return {
+                text,
+                provider: config.provider,
+                model,
+                latencyMs
+            };
+        } catch (error) {
+            if (attempt <= config.maxRetries && isRetryable(error)) {
+                // Exponential backoff
+                const delay = config.retryBaseDelayMs * Math.pow(2, attempt - 1);
+                logger.warn(`LLM ${config.provider} request failed (${error.response?.status || error.code}). Retrying in ${delay / 1000} seconds...`);
+                await new Promise(resolve => setTimeout(resolve, delay));
+                continue;
+            }
+
+            logger.error(`LLM ${task} error:`, {
+                provider: config.provider,
+                model,
+                attempt,
+                message: error.message,
+                response: error.response?.data,
+                status: error.response?.status
+            });
+
+            throw toFriendlyError(error);
+        }
+    }
+};
+
+module.exports = {
+    complete,
+    registerProvider,
+    providers,
+    rateLimiter
+};
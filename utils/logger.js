@@ -96,13 +96,19 @@ logger.addContext = (context) => {
     return logger.child({ context });
 };
 
-// Security logging
+// Security logging; with an `event` type in meta it is also stored as a SecurityEvent
 logger.security = (message, meta = {}) => {
     logger.warn(`[SECURITY] ${message}`, {
         ...meta,
         timestamp: new Date().toISOString(),
         type: 'security'
     });
+
+    if (meta.event) {
+        // Required here because the models load after the logger
+        require('./securityEvents').storeSecurityEvent(message, meta)
+            .catch(error => logger.error('Could not store security event:', error));
+    }
 };
 
 // Database logging
@@ -0,0 +1,154 @@
+const net = require('net');
+const { User } = require('../models');
+const logger = require('./logger');
+const { requestContext } = require('./securityEvents');
+
+// Progressive lockout after failed logins, per account (stored on the user) and per IP
+// (kept in memory, like the rate limiters). Every `max` failures locks for twice as long
+// as the previous lock, up to LOGIN_MAX_LOCK_MS; failures are forgotten after a quiet day.
+
+const ACCOUNT_MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const IP_MAX_ATTEMPTS = parseInt(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+const BASE_LOCK_MS = parseInt(process.env.LOGIN_LOCK_MS) || 15 * 60 * 1000;
+const MAX_LOCK_MS = parseInt(process.env.LOGIN_MAX_LOCK_MS) || 24 * 60 * 60 * 1000;
+const ATTEMPT_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+const ipFailures = new Map();
+
+// Loopback and private addresses are proxies or internal networks shared by many clients
+// (e.g. nginx when `trust proxy` doesn't match the setup); locking one would lock everyone out
+const SHARED_ADDRESSES = new net.BlockList();
+SHARED_ADDRESSES.addSubnet('127.0.0.0', 8, 'ipv4');
+SHARED_ADDRESSES.addSubnet('10.0.0.0', 8, 'ipv4');
+SHARED_ADDRESSES.addSubnet('172.16.0.0', 12, 'ipv4');
+SHARED_ADDRESSES.addSubnet('192.168.0.0', 16, 'ipv4');
+SHARED_ADDRESSES.addSubnet('169.254.0.0', 16, 'ipv4');
+SHARED_ADDRESSES.addAddress('::1', 'ipv6');
+SHARED_ADDRESSES.addSubnet('fc00::', 7, 'ipv6');
+SHARED_ADDRESSES.addSubnet('fe80::', 10, 'ipv6');
+
+const isSharedAddress = (ip) => {
+    if (!ip) return true;
+
+    const address = ip.replace(/^::ffff:(?=\d+\.)/, '');
+    const family = net.isIPv4(address) ? 'ipv4' : net.isIPv6(address) ? 'ipv6' : null;
+    return !family || SHARED_ADDRESSES.check(address, family);
+};
+
+// How long to lock after the `failures`th failure, or 0
+const lockDuration = (failures, maxAttempts) => {
+    if (failures < maxAttempts || failures % maxAttempts !== 0) return 0;
+    return Math.min(BASE_LOCK_MS * 2 ** (failures / maxAttempts - 1), MAX_LOCK_MS);
+};
+
+const remaining = (lockUntil, now = Date.now()) => (lockUntil && lockUntil > now ? lockUntil - now : 0);
+
+const pruneIpFailures = (now) => {
+    for (const [ip, entry] of ipFailures) {
+        if (now - entry.lastFailedAt > ATTEMPT_WINDOW_MS && !remaining(entry.lockUntil, now)) {
+            ipFailures.delete(ip);
+        }
+    }
+};
+
+// Milliseconds until the IP may try again, or 0
+const ipLockRemaining = (ip) => (isSharedAddress(ip) ? 0 : remaining(ipFailures.get(ip)?.lockUntil));
+
+// Milliseconds until the account may try again, or 0
+const accountLockRemaining = (user) => remaining(user.lockUntil?.getTime());
+
+const recordIpFailure = (ip, context) => {
+    if (isSharedAddress(ip)) return;
+
+    const now = Date.now();
+    pruneIpFailures(now);
+
+    const entry = ipFailures.get(ip) || { failures: 0 };
+    entry.failures += 1;
+    entry.lastFailedAt = now;
+
+    const lockMs = lockDuration(entry.failures, IP_MAX_ATTEMPTS);
+    if (lockMs) {
+        entry.lockUntil = now + lockMs;
+        logger.security(`IP ${ip} locked out for ${Math.round(lockMs / 60000)} minutes`, {
+            event: 'ip_locked',
+            ...context,
+            failures: entry.failures,
+            lockedUntil: new Date(entry.lockUntil)
+        });
+    }
+
+    ipFailures.set(ip, entry);
+};
+
+const recordAccountFailure = async (model, user, context) => {
+    const now = new Date();
+    const withinWindow = user.lastFailedLoginAt && now - user.lastFailedLoginAt < ATTEMPT_WINDOW_MS;
+
+    // Counted atomically, so parallel guesses can't slip past the limit
+    const updated = await model.findByIdAndUpdate(
+        user._id,
+        withinWindow
+            ? { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: now } }
+            : { $set: { failedLoginAttempts: 1, lastFailedLoginAt: now } },
+        { new: true }
+    ).select('failedLoginAttempts');
+
+    const failures = updated?.failedLoginAttempts || 0;
+    const lockMs = lockDuration(failures, ACCOUNT_MAX_ATTEMPTS);
+    if (!lockMs) return;
+
+    const lockUntil = new Date(now.getTime() + lockMs);
+    await model.updateOne({ _id: user._id }, { $set: { lockUntil } });
+
+    logger.security(`Account ${user.email} locked out for ${Math.round(lockMs / 60000)} minutes`, {
+        event: 'account_locked',
+        ...context,
+        failures,
+        lockedUntil: lockUntil
+    });
+};
+
+// Record a failed password or two-factor code. `user` is null for unknown emails.
+// Client portal logins pass `model: ClientAccount`; their account goes in the event
+// metadata, since SecurityEvent.user refers to staff users.
+const recordLoginFailure = async (req, { user, email, reason, model = User }) => {
+    const isStaff = model === User;
+    const context = {
+        ...requestContext(req),
+        ...(isStaff ? { userId: user?._id } : { clientId: user?._id, portal: 'client' }),
+        email: user?.email || email,
+        reason
+    };
+
+    logger.security(`Failed ${isStaff ? '' : 'client '}login for ${context.email} (${reason})`, { event: 'login_failed', ...context });
+
+    recordIpFailure(context.ip, context);
+    if (user) await recordAccountFailure(model, user, context);
+};
+
+// Forget the account's failures after a successful login; the caller saves
+const resetLoginFailures = (user) => {
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = undefined;
+    user.lockUntil = undefined;
+};
+
+// 429 with Retry-After for a locked account or IP
+const sendLocked = (res, lockMs) => {
+    const minutes = Math.ceil(lockMs / 60000);
+
+    res.set('Retry-After', String(Math.ceil(lockMs / 1000)));
+    return res.status(429).json({
+        success: false,
+        message: `Too many failed login attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`
+    });
+};
+
+module.exports = {
+    ipLockRemaining,
+    accountLockRemaining,
+    recordLoginFailure,
+    resetLoginFailures,
+    sendLocked
+};
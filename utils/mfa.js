@@ -0,0 +1,146 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const totp = require('./totp');
+
+// Two-factor authentication for internal users: TOTP secrets, backup codes,
+// the roles that must use it and the short-lived tokens of the two-step login.
+
+const ISSUER = process.env.MFA_ISSUER || 'InoxDev';
+
+const REQUIRED_ROLES = (process.env.MFA_REQUIRED_ROLES ?? 'admin,manager')
+    .split(',')
+    .map(role => role.trim().toLowerCase())
+    .filter(Boolean);
+
+// Between the password and the code (pending), or until a required enrolment is done (setup)
+const MFA_TOKEN_PURPOSE = {
+    PENDING: 'mfa-pending',
+    SETUP: 'mfa-setup'
+};
+const MFA_TOKEN_EXPIRES_IN = '5m';
+
+const BACKUP_CODE_COUNT = 10;
+
+const isMfaRequired = (user) => REQUIRED_ROLES.includes(user.role);
+
+const signMfaToken = (user, purpose) => jwt.sign(
+    { userId: user._id, purpose },
+    process.env.JWT_SECRET,
+    { expiresIn: MFA_TOKEN_EXPIRES_IN }
+);
+
+// Decoded payload, or null if the token is invalid, expired or for something else
+const verifyMfaToken = (token, purpose) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === purpose ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Secrets are encrypted at rest so a database dump alone can't generate codes
+const encryptionKey = () => crypto
+    .createHash('sha256')
+    .update(process.env.MFA_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+    const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// New secret for enrolment: the plain secret for manual entry, the otpauth:// URI
+// for the QR code and the encrypted value to store until the first code is confirmed
+const createEnrollment = (user) => {
+    const secret = totp.generateSecret();
+
+    return {
+        secret,
+        otpauthUrl: totp.provisioningUri(secret, user.email, ISSUER),
+        encrypted: encryptSecret(secret)
+    };
+};
+
+const normalizeBackupCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+// Plain codes are shown once; only the hashes are stored
+const generateBackupCodes = async () => {
+    const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+        const code = crypto.randomBytes(5).toString('hex');
+        return `${code.slice(0, 5)}-${code.slice(5)}`;
+    });
+
+    const hashes = await Promise.all(codes.map(code => bcrypt.hash(normalizeBackupCode(code), 10)));
+
+    return {
+        codes,
+        backupCodes: hashes.map(hash => ({ hash }))
+    };
+};
+
+// Check a code against the secret in `field` ('secret' or 'pendingSecret'),
+// rejecting a code whose time step was already used. Updates the user; the caller saves.
+const verifyTotp = (user, code, field = 'secret') => {
+    const stored = user.mfa[field];
+    if (!stored) return false;
+
+    const step = totp.verifyCode(decryptSecret(stored), code);
+    if (step === null || (user.mfa.lastUsedStep && step <= user.mfa.lastUsedStep)) return false;
+
+    user.mfa.lastUsedStep = step;
+    return true;
+};
+
+// Accept an authenticator code or an unused backup code. Needs the user loaded with
+// +mfa.secret +mfa.backupCodes. Returns how the code matched, or null; the caller saves.
+const verifyMfaCode = async (user, code) => {
+    if (!user.mfa?.enabled) return null;
+
+    if (verifyTotp(user, code)) return 'totp';
+
+    const normalized = normalizeBackupCode(code);
+    if (!normalized) return null;
+
+    for (const backupCode of user.mfa.backupCodes || []) {
+        if (!backupCode.usedAt && await bcrypt.compare(normalized, backupCode.hash)) {
+            backupCode.usedAt = new Date();
+            return 'backup-code';
+        }
+    }
+
+    return null;
+};
+
+const remainingBackupCodes = (user) => (user.mfa?.backupCodes || []).filter(code => !code.usedAt).length;
+
+// Turn 2FA off and forget every secret
+const clearMfa = (user) => {
+    user.mfa = { enabled: false };
+};
+
+module.exports = {
+    MFA_TOKEN_PURPOSE,
+    REQUIRED_ROLES,
+    isMfaRequired,
+    signMfaToken,
+    verifyMfaToken,
+    createEnrollment,
+    generateBackupCodes,
+    verifyTotp,
+    verifyMfaCode,
+    remainingBackupCodes,
+    clearMfa
+};
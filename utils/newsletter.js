@@ -0,0 +1,77 @@
+const jwt = require('jsonwebtoken');
+const { Newsletter } = require('../models');
+const { publicUrl } = require('./urls');
+const logger = require('./logger');
+
+// Signed links for the newsletter double opt-in and one-click unsubscribe
+
+const CONFIRM_PURPOSE = 'newsletter-confirm';
+const UNSUBSCRIBE_PURPOSE = 'newsletter-unsubscribe';
+const CONFIRM_EXPIRES_IN = '48h';
+
+const signConfirmToken = (subscriber) => jwt.sign(
+    { purpose: CONFIRM_PURPOSE, subscriberId: subscriber._id, email: subscriber.email },
+    process.env.JWT_SECRET,
+    { expiresIn: CONFIRM_EXPIRES_IN }
+);
+
+// Unsubscribe links have no expiry: they must keep working in old emails
+const signUnsubscribeToken = (subscriber) => jwt.sign(
+    { purpose: UNSUBSCRIBE_PURPOSE, subscriberId: subscriber._id, email: subscriber.email },
+    process.env.JWT_SECRET
+);
+
+// Returns the decoded payload or null if the token is invalid, expired or for another purpose
+const verifyToken = (token, purpose) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === purpose ? decoded : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+const confirmUrl = (subscriber) =>
+    publicUrl(`/api/newsletter/confirm?token=${encodeURIComponent(signConfirmToken(subscriber))}`);
+
+const unsubscribeUrl = (subscriber) =>
+    publicUrl(`/api/newsletter/unsubscribe?token=${encodeURIComponent(signUnsubscribeToken(subscriber))}`);
+
+// RFC 2369 / RFC 8058 headers so mail clients can offer one-click unsubscribe
+const listUnsubscribeHeaders = (subscriber) => ({
+    'List-Unsubscribe': `<${unsubscribeUrl(subscriber)}>`,
+    'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+});
+
+const LEGACY_CONSENT_NOTE = 'Subscribed through the single opt-in form before double opt-in was introduced';
+
+// Subscribers stored before double opt-in only have isActive. Active ones opted in through the
+// old form, so they stay subscribed as confirmed (with a consent note) rather than dropping out
+// of every campaign; inactive ones had unsubscribed.
+const migrateLegacySubscribers = async () => {
+    const legacy = { status: { $exists: false } };
+
+    const confirmed = await Newsletter.updateMany(
+        { ...legacy, isActive: true },
+        { $set: { status: 'confirmed', 'consent.note': LEGACY_CONSENT_NOTE } }
+    );
+    const unsubscribed = await Newsletter.updateMany(
+        { ...legacy, isActive: { $ne: true } },
+        { $set: { status: 'unsubscribed', isActive: false } }
+    );
+
+    if (confirmed.modifiedCount || unsubscribed.modifiedCount) {
+        logger.info(`Migrated legacy newsletter subscribers: ${confirmed.modifiedCount} confirmed, ${unsubscribed.modifiedCount} unsubscribed`);
+    }
+};
+
+module.exports = {
+    CONFIRM_PURPOSE,
+    UNSUBSCRIBE_PURPOSE,
+    CONFIRM_EXPIRES_IN,
+    verifyToken,
+    confirmUrl,
+    unsubscribeUrl,
+    listUnsubscribeHeaders,
+    migrateLegacySubscribers
+};
@@ -0,0 +1,91 @@
+const path = require('path');
+const fs = require('fs');
+const handlebars = require('handlebars');
+const { siteUrl, publicUrl } = require('./urls');
+
+const pagesDir = path.join(__dirname, '../templates/pages');
+const templates = new Map();
+
+// Escape a string for HTML output
+const escape = (value) => handlebars.escapeExpression(value == null ? '' : String(value));
+
+// Render plain text or light markdown (headings, bullet lists, paragraphs) as safe HTML
+handlebars.registerHelper('formatContent', (text) => {
+    const blocks = String(text || '').replace(/\r\n/g, '\n').split(/\n{2,}/);
+
+    const html = blocks.map(block => {
+        const trimmed = block.trim();
+        if (!trimmed) return '';
+
+        const heading = trimmed.match(/^(#{1,4})\s+(.*)$/);
+        if (heading && !trimmed.includes('\n')) {
+            // Page title is the h1, so content headings start at h2
+            const level = Math.min(heading[1].length + 1, 5);
+            return `<h${level}>${escape(heading[2])}</h${level}>`;
+        }
+
+        const lines = trimmed.split('\n');
+        if (lines.every(line => /^\s*[-*]\s+/.test(line))) {
+            const items = lines.map(line => `<li>${escape(line.replace(/^\s*[-*]\s+/, ''))}</li>`).join('');
+            return `<ul>${items}</ul>`;
+        }
+
+        return `<p>${lines.map(escape).join('<br>')}</p>`;
+    }).join('\n');
+
+    return new handlebars.SafeString(html);
+});
+
+handlebars.registerHelper('formatDate', (date) => {
+    if (!date) return '';
+    return new Date(date).toLocaleDateString('en-IN', { year: 'numeric', month: 'long', day: 'numeric' });
+});
+
+const loadTemplate = (name) => {
+    if (!templates.has(name) || process.env.NODE_ENV === 'development') {
+        const source = fs.readFileSync(path.join(pagesDir, `${name}.hbs`), 'utf8');
+        templates.set(name, handlebars.compile(source));
+    }
+    return templates.get(name);
+};
+
+// Trim text to a meta description length without cutting a word in half
+const summarize = (text, maxLength = 160) => {
+    const clean = String(text || '').replace(/\s+/g, ' ').trim();
+    if (clean.length <= maxLength) return clean;
+    return `${clean.slice(0, maxLength - 1).replace(/\s+\S*$/, '')}…`;
+};
+
+// Render a page template inside the shared layout.
+// seo: { title, description, path, type, image, keywords, jsonLd, publishedTime, modifiedTime }
+const renderPage = (name, { seo = {}, ...data } = {}) => {
+    const canonicalUrl = publicUrl(seo.path || '/');
+    const jsonLd = seo.jsonLd
+        // Keep "</script>" inside strings from closing the script tag
+        ? JSON.stringify(seo.jsonLd).replace(/</g, '\\u003c')
+        : null;
+
+    const body = loadTemplate(name)(data);
+
+    return loadTemplate('layout')({
+        body: new handlebars.SafeString(body),
+        seo: {
+            ...seo,
+            // SEO titles generated for InoxDev usually carry the brand already
+            title: !seo.title || /inoxdev/i.test(seo.title) ? seo.title || 'InoxDev' : `${seo.title} | InoxDev`,
+            description: summarize(seo.description),
+            keywords: Array.isArray(seo.keywords) ? seo.keywords.join(', ') : seo.keywords,
+            type: seo.type || 'website',
+            image: seo.image && !/^https?:\/\//.test(seo.image) ? publicUrl(seo.image) : seo.image,
+            canonicalUrl
+        },
+        jsonLd,
+        siteUrl: siteUrl(),
+        year: new Date().getFullYear()
+    });
+};
+
+module.exports = {
+    renderPage,
+    summarize
+};
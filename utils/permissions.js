@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const { Role } = require('../models');
+const logger = require('./logger');
+
+// Named permissions ("resource:action") and the roles that grant them.
+// Built-in roles live here; admins can edit them and add custom roles in MongoDB.
+
+const PERMISSIONS = {
+    'contacts:read': 'See every lead, lead stats and the scoring config',
+    'contacts:write': 'Assign, prioritise and convert leads',
+    'contacts:delete': 'Delete leads',
+    'contacts:configure': 'Change lead scoring and rescore leads',
+    'projects:read': 'See every project and project stats',
+    'projects:write': 'Create and edit any project, its team, updates and files',
+    'projects:delete': 'Delete projects',
+    'services:read': 'See every service and service stats',
+    'services:write': 'Create, edit and reorder services',
+    'services:delete': 'Delete services',
+    'team:read': 'See every team member and team stats',
+    'team:write': 'Create, edit and reorder team members',
+    'team:delete': 'Delete team members',
+    'testimonials:read': 'See every testimonial and testimonial stats',
+    'testimonials:write': 'Create, edit and publish testimonials',
+    'testimonials:delete': 'Delete testimonials',
+    'blog:read': 'See drafts and revision history',
+    'blog:write': 'Write, publish and restore blog posts',
+    'blog:delete': 'Delete blog posts',
+    'newsletter:read': 'See subscribers and newsletter stats',
+    'newsletter:write': 'Unsubscribe subscribers',
+    'campaigns:read': 'See campaigns, audiences and deliveries',
+    'campaigns:write': 'Create, test, schedule and send campaigns',
+    'campaigns:delete': 'Delete campaigns',
+    'analytics:read': 'See the analytics dashboard and events',
+    'analytics:delete': 'Clean up old analytics events',
+    'ai:read': 'See AI drafts',
+    'ai:write': 'Generate, edit, accept and reject AI drafts',
+    'emails:read': 'See the email queue: recipients, subjects, status and failures (not message contents)',
+    'emails:write': 'Replay queued emails',
+    'email-templates:read': 'See email templates and previews',
+    'email-templates:write': 'Create, edit and restore email templates',
+    'email-templates:delete': 'Delete email templates',
+    'clients:read': 'See client portal accounts',
+    'clients:write': 'Invite clients and manage their access',
+    'clients:delete': 'Delete client portal accounts',
+    'users:write': 'Create internal users, change their roles, reset their two-factor and unlock their accounts',
+    'security:read': 'See and export the security event log',
+    'roles:read': 'See roles and their permissions',
+    'roles:write': 'Create and edit roles',
+    'roles:delete': 'Delete roles'
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Seeded into MongoDB on startup; admin always keeps every permission
+const SYSTEM_ROLES = {
+    admin: {
+        description: 'Full access',
+        permissions: ['*']
+    },
+    manager: {
+        description: 'Runs leads, projects, content and marketing',
+        permissions: [
+            'contacts:read', 'contacts:write',
+            'projects:read', 'projects:write',
+            'services:read', 'team:read',
+            'testimonials:read', 'testimonials:write',
+            'blog:read', 'blog:write',
+            'newsletter:read', 'newsletter:write',
+            'campaigns:read', 'campaigns:write', 'campaigns:delete',
+            'analytics:read',
+            'ai:read', 'ai:write',
+            'clients:read', 'clients:write'
+        ]
+    },
+    employee: {
+        description: 'Works on assigned leads and their own projects',
+        permissions: []
+    }
+};
+
+const CACHE_MS = parseInt(process.env.ROLE_CACHE_MS) || 60 * 1000;
+
+let cache = null;
+
+// '*' grants everything and 'resource:*' every action on a resource
+const expandPermissions = (granted = []) => {
+    if (granted.includes('*')) return [...ALL_PERMISSIONS];
+
+    return ALL_PERMISSIONS.filter(permission => granted.includes(permission) ||
+        granted.includes(`${permission.split(':')[0]}:*`));
+};
+
+// Unknown names, so a typo in a role can't silently grant nothing
+const invalidPermissions = (permissions = []) => permissions.filter(permission => permission !== '*' &&
+    !ALL_PERMISSIONS.includes(permission) &&
+    !(permission.endsWith(':*') && ALL_PERMISSIONS.some(name => name.startsWith(permission.slice(0, -1)))));
+
+const loadRoles = async () => {
+    if (cache && Date.now() - cache.loadedAt < CACHE_MS) return cache.roles;
+
+    const roles = new Map(Object.entries(SYSTEM_ROLES)
+        .map(([name, role]) => [name, expandPermissions(role.permissions)]));
+
+    // Without a database, the built-in roles still work
+    if (mongoose.connection.readyState !== 1) return roles;
+
+    try {
+        const documents = await Role.find().select('name permissions').lean();
+        documents
+            .filter(role => role.name !== 'admin')
+            .forEach(role => roles.set(role.name, expandPermissions(role.permissions)));
+
+        cache = { loadedAt: Date.now(), roles };
+    } catch (error) {
+        logger.warn('Could not load roles from the database:', error.message);
+    }
+
+    return roles;
+};
+
+// Drop the cache so a role edit applies to the next request
+const invalidateRoleCache = () => {
+    cache = null;
+};
+
+const getRolePermissions = async (roleName) => {
+    const roles = await loadRoles();
+    return roles.get(roleName) || [];
+};
+
+const roleExists = async (roleName) => (await loadRoles()).has(roleName);
+
+// req.user carries its expanded permissions, set by the auth middleware
+const hasPermission = (user, permission) => Boolean(user?.permissions?.includes(permission));
+
+// A user may only hand out permissions they hold themselves
+const canGrant = (user, permissions) => expandPermissions(permissions)
+    .every(permission => hasPermission(user, permission));
+
+// Create the built-in roles once; later edits in MongoDB are kept
+const ensureSystemRoles = async () => {
+    await Promise.all(Object.entries(SYSTEM_ROLES).map(([name, role]) => Role.updateOne(
+        { name },
+        { $setOnInsert: { name, ...role, isSystem: true } },
+        { upsert: true }
+    )));
+    invalidateRoleCache();
+};
+
+module.exports = {
+    PERMISSIONS,
+    ALL_PERMISSIONS,
+    SYSTEM_ROLES,
+    expandPermissions,
+    invalidPermissions,
+    getRolePermissions,
+    roleExists,
+    hasPermission,
+    canGrant,
+    ensureSystemRoles,
+    invalidateRoleCache
+};
@@ -0,0 +1,60 @@
+const { Project } = require('../models');
+const { hasPermission } = require('./permissions');
+
+// Project-level access: projects:read / projects:write reach every project,
+// everyone else only the projects they are a team member of.
+
+const isProjectMember = (project, user) => Boolean(user) && project.teamMembers.some(member => {
+    const memberId = member.userId?._id || member.userId;
+    return Boolean(memberId) && String(memberId) === String(user.userId);
+});
+
+const canViewProject = (project, user) => hasPermission(user, 'projects:read') || isProjectMember(project, user);
+
+const canEditProject = (project, user) => hasPermission(user, 'projects:write') || isProjectMember(project, user);
+
+// Filter for the projects a signed-in user may list
+const projectScope = (user) => (hasPermission(user, 'projects:read') ? {} : { 'teamMembers.userId': user.userId });
+
+const memberProjectIds = async (user) => {
+    const projects = await Project.find({ 'teamMembers.userId': user.userId }).select('_id');
+    return projects.map(project => project._id);
+};
+
+// Load req.params.id into req.project, answering 404/403 unless the user can
+// `access` it ('view' or 'edit'). Use after auth.
+const loadProject = (access, { select } = {}) => async (req, res, next) => {
+    try {
+        const query = Project.findById(req.params.id);
+        const project = await (select ? query.select(select) : query);
+
+        if (!project) {
+            return res.status(404).json({
+                success: false,
+                message: 'Project not found'
+            });
+        }
+
+        const allowed = access === 'edit' ? canEditProject(project, req.user) : canViewProject(project, req.user);
+        if (!allowed) {
+            return res.status(403).json({
+                success: false,
+                message: 'Insufficient permissions'
+            });
+        }
+
+        req.project = project;
+        next();
+    } catch (error) {
+        next(error);
+    }
+};
+
+module.exports = {
+    isProjectMember,
+    canViewProject,
+    canEditProject,
+    projectScope,
+    memberProjectIds,
+    loadProject
+};
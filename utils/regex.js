@@ -0,0 +1,6 @@
+// Escape user input for use inside a MongoDB $regex, so it matches literally
+const escapeRegex = (text) => String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = {
+    escapeRegex
+};
@@ -0,0 +1,125 @@
+const { Revision } = require('../models');
+const logger = require('./logger');
+
+// Fields captured in each revision, per content model
+const TRACKED_FIELDS = {
+    BlogPost: ['title', 'slug', 'excerpt', 'content', 'category', 'tags', 'featuredImage', 'status', 'publishedAt', 'seo'],
+    EmailTemplate: ['description', 'subject', 'html', 'layout', 'sampleData', 'isActive']
+};
+
+// Workflow fields are tracked but left alone on restore
+const WORKFLOW_FIELDS = ['status', 'publishedAt', 'isActive'];
+
+// Concurrent saves can pick the same version number; the loser retries with the next one
+const MAX_VERSION_ATTEMPTS = 5;
+
+const isDuplicateKey = (error) => error.code === 11000 || error.code === 11001;
+
+// Copy the tracked fields of a document into a plain object
+const takeSnapshot = (documentType, document) => {
+    const source = typeof document.toObject === 'function' ? document.toObject() : document;
+    const snapshot = {};
+
+    TRACKED_FIELDS[documentType].forEach(field => {
+        if (source[field] !== undefined) {
+            snapshot[field] = JSON.parse(JSON.stringify(source[field]));
+        }
+    });
+
+    return snapshot;
+};
+
+// Field-level before/after list between two snapshots
+const diffSnapshots = (documentType, before = {}, after = {}) => {
+    return TRACKED_FIELDS[documentType]
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => ({
+            field,
+            before: before[field],
+            after: after[field]
+        }));
+};
+
+// Store a new revision for a document. `previous` is the snapshot taken before the change.
+const recordRevision = async ({ documentType, document, previous, author, action, restoredFrom }) => {
+    const snapshot = takeSnapshot(documentType, document);
+    const diff = diffSnapshots(documentType, previous, snapshot);
+
+    if (previous && diff.length === 0) {
+        return null;
+    }
+
+    let revision;
+
+    for (let attempt = 1; !revision; attempt++) {
+        const latest = await Revision.findOne({ documentType, documentId: document._id })
+            .sort({ version: -1 })
+            .select('version');
+
+        const candidate = new Revision({
+            documentType,
+            documentId: document._id,
+            version: latest ? latest.version + 1 : 1,
+            action,
+            author,
+            diff,
+            snapshot,
+            restoredFrom
+        });
+
+        try {
+            revision = await candidate.save();
+        } catch (error) {
+            // The unique (documentType, documentId, version) index rejected a version taken meanwhile
+            if (!isDuplicateKey(error) || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+        }
+    }
+
+    logger.database(`Recorded ${documentType} revision`, {
+        documentId: document._id,
+        version: revision.version,
+        action
+    });
+
+    return revision;
+};
+
+// List revisions for a document, newest first
+const listRevisions = (documentType, documentId) => {
+    return Revision.find({ documentType, documentId })
+        .populate('author', 'name email')
+        .select('-snapshot')
+        .sort({ version: -1 });
+};
+
+// Apply a revision's content back onto the document and record the restore
+const restoreRevision = async ({ documentType, document, revision, author }) => {
+    const previous = takeSnapshot(documentType, document);
+
+    TRACKED_FIELDS[documentType]
+        .filter(field => !WORKFLOW_FIELDS.includes(field))
+        .forEach(field => {
+            document.set(field, revision.snapshot[field]);
+        });
+
+    await document.save();
+
+    await recordRevision({
+        documentType,
+        document,
+        previous,
+        author,
+        action: 'restore',
+        restoredFrom: revision._id
+    });
+
+    return document;
+};
+
+module.exports = {
+    takeSnapshot,
+    diffSnapshots,
+    recordRevision,
+    listRevisions,
+    restoreRevision
+};
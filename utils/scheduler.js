@@ -0,0 +1,73 @@
+const logger = require('./logger');
+
+// Minimal in-process job runner for periodic background work
+class Scheduler {
+    constructor() {
+        this.jobs = new Map();
+        this.started = false;
+    }
+
+    register(name, intervalMs, handler) {
+        if (this.jobs.has(name)) {
+            throw new Error(`Job already registered: ${name}`);
+        }
+
+        const job = { name, intervalMs, handler, timer: null, running: false };
+        this.jobs.set(name, job);
+
+        if (this.started) {
+            this.schedule(job);
+        }
+
+        logger.info(`Scheduled job registered: ${name} (every ${intervalMs / 1000}s)`);
+    }
+
+    start() {
+        if (this.started) return;
+        this.started = true;
+
+        this.jobs.forEach(job => this.schedule(job));
+        logger.info(`Scheduler started with ${this.jobs.size} jobs`);
+    }
+
+    stop() {
+        this.jobs.forEach(job => {
+            clearInterval(job.timer);
+            job.timer = null;
+        });
+        this.started = false;
+        logger.info('Scheduler stopped');
+    }
+
+    schedule(job) {
+        job.timer = setInterval(() => this.run(job.name), job.intervalMs);
+        // Don't keep the process alive just for background jobs
+        job.timer.unref();
+    }
+
+    // Run a job now; overlapping runs of the same job are skipped
+    async run(name) {
+        const job = this.jobs.get(name);
+        if (!job || job.running) return;
+
+        job.running = true;
+        const startedAt = Date.now();
+
+        try {
+            await job.handler();
+        } catch (error) {
+            logger.error(`Scheduled job ${name} failed:`, error);
+        } finally {
+            job.running = false;
+            logger.debug(`Scheduled job ${name} finished in ${Date.now() - startedAt}ms`);
+        }
+    }
+}
+
+// Create singleton instance
+const scheduler = new Scheduler();
+
+module.exports = {
+    Scheduler,
+    scheduler
+};
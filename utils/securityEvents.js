@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+const { SecurityEvent } = require('../models');
+
+// Persistence for logger.security: calls with an `event` type in their meta are stored
+// as SecurityEvent documents for the admin security log.
+
+// Where a request came from, for the event
+const requestContext = (req) => ({
+    ip: req.ip || req.connection?.remoteAddress || req.socket?.remoteAddress,
+    userAgent: req.get('User-Agent') || 'Unknown'
+});
+
+// Known keys map to fields; anything else is kept as metadata
+const storeSecurityEvent = async (message, { event, userId, email, actorId, ip, userAgent, ...metadata }) => {
+    // Without a database the event is still in the log files
+    if (mongoose.connection.readyState !== 1) return null;
+
+    return SecurityEvent.create({
+        type: event,
+        severity: SecurityEvent.TYPES[event] || 'info',
+        message,
+        user: userId,
+        email,
+        actor: actorId,
+        ip,
+        userAgent,
+        metadata
+    });
+};
+
+module.exports = {
+    requestContext,
+    storeSecurityEvent
+};
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+
+// RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 second steps),
+// compatible with Google Authenticator, Authy, 1Password and the like.
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) {
+        bits += byte.toString(2).padStart(8, '0');
+    }
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = '';
+    for (const char of cleaned) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 character');
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// 160-bit secret, base32 encoded as authenticator apps expect
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / STEP_SECONDS);
+
+const generateCode = (secret, step = currentStep()) => {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+// Returns the matching time step, or null. `window` allows for clock drift in steps.
+const verifyCode = (secret, code, { window = 1, time = Date.now() } = {}) => {
+    const normalized = String(code || '').replace(/\s/g, '');
+    if (!/^\d{6}$/.test(normalized)) return null;
+
+    const step = currentStep(time);
+    for (let drift = -window; drift <= window; drift++) {
+        const candidate = generateCode(secret, step + drift);
+        if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+            return step + drift;
+        }
+    }
+    return null;
+};
+
+// otpauth:// URI for the enrolment QR code
+const provisioningUri = (secret, accountName, issuer) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS)
+    });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+module.exports = {
+    generateSecret,
+    generateCode,
+    verifyCode,
+    provisioningUri,
+    base32Encode,
+    base32Decode
+};
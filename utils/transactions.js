@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// Multi-document transactions where MongoDB supports them. They need a replica set or a
+// sharded cluster; the bundled MongoDB is a standalone server, so callers must also be
+// correct without one.
+
+let supported = null;
+
+const supportsTransactions = async () => {
+    if (supported === null) {
+        const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+        supported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+    }
+    return supported;
+};
+
+// Run `work(session)` in a transaction, or with a null session when transactions aren't
+// available. `work` may run more than once if the transaction is retried.
+const withTransaction = async (work) => {
+    if (!(await supportsTransactions())) return work(null);
+
+    const session = await mongoose.startSession();
+    try {
+        let result;
+        await session.withTransaction(async () => {
+            result = await work(session);
+        });
+        return result;
+    } finally {
+        await session.endSession();
+    }
+};
+
+module.exports = {
+    supportsTransactions,
+    withTransaction
+};
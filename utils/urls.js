@@ -0,0 +1,12 @@
+// Public site URLs used in SEO tags, feeds and emails
+
+// Base URL of the public site, without a trailing slash
+const siteUrl = () => (process.env.PUBLIC_URL || process.env.FRONTEND_URL || 'https://inoxdev.com').replace(/\/+$/, '');
+
+// Absolute URL for a site path, e.g. publicUrl('/blog/my-post')
+const publicUrl = (pathname = '/') => `${siteUrl()}${pathname.startsWith('/') ? pathname : `/${pathname}`}`;
+
+module.exports = {
+    siteUrl,
+    publicUrl
+};